@@ -0,0 +1,6 @@
+/**
+ * Library entry point for embedding the launcher in another application.
+ * The command-line interface lives in `launcher.js`.
+ */
+export { default, default as Launcher } from './lib/launcher.js';
+export { default as LauncherError } from './lib/launcher-error.js';
@@ -1,20 +1,74 @@
 /* eslint-disable no-console, n/no-process-exit */
 import minimist from 'minimist';
+import { spawn } from 'node:child_process';
+import { readFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
 
-import LauncherCore from './lib/launcher-core.js';
+import ConfigManager from './lib/config-manager.js';
+import Keyring from './lib/keyring.js';
+import Launcher from './lib/launcher.js';
+import LauncherError from './lib/launcher-error.js';
+import ManifestGenerator from './lib/manifest-generator.js';
+import NdjsonDisplay from './lib/ndjson-display.js';
 import ProgressDisplay from './lib/progress-display.js';
 
 /** Application script name and companion paths used during self-update. */
 const APP_NAME = 'launcher.js';
-const APP_STAGED = `${APP_NAME}.new`;
-const APP_BACKUP = `${APP_NAME}.bak`;
+/** The launcher's own directory, which holds config.ini and the launcher files, whatever the current directory is. */
+const APP_DIR = dirname(fileURLToPath(import.meta.url));
+const APP_PATH = join(APP_DIR, APP_NAME);
+const CONFIG_PATH = join(APP_DIR, 'config.ini');
+/** Message a restarted launcher sends the launcher that started it once it has passed its health check. */
+const HEALTHY_MESSAGE = 'launcher-healthy';
+/** How long a restarted launcher may take to reach manifest verification before the start counts as failed. */
+const HEALTH_CHECK_TIMEOUT_MS = 5 * 60 * 1000;
+/** Starts an updated launcher gets to pass its health check when `self_update_attempts` is not set or invalid. */
+const DEFAULT_SELF_UPDATE_ATTEMPTS = 3;
+/** Exit code of a launcher that could not download the manifest; says nothing about the launcher build itself. */
+const NETWORK_EXIT_CODE = LauncherError.exitCodeFor('network');
 
 /**
  * @typedef {Object} CliArgs
  * @property {boolean} 'verify-integrity' - When true, performs a full verification scan before patching.
+ * @property {boolean} prune - When true, moves files not in the manifest into quarantine.
+ * @property {boolean} 'restore-quarantine' - Restore the most recent quarantine batch and exit.
+ * @property {boolean} 'allow-downgrade' - Accept a manifest older than the last one accepted (support use only).
+ * @property {boolean} 'dry-run' - Print the update plan instead of changing anything.
+ * @property {boolean} json - With --dry-run, print the plan as JSON on stdout (logs go to stderr).
+ * @property {string} [output] - Display mode: "text" (default) or "ndjson" for a machine-readable event stream.
+ * @property {boolean} launch - Start the game client after patching (default true; `--no-launch` disables it).
+ * @property {boolean} 'launch-only' - Verify the manifest and start the game client without patching.
+ * @property {string} [channel] - Release channel to install, overrides config `channel`.
+ * @property {string} ['install-dir'] - Content root to patch, overrides config `install_dir`.
+ * @property {string} ['limit-rate'] - Download rate limit such as `500K`, overrides config `max_download_rate` and `download_schedule`.
+ * @property {boolean} [restarted] - Internal: set when relaunched after staging a launcher update.
  * @property {boolean} verbose - When true, prints error stacks for debugging.
  * @property {boolean} help - Print usage and exit (alias: -h).
  * @property {boolean} h - Short alias for --help.
+ * @property {string[]} _ - Positional arguments; `_[0]` selects a subcommand ("generate", "channels" or "keys").
+ * @property {string} [dir] - generate: build directory to describe; keys generate: output directory (required).
+ * @property {string} [key] - generate/channels: Ed25519 private key (PEM); keys add: public key (PEM).
+ * @property {string} [out] - generate/channels: output path.
+ * @property {string|string[]} [set] - channels: `name=manifest-url` entries of the channel index.
+ * @property {string} [version] - generate: release version.
+ * @property {string} [cdn] - generate: base URL the files are served from.
+ * @property {string} ['key-id'] - generate: key identifier written to the signature; keys: key to act on.
+ * @property {string} [keyring] - keys: keyring file, overrides config `keyring`.
+ * @property {string} ['not-before'] - keys generate/add: start of the key's validity window.
+ * @property {string} ['not-after'] - keys generate/add: end of the key's validity window.
+ * @property {string} [algorithm] - generate: hash algorithm, overrides config `hash_algorithm`.
+ * @property {string} [format] - generate: manifest format, "2" (default) or "1" for older launchers.
+ * @property {string} [sequence] - generate/channels: monotonically increasing release sequence.
+ * @property {string} [expires] - generate/channels: ISO date after which the document is rejected.
+ * @property {string|string[]} ['delta-from'] - generate: previous build directories to create delta patches from.
+ * @property {string} [compress] - generate: transfer encoding for compressed copies of the files.
+ * @property {string|string[]} [priority] - generate: `pattern=number` download priority rules.
+ * @property {boolean} [mtime] - generate: record file modification times.
+ * @property {string} ['launch-exe'] - generate: game client executable, relative to the build.
+ * @property {string|string[]} ['launch-arg'] - generate: game client arguments.
+ * @property {string} ['launch-cwd'] - generate: game client working directory, relative to the build.
+ * @property {string|string[]} ['launch-env'] - generate: KEY=VALUE variables for the game client.
  */
 
 /**
@@ -23,8 +77,36 @@ const APP_BACKUP = `${APP_NAME}.bak`;
  */
 const parseArgs = () => {
   const argv = minimist(process.argv.slice(2), {
-    boolean: ['verify-integrity', 'help', 'h', 'verbose'],
+    boolean: ['verify-integrity', 'prune', 'restore-quarantine', 'allow-downgrade', 'dry-run', 'json', 'launch', 'launch-only', 'mtime', 'help', 'h', 'verbose'],
+    string: [
+      'dir',
+      'key',
+      'out',
+      'version',
+      'cdn',
+      'key-id',
+      'algorithm',
+      'format',
+      'sequence',
+      'expires',
+      'delta-from',
+      'compress',
+      'priority',
+      'launch-exe',
+      'launch-arg',
+      'launch-cwd',
+      'launch-env',
+      'output',
+      'channel',
+      'install-dir',
+      'limit-rate',
+      'set',
+      'keyring',
+      'not-before',
+      'not-after',
+    ],
     alias: { h: 'help' },
+    default: { launch: true },
   });
 
   if (argv.help) {
@@ -32,11 +114,60 @@ const parseArgs = () => {
 Lineage 2 Launcher
 
 Usage: node ${APP_NAME} [options]
+       node ${APP_NAME} generate --dir <build> --version <v> [generate options]
+       node ${APP_NAME} channels --set <name>=<manifest-url> [--set ...] [channel index options]
+       node ${APP_NAME} keys <generate|add|revoke|list> [key options]
 
 Options:
   --verify-integrity    Perform full integrity check (reports extra files)
+  --prune               Move extra files into a timestamped .quarantine/ batch
+  --restore-quarantine  Restore the most recent quarantine batch and exit
+  --allow-downgrade     Accept a manifest older than the last accepted one (support only)
+  --dry-run             Show what would be updated, downloaded and pruned; change nothing
+  --json                With --dry-run, print the plan as JSON
+  --output <mode>       text (default) or ndjson: one JSON event per line on stdout
+  --no-launch           Patch only; do not start the game afterwards
+  --launch-only         Start the game without checking for updates
+  --channel <name>      Release channel to install (e.g. stable, beta, ptr)
+  --install-dir <path>  Content directory to patch (default: config install_dir, else the launcher's directory)
+  --limit-rate <rate>   Cap download bandwidth, e.g. 500K or 2M (0 = unlimited; overrides config)
   --verbose             Show error stacks
   --help, -h            Show this help message
+
+Generate options (sign a manifest for a build directory):
+  --dir <path>          Build directory to scan (required)
+  --version <v>         Release version (required)
+  --key <path>          Ed25519 private key (default: private-key.pem)
+  --out <path>          Manifest output path (default: manifest.json)
+  --cdn <url>           Base URL the files are served from
+  --key-id <id>         Signature key id (default: public key fingerprint)
+  --algorithm <name>    sha256, sha384, sha512 or blake2b512 (default: config hash_algorithm)
+  --format <1|2>        Manifest format (default: 2; 1 signs only the file list)
+  --sequence <n>        Release sequence, must increase (default: current Unix time)
+  --expires <date>      Reject the manifest after this ISO date (default: 30 days)
+  --delta-from <path>   Previous build to create delta patches from (repeatable)
+  --compress <enc>      Also publish compressed copies: gzip, br or zstd
+  --priority <p>=<n>    Download files matching a .gitignore-style pattern earlier (repeatable)
+  --mtime               Record file modification times for launchers to restore
+  --launch-exe <path>   Game client to start after patching, relative to the build
+  --launch-arg <arg>    Game client argument (repeatable)
+  --launch-cwd <path>   Game client working directory, relative to the build
+  --launch-env <K=V>    Game client environment variable (repeatable)
+
+Channel index options (sign the list of release channels):
+  --set <name>=<url>    Channel and its manifest URL, relative to the index (repeatable)
+  --key <path>          Ed25519 private key (default: private-key.pem)
+  --out <path>          Index output path (default: channels.json)
+  --key-id, --sequence, --expires  As for generate
+
+Key options (manage the trusted keyring):
+  keys generate --key-id <id> --dir <dir>    Create a key pair in <dir> and trust it
+  keys add --key-id <id> --key <public.pem>  Trust an existing public key
+  keys revoke --key-id <id>                  Permanently distrust a key
+  keys list                                  Show trusted keys
+  --not-before <date>   Key is not valid before this ISO date (generate/add)
+  --not-after <date>    Key expires after this ISO date (generate/add)
+  --keyring <path>      Keyring file (default: config keyring)
     `);
     process.exit(0);
   }
@@ -45,79 +176,516 @@ Options:
 };
 
 /**
- * Promote a staged launcher file into place after a restart.
- *
- * This routine is only invoked when the process is started with "--restarted".
- * It atomically clears stale backups and replaces the launcher.
- *
- * Errors are logged but not fatal; the caller proceeds regardless.
- * @returns {Promise<void>} Resolves after promotion attempts complete.
+ * Maps the `--launch-*` arguments onto the generator's launch command.
+ * @param {CliArgs} argv - Parsed arguments.
+ * @returns {import('./lib/manifest-generator.js').GenerateOptions['launch']|undefined} Launch command, or undefined without `--launch-exe`.
  */
-async function promoteStagedLauncher() {
-  const { rename, unlink } = await import('node:fs/promises');
+const toLaunchOptions = (argv) =>
+  argv['launch-exe']
+    ? {
+        executable: argv['launch-exe'],
+        args: [].concat(argv['launch-arg'] || []),
+        cwd: argv['launch-cwd'],
+        env: [].concat(argv['launch-env'] || []),
+      }
+    : undefined;
 
+/**
+ * Maps `generate` arguments onto generator options, filling in defaults.
+ * @param {CliArgs} argv - Parsed arguments.
+ * @param {ConfigManager} config - Loaded configuration.
+ * @returns {import('./lib/manifest-generator.js').GenerateOptions} Generator options.
+ */
+const toGenerateOptions = (argv, config) => ({
+  buildDir: argv.dir,
+  version: argv.version,
+  privateKeyPath: argv.key || 'private-key.pem',
+  outPath: argv.out || 'manifest.json',
+  cdn: argv.cdn,
+  keyId: argv['key-id'],
+  algorithm: argv.algorithm || config.get('hash_algorithm', 'sha256'),
+  format: Number(argv.format || 2),
+  sequence: argv.sequence === undefined ? undefined : Number(argv.sequence),
+  expires: argv.expires,
+  deltaFrom: [].concat(argv['delta-from'] || []),
+  compress: argv.compress,
+  priorities: [].concat(argv.priority || []),
+  keepMtime: argv.mtime,
+  launch: toLaunchOptions(argv),
+});
+
+/**
+ * Release tooling: scan a build directory and write a signed manifest.
+ * @param {CliArgs} argv - Parsed arguments.
+ * @returns {Promise<void>} Resolves when done; sets process exit code on error.
+ */
+const generate = async (argv) => {
   try {
-    // Clear any stale backup; ignore if absent
-    try {
-      await unlink(APP_BACKUP);
-    } catch {}
+    if (!argv.dir || !argv.version) {
+      throw new Error('generate requires --dir and --version');
+    }
 
-    // Move original to backup; ignore if not present
-    try {
-      await rename(APP_NAME, APP_BACKUP);
-    } catch {}
+    const config = new ConfigManager(CONFIG_PATH);
+    await config.load();
 
-    // Promote staged file into place
-    await rename(APP_STAGED, APP_NAME);
+    await new ManifestGenerator().generate(toGenerateOptions(argv, config));
+  } catch (error) {
+    console.error(`\n❌ Error: ${error.message}`);
+    if (argv.verbose) console.error(error.stack);
+    process.exitCode = 1;
+  }
+};
 
-    console.log('✓ Promoted staged launcher to launcher.js');
+/**
+ * Release tooling: write the signed channel index that maps channel names to manifest URLs.
+ * @param {CliArgs} argv - Parsed arguments.
+ * @returns {Promise<void>} Resolves when done; sets process exit code on error.
+ */
+const channels = async (argv) => {
+  try {
+    const entries = [].concat(argv.set || []);
+    if (entries.length === 0) throw new Error('channels requires at least one --set <name>=<manifest-url>');
 
-    // Optionally; remove the backup if possible
-    try {
-      await unlink(APP_BACKUP);
-    } catch {}
-  } catch (e) {
-    console.log(`⚠ Could not promote staged launcher: ${e.message}`);
-    // Intentionally do not delete the staged file when promotion fails.
+    await new ManifestGenerator().generateChannelIndex({
+      channels: entries,
+      privateKeyPath: argv.key || 'private-key.pem',
+      outPath: argv.out || 'channels.json',
+      keyId: argv['key-id'],
+      sequence: argv.sequence === undefined ? undefined : Number(argv.sequence),
+      expires: argv.expires,
+    });
+  } catch (error) {
+    console.error(`\n❌ Error: ${error.message}`);
+    if (argv.verbose) console.error(error.stack);
+    process.exitCode = 1;
   }
-}
+};
 
 /**
- * Main program: initialize, self-update, then patch content.
- * @returns {Promise<void>} Resolves on normal completion; sets process exit code on error.
+ * Keyring subcommands. Each handler mutates the loaded keyring and returns true when it must be saved.
+ * @type {Map<string, (keyring: Keyring, argv: CliArgs) => Promise<boolean>>}
  */
-const main = async () => {
-  const argv = parseArgs();
-  const progress = new ProgressDisplay();
-  const launcher = new LauncherCore(progress);
+const KEY_COMMANDS = new Map([
+  [
+    'generate',
+    async (keyring, argv) => {
+      const keyId = argv['key-id'];
+      // The private key must not land in an install or build directory, where it would be scanned and shipped.
+      if (!argv.dir) throw new Error('keys generate requires --dir <directory outside the install and build directories>');
+      const { publicKeyPem, publicPath, privatePath } = await Keyring.generateKeyPair(keyId, argv.dir);
+      const entry = keyring.add({ keyId, publicKeyPem, notBefore: argv['not-before'], notAfter: argv['not-after'] });
+      console.log(`✓ Generated key ${keyId} (fingerprint ${entry.fingerprint})`);
+      console.log(`  public:  ${publicPath}`);
+      console.log(`  private: ${privatePath} (keep secret; sign with: generate --key ${privatePath} --key-id ${keyId})`);
+      return true;
+    },
+  ],
+  [
+    'add',
+    async (keyring, argv) => {
+      if (!argv.key) throw new Error('keys add requires --key <public.pem>');
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      const publicKeyPem = await readFile(argv.key, 'utf8');
+      const entry = keyring.add({ keyId: argv['key-id'], publicKeyPem, notBefore: argv['not-before'], notAfter: argv['not-after'] });
+      console.log(`✓ Trusted key ${entry.keyId} (fingerprint ${entry.fingerprint})`);
+      return true;
+    },
+  ],
+  [
+    'revoke',
+    (keyring, argv) => {
+      const entry = keyring.revoke(argv['key-id']);
+      console.log(`✓ Revoked key ${entry.keyId} at ${entry.revokedAt}`);
+      return Promise.resolve(true);
+    },
+  ],
+  [
+    'list',
+    (keyring) => {
+      if (keyring.keys.length === 0) console.log('Keyring is empty');
+      keyring.keys.forEach((k) => {
+        const status = k.revoked ? `revoked ${k.revokedAt}` : 'trusted';
+        console.log(`${k.keyId}  ${status}  ${k.notBefore ?? '-'} → ${k.notAfter ?? '-'}  ${k.fingerprint}`);
+      });
+      return Promise.resolve(false);
+    },
+  ],
+]);
 
+/**
+ * Key management: generate, add, revoke or list keys in the trusted keyring.
+ * @param {CliArgs} argv - Parsed arguments.
+ * @returns {Promise<void>} Resolves when done; sets process exit code on error.
+ */
+const keys = async (argv) => {
   try {
-    console.log('🚀 Lineage 2 Launcher starting...\n');
+    const command = KEY_COMMANDS.get(argv._[1]);
+    if (!command) {
+      throw new Error(`Unknown keys command: ${argv._[1] ?? '(none)'}. Use generate, add, revoke or list`);
+    }
 
-    // Initialize configuration and manifest
-    await launcher.initialize();
+    const config = new ConfigManager(CONFIG_PATH);
+    await config.load();
+    const keyring = new Keyring(argv.keyring || resolve(APP_DIR, config.get('keyring', 'keyring.json')));
+    await keyring.load();
 
-    // Check for launcher/config updates (may trigger restart)
-    await launcher.checkSelfUpdates();
+    if (await command(keyring, argv)) {
+      await keyring.save();
+      console.log(`✓ Keyring saved to ${keyring.path}`);
+    }
+  } catch (error) {
+    console.error(`\n❌ Error: ${error.message}`);
+    if (argv.verbose) console.error(error.stack);
+    process.exitCode = 1;
+  }
+};
 
-    // Handle content updates with proper progress bars
-    await launcher.updateContent({
-      verifyIntegrity: argv['verify-integrity'],
+/**
+ * Progress displays selectable with `--output`.
+ * @type {Map<string, (argv: CliArgs) => ProgressDisplay|NdjsonDisplay>}
+ */
+const DISPLAYS = new Map([
+  // Keep stdout clean for the JSON plan.
+  ['text', (argv) => new ProgressDisplay({ output: argv.json ? process.stderr : process.stdout })],
+  // A launcher started by a self-update shares stdout with the one that started it, so its events are marked.
+  ['ndjson', (argv) => new NdjsonDisplay({ fields: argv.restarted ? { origin: 'restarted' } : {} })],
+]);
+
+/**
+ * Creates the display selected with `--output`.
+ * @param {CliArgs} argv - Parsed arguments.
+ * @returns {ProgressDisplay|NdjsonDisplay} Display instance.
+ * @throws {Error} If the output mode is unknown or combined with --json.
+ */
+const createDisplay = (argv) => {
+  const mode = argv.output || 'text';
+  const factory = DISPLAYS.get(mode);
+  if (!factory) throw new Error(`Unknown output mode: ${mode} (expected text or ndjson)`);
+  if (argv.json && mode !== 'text') throw new Error('--json cannot be combined with --output=ndjson');
+  return factory(argv);
+};
+
+/**
+ * Starts the promoted launcher once and waits for it to exit, noting whether it passed its health check.
+ * A start that takes longer than `HEALTH_CHECK_TIMEOUT_MS` to pass is stopped.
+ * @returns {Promise<{healthy: boolean, code: number|null, failure: string|null}>} Whether it passed, its exit code,
+ *   and how it failed if it did not.
+ */
+const startPromotedLauncher = () =>
+  new Promise((resolvePromise) => {
+    const child = spawn(process.execPath, [APP_PATH, '--restarted', ...process.argv.slice(2)], { stdio: ['inherit', 'inherit', 'inherit', 'ipc'] });
+    let healthy = false;
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, HEALTH_CHECK_TIMEOUT_MS);
+
+    child.on('message', (message) => {
+      if (message?.type !== HEALTHY_MESSAGE) return;
+      healthy = true;
+      clearTimeout(timer);
     });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      resolvePromise({ healthy: false, code: null, failure: error.message });
+    });
+    child.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      const failure = signal ? `killed by ${signal}` : `exit code ${code}`;
+      resolvePromise({ healthy, code, failure: timedOut ? `no health check within ${HEALTH_CHECK_TIMEOUT_MS / 60000} minutes` : failure });
+    });
+  });
+
+/**
+ * Starts the promoted launcher until it passes its health check, up to `attempts` times. Once it
+ * passes, this process exits with its exit code. Crashes, signals and timeouts count as failed
+ * attempts. A network exit ends supervision at once without counting, since the build never got
+ * to show whether it works.
+ * @param {ProgressDisplay|NdjsonDisplay} progress - Active display.
+ * @param {Launcher} launcher - Launcher instance that promoted the update.
+ * @param {number} attempt - Attempt about to be made, from 1.
+ * @param {number} attempts - Attempts allowed.
+ * @returns {Promise<{failure: string, network: boolean}>} How the last attempt failed, and whether
+ *   it was a network failure rather than the last counted attempt.
+ */
+const superviseLauncher = async (progress, launcher, attempt, attempts) => {
+  await launcher.recordLauncherStart();
+  const { healthy, code, failure } = await startPromotedLauncher();
+  if (healthy) process.exit(code ?? 1);
+  if (code === NETWORK_EXIT_CODE) {
+    progress.log(`⚠ The updated launcher could not download the manifest (${failure})`);
+    return { failure, network: true };
+  }
+
+  progress.log(`⚠ The updated launcher stopped before verifying the manifest (${failure}; attempt ${attempt}/${attempts})`);
+  return attempt < attempts ? superviseLauncher(progress, launcher, attempt + 1, attempts) : { failure, network: false };
+};
+
+/**
+ * Reads `self_update_attempts` from config.ini, falling back to the default with a warning when it
+ * is not a whole number of at least 1.
+ * @param {ProgressDisplay|NdjsonDisplay} progress - Active display.
+ * @returns {Promise<number>} Starts an updated launcher gets to pass its health check.
+ */
+const readSelfUpdateAttempts = async (progress) => {
+  const config = new ConfigManager(CONFIG_PATH);
+  await config.load();
+  const attempts = config.get('self_update_attempts', DEFAULT_SELF_UPDATE_ATTEMPTS);
+  if (Number.isInteger(attempts) && attempts >= 1) return attempts;
+  progress.log(`⚠ self_update_attempts must be a whole number of at least 1; using ${DEFAULT_SELF_UPDATE_ATTEMPTS}`);
+  return DEFAULT_SELF_UPDATE_ATTEMPTS;
+};
+
+/**
+ * Hands over to the staged launcher and watches its first starts. The previous launcher is kept as
+ * `launcher.js.bak` until the new one reports that it reached manifest verification. If it fails
+ * `self_update_attempts` times, the backup is restored and this process carries on with the run.
+ * If it stops on a network failure, the backup is restored as well, but the build is not rejected.
+ * @param {ProgressDisplay|NdjsonDisplay} progress - Display to flush before handing over.
+ * @param {Launcher} launcher - Launcher instance that staged the update.
+ * @returns {Promise<string|null>} Why the update was rolled back, or null if it could not be promoted.
+ *   Exits the process instead once the new launcher passes its health check.
+ */
+const restart = async (progress, launcher) => {
+  progress.log('\n🔄 Restarting launcher with updates...');
+  if (!(await launcher.promoteLauncher())) {
+    progress.log('  Carrying on with the current launcher');
+    return null;
+  }
+
+  const attempts = await readSelfUpdateAttempts(progress);
+  progress.cleanup();
+
+  const { failure, network } = await superviseLauncher(progress, launcher, 1, attempts);
+  const reason = network ? `it could not download the manifest (${failure})` : `it failed to start ${attempts} time(s), last with ${failure}`;
+  await launcher.rollBackLauncher(reason, { reject: !network });
+  return reason;
+};
+
+/**
+ * Runs the restored launcher in place of this one and resolves with its exit code.
+ * @returns {Promise<number>} Exit code of the restored launcher.
+ */
+const runRestoredLauncher = () =>
+  new Promise((resolvePromise) => {
+    const child = spawn(process.execPath, [APP_PATH, ...process.argv.slice(2)], { stdio: 'inherit' });
+    child.on('error', () => resolvePromise(1));
+    child.on('exit', (code) => resolvePromise(code ?? 1));
+  });
 
-    console.log('\n✅ Launcher completed successfully!');
+/**
+ * Watches over a promoted launcher that was started without the launcher that promoted it, e.g.
+ * because that one was killed before the health check. Every such start counts as an attempt; once
+ * `self_update_attempts` are used up, the previous launcher is restored and finishes the run, and
+ * this process exits with its exit code.
+ * @param {Launcher} launcher - Launcher instance.
+ * @param {ProgressDisplay|NdjsonDisplay} progress - Active display.
+ * @returns {Promise<void>} Resolves when this launcher may carry on with the run.
+ */
+const checkUnsupervisedStart = async (launcher, progress) => {
+  // A supervised start is counted by the launcher that started it.
+  if (typeof process.send === 'function') return;
+  const earlier = await launcher.recordLauncherStart();
+  if (earlier === null) return;
+
+  const attempts = await readSelfUpdateAttempts(progress);
+  if (earlier < attempts) {
+    progress.log(`⚠ This launcher update has not passed its health check yet (start ${earlier + 1}/${attempts})`);
+    return;
+  }
+  await launcher.rollBackLauncher(`it did not pass its health check in ${attempts} start(s)`);
+  progress.log('🔄 Starting the previous launcher...');
+  progress.cleanup();
+  process.exit(await runRestoredLauncher());
+};
+
+/**
+ * Marks a launcher update as healthy once the manifest is verified, and tells the launcher that
+ * started this one, if it is waiting for that.
+ * @param {Launcher} launcher - Launcher instance, with the manifest verified.
+ * @returns {Promise<void>} Resolves once the update is confirmed and reported.
+ */
+const passHealthCheck = async (launcher) => {
+  await launcher.confirmLauncher();
+  if (typeof process.send !== 'function') return;
+  await new Promise((resolvePromise) => {
+    process.send({ type: HEALTHY_MESSAGE }, resolvePromise);
+  });
+  process.disconnect();
+};
+
+/**
+ * Maps run arguments onto `Launcher.verify` options.
+ * @param {CliArgs} argv - Parsed arguments.
+ * @returns {{allowDowngrade: boolean, channel?: string}} Verify options.
+ */
+const toVerifyOptions = (argv) => ({ allowDowngrade: argv['allow-downgrade'], channel: argv.channel });
+
+/**
+ * Starts the game client and waits for it. In NDJSON mode its stdout goes to stderr so the event stream stays valid.
+ * @param {Launcher} launcher - Launcher instance, already updated.
+ * @param {CliArgs} argv - Parsed arguments.
+ * @param {ProgressDisplay|NdjsonDisplay} progress - Active display.
+ * @param {object} [options={}] - Options object.
+ * @param {boolean} [options.required=false] - Fail instead of skipping when no launch command is configured.
+ * @returns {Promise<{launched: boolean, exitCode?: number, gameExitCode?: number, gameSignal?: string|null}>} Whether
+ *   the game ran, how it exited, and the launcher's exit code for it: 0 if it exited cleanly, else the `game` code,
+ *   so its own code is never mistaken for a launcher failure.
+ */
+const runGame = async (launcher, argv, progress, { required = false } = {}) => {
+  if (!required && !(await launcher.getLaunchSpec())) {
+    progress.log('  No launch command configured; not starting the game');
+    return { launched: false };
+  }
+  const { exitCode, signal } = await launcher.launch({ stdio: argv.output === 'ndjson' ? ['inherit', process.stderr, 'inherit'] : 'inherit' });
+  return { launched: true, exitCode: exitCode === 0 ? 0 : LauncherError.exitCodeFor('game'), gameExitCode: exitCode, gameSignal: signal };
+};
+
+/**
+ * Normal run: verify, self-update (restarting into a staged launcher), then patch content.
+ * If the staged launcher fails its health check, it is rolled back and this launcher patches content.
+ * @param {Launcher} launcher - Launcher instance.
+ * @param {CliArgs} argv - Parsed arguments.
+ * @param {ProgressDisplay|NdjsonDisplay} progress - Display, handed over on restart.
+ * @returns {Promise<object>} Summary fields for the run, with `launcherRollback` if a launcher update was rolled back.
+ * @throws {LauncherError} A `partial-patch` error with the failures if any file was not updated.
+ */
+const runUpdate = async (launcher, argv, progress) => {
+  await checkUnsupervisedStart(launcher, progress);
+  const { version, channel } = await launcher.verify(toVerifyOptions(argv));
+  await passHealthCheck(launcher);
+
+  const { restartRequired } = await launcher.selfUpdate();
+  const launcherRollback = restartRequired ? await restart(progress, launcher) : null;
+
+  const result = await launcher.update({
+    verifyIntegrity: argv['verify-integrity'],
+    prune: argv.prune,
+  });
+  if (result.failed.length > 0) {
+    throw new LauncherError('partial-patch', `${result.failed.length} file(s) were not updated; the install was left unchanged`, { failures: result.failures });
+  }
+  const game = argv.launch ? await runGame(launcher, argv, progress) : {};
+  return { action: 'update', version, channel, ...result, ...game, ...(launcherRollback ? { launcherRollback } : {}) };
+};
+
+/**
+ * Launch only: verify the manifest for the signed launch command and start the game unpatched.
+ * @param {Launcher} launcher - Launcher instance.
+ * @param {CliArgs} argv - Parsed arguments.
+ * @param {ProgressDisplay|NdjsonDisplay} progress - Active display.
+ * @returns {Promise<object>} Summary fields for the run.
+ */
+const runLaunchOnly = async (launcher, argv, progress) => {
+  await checkUnsupervisedStart(launcher, progress);
+  const { version, channel } = await launcher.verify(toVerifyOptions(argv));
+  await passHealthCheck(launcher);
+  return { action: 'launch', version, channel, ...(await runGame(launcher, argv, progress, { required: true })) };
+};
+
+/**
+ * Dry run: verify the manifest and print what a normal run would change.
+ * @param {Launcher} launcher - Launcher instance.
+ * @param {CliArgs} argv - Parsed arguments.
+ * @param {ProgressDisplay|NdjsonDisplay} progress - Display that renders the plan.
+ * @returns {Promise<object>} Summary fields for the run.
+ */
+const runDryRun = async (launcher, argv, progress) => {
+  await launcher.verify({ ...toVerifyOptions(argv), dryRun: true });
+  const plan = await launcher.plan({ verifyIntegrity: argv['verify-integrity'] });
+
+  if (argv.json) {
+    process.stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
+  } else {
+    progress.plan(plan);
+  }
+  return { action: 'dry-run', totals: plan.totals };
+};
+
+/**
+ * Restore: move the latest quarantine batch back.
+ * @param {Launcher} launcher - Launcher instance.
+ * @returns {Promise<object>} Summary fields for the run.
+ */
+const runRestore = async (launcher) => {
+  await launcher.restoreQuarantine();
+  return { action: 'restore-quarantine' };
+};
+
+/**
+ * Summary fields for a run that ended with an error.
+ * @param {Error} error - The error that ended the run.
+ * @returns {object} `error`, `kind` and `exitCode`, plus `failures` when files were not updated.
+ */
+const toFailureSummary = (error) => {
+  const { kind = 'error', failures = [] } = error instanceof LauncherError ? error : {};
+  return { error: error.message, kind, exitCode: LauncherError.exitCodeOf(error), ...(failures.length > 0 ? { failures } : {}) };
+};
+
+/**
+ * Picks what this invocation does.
+ * @param {Launcher} launcher - Launcher instance.
+ * @param {CliArgs} argv - Parsed arguments.
+ * @param {ProgressDisplay|NdjsonDisplay} progress - Active display.
+ * @returns {Promise<object>} Summary fields for the run.
+ */
+const runAction = (launcher, argv, progress) => {
+  if (argv['restore-quarantine']) return runRestore(launcher);
+  if (argv.json && !argv['dry-run']) throw new Error('--json requires --dry-run');
+  if (argv['launch-only']) {
+    if (argv['dry-run'] || !argv.launch) throw new Error('--launch-only cannot be combined with --dry-run or --no-launch');
+    return runLaunchOnly(launcher, argv, progress);
+  }
+  return argv['dry-run'] ? runDryRun(launcher, argv, progress) : runUpdate(launcher, argv, progress);
+};
+
+/**
+ * Main program: initialize, self-update, patch content, then start the game.
+ * @returns {Promise<void>} Resolves on normal completion; on error sets the exit code of its `LauncherError` kind.
+ */
+const main = async () => {
+  const argv = parseArgs();
+  if (argv._[0] === 'generate') {
+    await generate(argv);
+    return;
+  }
+  if (argv._[0] === 'channels') {
+    await channels(argv);
+    return;
+  }
+  if (argv._[0] === 'keys') {
+    await keys(argv);
+    return;
+  }
+
+  let progress;
+  try {
+    progress = createDisplay(argv);
   } catch (error) {
     console.error(`\n❌ Error: ${error.message}`);
-    if (argv.verbose) console.error(error.stack);
     process.exitCode = 1;
+    return;
+  }
+
+  const launcher = new Launcher({ display: progress, appDir: APP_DIR, installDir: argv['install-dir'], limitRate: argv['limit-rate'] });
+  const startedAt = Date.now();
+
+  try {
+    progress.log('🚀 Lineage 2 Launcher starting...\n');
+    const result = await runAction(launcher, argv, progress);
+    progress.summary({ ok: true, durationMs: Date.now() - startedAt, ...result });
+    // A game client that failed ends the run with the `game` code; its own code is in the summary.
+    if (result.exitCode) process.exitCode = result.exitCode;
+  } catch (error) {
+    progress.error(error, { verbose: argv.verbose });
+    const failure = toFailureSummary(error);
+    // A start that fails its health check is reported by the launcher supervising it, which carries on with the run.
+    if (!process.connected) progress.summary({ ok: false, durationMs: Date.now() - startedAt, ...failure });
+    process.exitCode = failure.exitCode;
   } finally {
     progress.cleanup();
   }
 };
 
-// If we were relaunched for a staged update, promote the new binary first.
-if (process.argv.includes('--restarted')) {
-  await promoteStagedLauncher();
-}
-
 main();
@@ -0,0 +1,108 @@
+/** Channel names: letters, digits, dots, dashes and underscores, starting with a letter or digit. */
+const CHANNEL_NAME = /^[a-z0-9][a-z0-9._-]*$/i;
+
+/**
+ * Resolves a release channel (e.g. `stable`, `beta`, `ptr`) to its manifest URL through a
+ * signed channel index:
+ *
+ * ```json
+ * { "format": 2, "sequence": 7, "expires": "…", "channels": { "stable": { "manifest": "stable/manifest.json" } }, "signature": { … } }
+ * ```
+ *
+ * The index is signed like a v2 manifest and gets the same rollback and expiry checks, with its
+ * own sequence. Relative manifest URLs are resolved against the index URL.
+ */
+export default class ChannelIndex {
+  /**
+   * @param {import('./manifest-handler.js').default} manifestHandler - Fetches and verifies the index.
+   */
+  constructor(manifestHandler) {
+    this.manifestHandler = manifestHandler;
+  }
+
+  /**
+   * Checks a channel name.
+   * @param {string} channel - Channel name.
+   * @returns {string} The name.
+   * @throws {Error} If the name contains unsupported characters.
+   */
+  static assertName(channel) {
+    if (typeof channel !== 'string' || !CHANNEL_NAME.test(channel)) throw new Error(`Invalid channel name: ${channel}`);
+    return channel;
+  }
+
+  /**
+   * Fetches and verifies the channel index, then returns the manifest URL of a channel.
+   * @param {string} indexUrl - URL of the signed channel index.
+   * @param {string} channel - Channel to resolve.
+   * @param {object} options - Verification options.
+   * @param {string} options.keyConfig - Path or URL to the public key, may include `{keyId}`.
+   * @param {number} options.timeoutMs - Timeout in milliseconds for network requests.
+   * @param {import('./keyring.js').default} [options.keyring] - Trusted keys.
+   * @param {import('./install-state.js').default} [options.state] - Persists the highest accepted index sequence.
+   * @param {boolean} [options.allowDowngrade=false] - Accept an older index than previously seen.
+   * @returns {Promise<string>} Absolute manifest URL of the channel.
+   * @throws {Error} If the index is invalid, unsigned, stale, or does not list the channel.
+   */
+  async resolve(indexUrl, channel, { keyConfig, timeoutMs, keyring, state, allowDowngrade = false }) {
+    ChannelIndex.assertName(channel);
+    const index = await this.fetchIndex(indexUrl, { keyConfig, timeoutMs, keyring, state, allowDowngrade });
+
+    const channels = new Map(Object.entries(index.channels));
+    const entry = channels.get(channel);
+    if (!entry || typeof entry.manifest !== 'string') {
+      throw new Error(`Channel ${channel} is not in the channel index (available: ${[...channels.keys()].join(', ') || 'none'})`);
+    }
+    return new URL(entry.manifest, indexUrl).href;
+  }
+
+  /**
+   * Downloads the index and checks its signature, expiry and sequence.
+   * @param {string} indexUrl - URL of the signed channel index.
+   * @param {object} options - Options as for `resolve`.
+   * @returns {Promise<{channels: object}>} The verified index.
+   * @throws {Error} If any check fails.
+   */
+  async fetchIndex(indexUrl, { keyConfig, timeoutMs, keyring, state, allowDowngrade }) {
+    const handler = this.manifestHandler;
+    let index;
+    try {
+      index = JSON.parse(await handler.fetchText(indexUrl, timeoutMs));
+    } catch (e) {
+      throw new Error(`Could not load the channel index: ${e.message}`, { cause: e });
+    }
+
+    const keyId = index?.signature?.keyId;
+    if (!keyId) throw new Error('Channel index is missing signature.keyId');
+    if (index.format !== 2) throw new Error(`Unsupported channel index format: ${index.format}`);
+    if (!index.channels || typeof index.channels !== 'object') throw new Error('Channel index has no channels');
+
+    const publicKeyPem = await handler.resolveTrustedKey(keyConfig, keyId, timeoutMs, keyring);
+    handler.checkSignature(index, publicKeyPem);
+    handler.log('✓ Channel index signature verified');
+
+    await this.checkFreshness(index, { state, allowDowngrade });
+    return index;
+  }
+
+  /**
+   * Checks the expiry and sequence of a verified index, then records its sequence.
+   * @param {{sequence: number, expires: string}} index - Verified index.
+   * @param {object} options - Options object.
+   * @param {import('./install-state.js').default} [options.state] - Persists the highest accepted index sequence.
+   * @param {boolean} options.allowDowngrade - Accept an older index than previously seen.
+   * @returns {Promise<void>} Resolves once the index is accepted.
+   * @throws {Error} If the index is expired or older than the last one accepted.
+   */
+  async checkFreshness(index, { state, allowDowngrade }) {
+    // The index has its own sequence, kept apart from the manifest sequences of the channels.
+    const sequences = state && { getHighestSequence: () => state.getIndexSequence() };
+    let sequence;
+    try {
+      sequence = this.manifestHandler.checkFreshness(index, { state: sequences, allowDowngrade });
+    } catch (e) {
+      throw new Error(`Channel index rejected: ${e.message}`);
+    }
+    if (state) await state.setIndexSequence(sequence);
+  }
+}
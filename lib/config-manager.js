@@ -1,23 +1,86 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
 import ini from 'ini';
 import { access, readFile } from 'node:fs/promises';
 
 /**
  * @typedef {Object} ConfigShape
- * @property {string} manifest_url Base URL of the manifest.json
+ * @property {string} [install_dir] Content root to patch, relative to the launcher's directory; defaults to that directory
+ * @property {string} manifest_url Base URL of the manifest.json, used when no channel is set
+ * @property {string} [channel] Release channel (e.g. stable, beta, ptr) resolved through the channel index
+ * @property {string} [channel_index_url] URL of the signed channel index
  * @property {string} key Path to the PEM public key
+ * @property {string} keyring Path to the trusted keyring JSON file
+ * @property {boolean} allow_legacy_manifest Accept v1 manifests whose signature covers only the file list
+ * @property {boolean} allow_legacy_hashes Accept manifests with md5 or sha1 file digests
  * @property {number} download_timeout Download timeout in milliseconds
  * @property {number} concurrent_downloads Max concurrent file downloads
+ * @property {number} max_connections_per_host Max concurrent requests to one host; 0 for no limit
+ * @property {number} download_retries Attempts per mirror before failing over to the next one
+ * @property {string} [max_download_rate] Bandwidth limit shared by all downloads, e.g. `500K` or `2M`; 0 for unlimited
+ * @property {string[]} [download_schedule] Time-of-day windows with their own limit, e.g. `08:00-18:00=512K`
+ * @property {number} self_update_attempts Starts an updated launcher gets to pass its health check before it is rolled back
  * @property {boolean} verify_integrity Verify file integrity after download
- * @property {string} hash_algorithm Hash algorithm for integrity checks
+ * @property {string} hash_algorithm Default hash algorithm for `generate`; the launcher uses the manifest's
+ * @property {string[]} protected_paths Paths (files or directories) never pruned from the install
+ * @property {string} [launch_executable] Game client to start after patching; overrides the manifest
+ * @property {string[]} [launch_args] Arguments for the game client, split like a command line or one per `launch_args[]` line; replace the manifest's
+ * @property {string} [launch_cwd] Working directory for the game client; overrides the manifest
+ * @property {string[]} [launch_env] `KEY=VALUE` pairs added to the game client's environment, comma-separated or one per `launch_env[]` line
  */
 
+/** A comma that starts the next `KEY=VALUE` pair; other commas belong to the value. */
+const ENV_SEPARATOR = /,(?=\s*[A-Za-z_][A-Za-z0-9_]*=)/;
+
+/** Pieces of a command line: a quoted run (an unclosed quote runs to the end), blanks, or other characters. */
+const ARGUMENT_TOKENS = /"[^"]*"?|'[^']*'?|\s+|[^\s"']+/g;
+
+/**
+ * Strips the quotes from a quoted piece of a command line.
+ * @param {string} token - Piece matched by `ARGUMENT_TOKENS`.
+ * @returns {string} The text inside the quotes, or the token as it is.
+ */
+const unquote = (token) => {
+  const quote = token[0];
+  if (quote !== '"' && quote !== "'") return token;
+  const inner = token.slice(1);
+  return inner.endsWith(quote) ? inner.slice(0, -1) : inner;
+};
+
+/**
+ * Splits a command line into arguments, honoring double and single quotes so paths with spaces
+ * stay whole. Backslashes are literal, so Windows paths need no escaping.
+ * @param {string} line - Arguments as written in the config, e.g. `-path "C:\\Program Files\\L2"`.
+ * @returns {string[]} The arguments, without their quotes.
+ */
+const splitArguments = (line) => {
+  const args = [];
+  let current = null; // Argument being read; null between arguments, so "" still counts as one.
+  (line.match(ARGUMENT_TOKENS) ?? []).forEach((token) => {
+    if (/^\s/.test(token)) {
+      if (current !== null) args.push(current);
+      current = null;
+      return;
+    }
+    current = (current ?? '') + unquote(token);
+  });
+  if (current !== null) args.push(current);
+  return args;
+};
+
 const DEFAULT_CONFIG = {
   manifest_url: 'http://localhost:3000/manifest.json',
   key: 'public-key.pem',
+  keyring: 'keyring.json',
+  allow_legacy_manifest: false,
+  allow_legacy_hashes: false,
   download_timeout: 30000,
   concurrent_downloads: 4,
+  max_connections_per_host: 0,
+  download_retries: 3,
+  self_update_attempts: 3,
   verify_integrity: true,
   hash_algorithm: 'sha256',
+  protected_paths: [],
 };
 
 /** @type {Map<keyof ConfigShape, { get:(cfg: ConfigShape, d: unknown)=>unknown, set:(cfg: ConfigShape, v: unknown)=>void }>} */
@@ -31,6 +94,33 @@ const FIELD_ACCESSORS = new Map([
       },
     },
   ],
+  [
+    'install_dir',
+    {
+      get: (cfg, d) => cfg.install_dir ?? d,
+      set: (cfg, v) => {
+        cfg.install_dir = String(v);
+      },
+    },
+  ],
+  [
+    'channel',
+    {
+      get: (cfg, d) => cfg.channel ?? d,
+      set: (cfg, v) => {
+        cfg.channel = String(v).trim();
+      },
+    },
+  ],
+  [
+    'channel_index_url',
+    {
+      get: (cfg, d) => cfg.channel_index_url ?? d,
+      set: (cfg, v) => {
+        cfg.channel_index_url = String(v);
+      },
+    },
+  ],
   [
     'key',
     {
@@ -40,6 +130,33 @@ const FIELD_ACCESSORS = new Map([
       },
     },
   ],
+  [
+    'keyring',
+    {
+      get: (cfg, d) => cfg.keyring ?? d,
+      set: (cfg, v) => {
+        cfg.keyring = String(v);
+      },
+    },
+  ],
+  [
+    'allow_legacy_manifest',
+    {
+      get: (cfg, d) => cfg.allow_legacy_manifest ?? d,
+      set: (cfg, v) => {
+        cfg.allow_legacy_manifest = Boolean(v);
+      },
+    },
+  ],
+  [
+    'allow_legacy_hashes',
+    {
+      get: (cfg, d) => cfg.allow_legacy_hashes ?? d,
+      set: (cfg, v) => {
+        cfg.allow_legacy_hashes = Boolean(v);
+      },
+    },
+  ],
   [
     'download_timeout',
     {
@@ -58,6 +175,52 @@ const FIELD_ACCESSORS = new Map([
       },
     },
   ],
+  [
+    'max_connections_per_host',
+    {
+      get: (cfg, d) => cfg.max_connections_per_host ?? d,
+      set: (cfg, v) => {
+        cfg.max_connections_per_host = Number(v);
+      },
+    },
+  ],
+  [
+    'download_retries',
+    {
+      get: (cfg, d) => cfg.download_retries ?? d,
+      set: (cfg, v) => {
+        cfg.download_retries = Number(v);
+      },
+    },
+  ],
+  [
+    'max_download_rate',
+    {
+      get: (cfg, d) => cfg.max_download_rate ?? d,
+      set: (cfg, v) => {
+        cfg.max_download_rate = String(v).trim();
+      },
+    },
+  ],
+  [
+    'download_schedule',
+    {
+      get: (cfg, d) => cfg.download_schedule ?? d,
+      set: (cfg, v) => {
+        const list = Array.isArray(v) ? v : String(v).split(',');
+        cfg.download_schedule = list.map((w) => String(w).trim()).filter(Boolean);
+      },
+    },
+  ],
+  [
+    'self_update_attempts',
+    {
+      get: (cfg, d) => cfg.self_update_attempts ?? d,
+      set: (cfg, v) => {
+        cfg.self_update_attempts = Number(v);
+      },
+    },
+  ],
   [
     'verify_integrity',
     {
@@ -76,6 +239,53 @@ const FIELD_ACCESSORS = new Map([
       },
     },
   ],
+  [
+    'protected_paths',
+    {
+      get: (cfg, d) => cfg.protected_paths ?? d,
+      set: (cfg, v) => {
+        const list = Array.isArray(v) ? v : String(v).split(',');
+        cfg.protected_paths = list.map((p) => String(p).trim().replace(/\\/g, '/')).filter(Boolean);
+      },
+    },
+  ],
+  [
+    'launch_executable',
+    {
+      get: (cfg, d) => cfg.launch_executable ?? d,
+      set: (cfg, v) => {
+        cfg.launch_executable = String(v);
+      },
+    },
+  ],
+  [
+    'launch_args',
+    {
+      get: (cfg, d) => cfg.launch_args ?? d,
+      set: (cfg, v) => {
+        cfg.launch_args = Array.isArray(v) ? v.map(String) : splitArguments(String(v));
+      },
+    },
+  ],
+  [
+    'launch_cwd',
+    {
+      get: (cfg, d) => cfg.launch_cwd ?? d,
+      set: (cfg, v) => {
+        cfg.launch_cwd = String(v);
+      },
+    },
+  ],
+  [
+    'launch_env',
+    {
+      get: (cfg, d) => cfg.launch_env ?? d,
+      set: (cfg, v) => {
+        const list = Array.isArray(v) ? v : String(v).split(ENV_SEPARATOR);
+        cfg.launch_env = list.map((p) => String(p).trim()).filter(Boolean);
+      },
+    },
+  ],
 ]);
 
 /** @typedef {keyof ConfigShape} ConfigKey */
@@ -87,31 +297,33 @@ export default class ConfigManager {
   /** @type {ConfigShape} */
   config;
 
-  /** Creates a manager with default values. */
-  constructor() {
+  /**
+   * Creates a manager with default values.
+   * @param {string} [path='config.ini'] - Location of the config file; relative paths resolve against the current directory.
+   */
+  constructor(path = 'config.ini') {
+    this.path = path;
     this.config = { ...DEFAULT_CONFIG };
   }
 
   /**
-   * Loads config from `config.ini` if it exists.
-   * Only known keys are applied.
+   * Loads config from the config file if it exists.
+   * Only known keys are applied, each through its whitelisted accessor.
    * @returns {Promise<boolean>} True if loaded, false if not found/unreadable.
    */
   async load() {
     try {
-      await access('config.ini');
+      await access(this.path);
       const next = { ...DEFAULT_CONFIG };
-      const content = await readFile('config.ini', 'utf8');
+      const content = await readFile(this.path, 'utf8');
 
       /** @type {Partial<ConfigShape>} */
       const parsed = ini.parse(content);
 
-      if (parsed.manifest_url !== undefined) next.manifest_url = String(parsed.manifest_url);
-      if (parsed.key !== undefined) next.key = String(parsed.key);
-      if (parsed.download_timeout !== undefined) next.download_timeout = Number(parsed.download_timeout);
-      if (parsed.concurrent_downloads !== undefined) next.concurrent_downloads = Number(parsed.concurrent_downloads);
-      if (parsed.verify_integrity !== undefined) next.verify_integrity = Boolean(parsed.verify_integrity);
-      if (parsed.hash_algorithm !== undefined) next.hash_algorithm = String(parsed.hash_algorithm);
+      FIELD_ACCESSORS.forEach((accessor) => {
+        const value = accessor.get(parsed, undefined);
+        if (value !== undefined) accessor.set(next, value);
+      });
 
       this.config = next;
       return true;
@@ -0,0 +1,276 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+import { open, readFile } from 'node:fs/promises';
+import { promisify } from 'node:util';
+import { brotliCompress, brotliDecompress, constants as zlibConstants } from 'node:zlib';
+
+const compress = promisify(brotliCompress);
+const decompress = promisify(brotliDecompress);
+
+/** Magic bytes at the start of every decompressed patch. */
+const MAGIC = Buffer.from('LPD1');
+const HEADER_SIZE = MAGIC.length + 8;
+const OP_COPY = 1;
+const OP_ADD = 2;
+/** Block size used to index the source when creating patches. */
+const BLOCK_SIZE = 32;
+/** Bytes copied from the source per read while applying a patch. */
+const COPY_CHUNK = 1024 * 1024;
+const HASH_BASE = 257;
+const HASH_MODULUS = 2 ** 32;
+
+/**
+ * Wraps an integer into the unsigned 32-bit range.
+ * @param {number} n - Value to wrap.
+ * @returns {number} Value modulo 2^32.
+ */
+const toUint32 = (n) => ((n % HASH_MODULUS) + HASH_MODULUS) % HASH_MODULUS;
+
+/**
+ * Polynomial hash of one block, kept in 32 bits so it can be rolled cheaply.
+ * @param {Buffer} buf - Data to hash.
+ * @param {number} start - Offset of the block.
+ * @returns {number} Unsigned 32-bit hash.
+ */
+const blockHash = (buf, start) => buf.subarray(start, start + BLOCK_SIZE).reduce((h, byte) => toUint32(Math.imul(h, HASH_BASE) + byte), 0);
+
+/** HASH_BASE^(BLOCK_SIZE-1), the weight of the byte leaving the rolling window. */
+const OUT_WEIGHT = Array.from({ length: BLOCK_SIZE - 1 }).reduce((w) => toUint32(Math.imul(w, HASH_BASE)), 1);
+
+/**
+ * Slides the block hash one byte forward.
+ * @param {number} hash - Hash of the current window.
+ * @param {number} outByte - Byte leaving the window.
+ * @param {number} inByte - Byte entering the window.
+ * @returns {number} Hash of the next window.
+ */
+const rollHash = (hash, outByte, inByte) => toUint32(Math.imul(toUint32(hash - toUint32(Math.imul(outByte, OUT_WEIGHT))), HASH_BASE) + inByte);
+
+/**
+ * @typedef {Object} PatchOp
+ * @property {1|2} type - OP_COPY or OP_ADD.
+ * @property {number} [offset] - Source offset for COPY.
+ * @property {number} length - Bytes produced by the operation.
+ * @property {Buffer} [data] - Literal bytes for ADD.
+ */
+
+/**
+ * Creates and applies binary delta patches between two versions of a file.
+ *
+ * A patch is a Brotli-compressed stream in the style of VCDIFF: the `LPD1` magic, the
+ * target size as a 64-bit integer, then a sequence of COPY (source offset, length) and
+ * ADD (length, literal bytes) operations that rebuild the target from the source.
+ * Applying reads the source with positional reads, so only the patch is held in memory.
+ */
+export default class DeltaPatcher {
+  /**
+   * Builds a patch that turns `source` into `target`.
+   * Both files are held in memory, so this is meant for release tooling, not the launcher.
+   * @param {Buffer} source - Old file contents.
+   * @param {Buffer} target - New file contents.
+   * @returns {Promise<Buffer>} Compressed patch.
+   */
+  create(source, target) {
+    const ops = this.diff(source, target);
+    const header = Buffer.alloc(HEADER_SIZE);
+    MAGIC.copy(header);
+    header.writeBigUInt64LE(BigInt(target.length), MAGIC.length);
+
+    const body = Buffer.concat([header, ...ops.map((op) => this.encodeOp(op))]);
+    return compress(body, {
+      params: {
+        [zlibConstants.BROTLI_PARAM_QUALITY]: 9,
+        [zlibConstants.BROTLI_PARAM_SIZE_HINT]: body.length,
+      },
+    });
+  }
+
+  /**
+   * Finds COPY/ADD operations by indexing source blocks and rolling a hash over the target.
+   * @param {Buffer} source - Old file contents.
+   * @param {Buffer} target - New file contents.
+   * @returns {PatchOp[]} Operations in target order.
+   */
+  diff(source, target) {
+    const index = this.indexBlocks(source);
+    const ops = [];
+    let pending = 0;
+    let pos = 0;
+    let hash = target.length >= BLOCK_SIZE ? blockHash(target, 0) : 0;
+
+    while (pos + BLOCK_SIZE <= target.length) {
+      const match = this.matchAt(source, target, index.get(hash), pos, pending);
+      if (match) {
+        this.pushAdd(ops, target, pending, match.targetStart);
+        ops.push({ type: OP_COPY, offset: match.sourceStart, length: match.length });
+        pos = match.targetStart + match.length;
+        pending = pos;
+        hash = pos + BLOCK_SIZE <= target.length ? blockHash(target, pos) : 0;
+      } else {
+        if (pos + BLOCK_SIZE < target.length) hash = rollHash(hash, target.readUInt8(pos), target.readUInt8(pos + BLOCK_SIZE));
+        pos += 1;
+      }
+    }
+
+    this.pushAdd(ops, target, pending, target.length);
+    return ops;
+  }
+
+  /**
+   * Maps the hash of every aligned source block to its first offset.
+   * @param {Buffer} source - Old file contents.
+   * @returns {Map<number, number>} Block hash to source offset.
+   */
+  indexBlocks(source) {
+    const index = new Map();
+    for (let off = 0; off + BLOCK_SIZE <= source.length; off += BLOCK_SIZE) {
+      const hash = blockHash(source, off);
+      if (!index.has(hash)) index.set(hash, off);
+    }
+    return index;
+  }
+
+  /**
+   * Confirms a candidate block match and extends it forwards, and backwards into bytes
+   * that would otherwise be emitted as literals.
+   * @param {Buffer} source - Old file contents.
+   * @param {Buffer} target - New file contents.
+   * @param {number|undefined} candidate - Source offset with the same block hash.
+   * @param {number} pos - Target offset of the current window.
+   * @param {number} pending - Start of target bytes not yet covered by an operation.
+   * @returns {{sourceStart: number, targetStart: number, length: number}|null} The match, if any.
+   */
+  matchAt(source, target, candidate, pos, pending) {
+    if (candidate === undefined || source.compare(target, pos, pos + BLOCK_SIZE, candidate, candidate + BLOCK_SIZE) !== 0) return null;
+
+    let end = BLOCK_SIZE;
+    while (candidate + end < source.length && pos + end < target.length && source.readUInt8(candidate + end) === target.readUInt8(pos + end)) end += 1;
+
+    let back = 0;
+    while (pos - back > pending && candidate - back > 0 && source.readUInt8(candidate - back - 1) === target.readUInt8(pos - back - 1)) back += 1;
+
+    return { sourceStart: candidate - back, targetStart: pos - back, length: end + back };
+  }
+
+  /**
+   * Appends an ADD operation for a non-empty range of target bytes.
+   * @param {PatchOp[]} ops - Operation list.
+   * @param {Buffer} target - New file contents.
+   * @param {number} start - First literal byte.
+   * @param {number} end - End of the literal range (exclusive).
+   * @returns {void}
+   */
+  pushAdd(ops, target, start, end) {
+    if (end > start) ops.push({ type: OP_ADD, length: end - start, data: target.subarray(start, end) });
+  }
+
+  /**
+   * Serializes one operation.
+   * @param {PatchOp} op - Operation to encode.
+   * @returns {Buffer} Encoded bytes.
+   */
+  encodeOp(op) {
+    if (op.type === OP_COPY) {
+      const buf = Buffer.alloc(13);
+      buf.writeUInt8(OP_COPY, 0);
+      buf.writeBigUInt64LE(BigInt(op.offset), 1);
+      buf.writeUInt32LE(op.length, 9);
+      return buf;
+    }
+    const head = Buffer.alloc(5);
+    head.writeUInt8(OP_ADD, 0);
+    head.writeUInt32LE(op.length, 1);
+    return Buffer.concat([head, op.data]);
+  }
+
+  /**
+   * Rebuilds the new file from the local old file and a patch.
+   * The caller verifies the result against the manifest hash before installing it.
+   * @param {string} sourcePath - Current local file.
+   * @param {string} patchPath - Downloaded patch.
+   * @param {string} outputPath - Where to write the rebuilt file.
+   * @returns {Promise<void>} Resolves once the output is written.
+   * @throws {Error} If the patch is malformed or does not fit the source file.
+   */
+  async apply(sourcePath, patchPath, outputPath) {
+    const { targetSize, ops } = this.parse(await decompress(await readFile(patchPath)));
+    const source = await open(sourcePath, 'r');
+    const output = await open(outputPath, 'w');
+    try {
+      const { size } = await source.stat();
+      const written = await ops.reduce(async (prev, op) => {
+        const pos = await prev;
+        if (op.type === OP_ADD) {
+          await output.write(op.data, 0, op.length, pos);
+        } else {
+          if (op.offset + op.length > size) throw new Error('Patch copies beyond the end of the source file');
+          await this.copyRange(source, output, op.offset, op.length, pos);
+        }
+        return pos + op.length;
+      }, Promise.resolve(0));
+
+      if (written !== targetSize) throw new Error(`Patch produced ${written} bytes, expected ${targetSize}`);
+    } finally {
+      await Promise.all([source.close(), output.close()]);
+    }
+  }
+
+  /**
+   * Copies a byte range from the source to the output in bounded chunks.
+   * @param {import('node:fs/promises').FileHandle} source - Source file.
+   * @param {import('node:fs/promises').FileHandle} output - Output file.
+   * @param {number} offset - Source offset.
+   * @param {number} length - Bytes to copy.
+   * @param {number} pos - Output offset.
+   * @returns {Promise<void>} Resolves once the range is copied.
+   */
+  async copyRange(source, output, offset, length, pos) {
+    if (length <= 0) return;
+    const size = Math.min(length, COPY_CHUNK);
+    const { buffer, bytesRead } = await source.read(Buffer.alloc(size), 0, size, offset);
+    if (bytesRead !== size) throw new Error('Unexpected end of source file');
+    await output.write(buffer, 0, size, pos);
+    await this.copyRange(source, output, offset + size, length - size, pos + size);
+  }
+
+  /**
+   * Decodes a decompressed patch into its operations.
+   * @param {Buffer} body - Decompressed patch.
+   * @returns {{targetSize: number, ops: PatchOp[]}} Target size and operations.
+   * @throws {Error} If the patch is malformed.
+   */
+  parse(body) {
+    if (body.length < HEADER_SIZE || body.compare(MAGIC, 0, MAGIC.length, 0, MAGIC.length) !== 0) {
+      throw new Error('Not a delta patch');
+    }
+    const targetSize = Number(body.readBigUInt64LE(MAGIC.length));
+    const ops = [];
+    let pos = HEADER_SIZE;
+    while (pos < body.length) {
+      const op = this.decodeOp(body, pos);
+      ops.push(op.op);
+      pos = op.next;
+    }
+    return { targetSize, ops };
+  }
+
+  /**
+   * Decodes the operation at `pos`.
+   * @param {Buffer} body - Decompressed patch.
+   * @param {number} pos - Offset of the opcode.
+   * @returns {{op: PatchOp, next: number}} The operation and the offset after it.
+   * @throws {Error} On an unknown opcode or truncated data.
+   */
+  decodeOp(body, pos) {
+    const type = body.readUInt8(pos);
+    if (type === OP_COPY) {
+      return { op: { type, offset: Number(body.readBigUInt64LE(pos + 1)), length: body.readUInt32LE(pos + 9) }, next: pos + 13 };
+    }
+    if (type === OP_ADD) {
+      const length = body.readUInt32LE(pos + 1);
+      const start = pos + 5;
+      if (start + length > body.length) throw new Error('Truncated delta patch');
+      return { op: { type, length, data: body.subarray(start, start + length) }, next: start + length };
+    }
+    throw new Error(`Unknown delta patch operation ${type}`);
+  }
+}
@@ -0,0 +1,71 @@
+/** Hash algorithms accepted for file digests, with their digest length in bytes. */
+const ALGORITHMS = new Map([
+  ['sha256', 32],
+  ['sha384', 48],
+  ['sha512', 64],
+  ['blake2b512', 64],
+]);
+
+/** Broken algorithms, accepted only when legacy hashes are allowed. */
+const LEGACY_ALGORITHMS = new Map([
+  ['md5', 16],
+  ['sha1', 20],
+]);
+
+/** Subresource Integrity form: `<algorithm>-<base64 digest>`. */
+const SRI_PATTERN = /^([a-z\d]+)-([A-Za-z\d+/]+={0,2})$/;
+const HEX_PATTERN = /^[\da-f]+$/i;
+
+/**
+ * Validates hash algorithms and reads the digests written in manifests: plain hex in the
+ * manifest's `algorithm`, or SRI strings such as `sha512-<base64>` that name their own.
+ */
+export default class Digest {
+  /**
+   * Checks that an algorithm may be used for file digests.
+   * @param {string} algorithm - Algorithm name, e.g. `sha512`.
+   * @param {object} [options] - Options object.
+   * @param {boolean} [options.allowLegacy=false] - Also accept md5 and sha1.
+   * @returns {string} The algorithm.
+   * @throws {Error} If the algorithm is unknown, or weak and legacy hashes are not allowed.
+   */
+  static assertSupported(algorithm, { allowLegacy = false } = {}) {
+    if (LEGACY_ALGORITHMS.has(algorithm)) {
+      if (allowLegacy) return algorithm;
+      throw new Error(`Hash algorithm ${algorithm} is too weak; set allow_legacy_hashes=true to accept it`);
+    }
+    if (!ALGORITHMS.has(algorithm)) {
+      throw new Error(`Unsupported hash algorithm: ${algorithm} (expected ${[...ALGORITHMS.keys()].join(', ')})`);
+    }
+    return algorithm;
+  }
+
+  /**
+   * Checks whether an algorithm is one of the broken ones kept for old releases.
+   * @param {string} algorithm - Algorithm name.
+   * @returns {boolean} True for md5 and sha1.
+   */
+  static isLegacy(algorithm) {
+    return LEGACY_ALGORITHMS.has(algorithm);
+  }
+
+  /**
+   * Reads a manifest digest into an algorithm and a lowercase hex value.
+   * @param {unknown} value - Hex digest, or an SRI string with its own algorithm.
+   * @param {string} algorithm - Algorithm of plain hex digests.
+   * @param {object} [options] - Options as for `assertSupported`.
+   * @returns {{algorithm: string, hex: string}} Algorithm and hex digest.
+   * @throws {Error} If the digest is malformed, has the wrong length or uses a rejected algorithm.
+   */
+  static parse(value, algorithm, options) {
+    const sri = typeof value === 'string' ? SRI_PATTERN.exec(value) : null;
+    const parsed = sri ? { algorithm: sri[1], hex: Buffer.from(sri[2], 'base64').toString('hex') } : { algorithm, hex: String(value).toLowerCase() };
+
+    Digest.assertSupported(parsed.algorithm, options);
+    const bytes = ALGORITHMS.get(parsed.algorithm) ?? LEGACY_ALGORITHMS.get(parsed.algorithm);
+    if (typeof value !== 'string' || !HEX_PATTERN.test(parsed.hex) || parsed.hex.length !== bytes * 2) {
+      throw new Error(`Invalid ${parsed.algorithm} digest: ${value}`);
+    }
+    return parsed;
+  }
+}
@@ -0,0 +1,661 @@
+/* eslint-disable n/no-unsupported-features/node-builtins, security/detect-non-literal-fs-filename */
+import { createHash } from 'node:crypto';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { readFile, rename, rm, stat, unlink, writeFile } from 'node:fs/promises';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import zlib from 'node:zlib';
+
+/** Suffix of the partial download kept between attempts. */
+const PART_SUFFIX = '.part';
+/** Suffix of the sidecar that records what the partial download belongs to. */
+const META_SUFFIX = '.part.json';
+const HTTP_PARTIAL_CONTENT = 206;
+const HTTP_RANGE_NOT_SATISFIABLE = 416;
+
+/**
+ * Transfer encodings a manifest entry may declare, with the suffix of the compressed object
+ * on the CDN and the decoder for it. zstd needs a Node.js build with zstd support in zlib.
+ * fetch always decodes gzip and br bodies labelled with a Content-Encoding, but only some
+ * runtimes decode zstd (Node.js 22 does not), so zstd bodies are recognised by their `magic`
+ * bytes instead of their label.
+ * @type {Map<string, {suffix: string, createDecoder: () => import('node:stream').Transform, magic?: Buffer}>}
+ */
+const TRANSFER_ENCODINGS = new Map([
+  ['gzip', { suffix: '.gz', createDecoder: () => zlib.createGunzip() }],
+  ['br', { suffix: '.br', createDecoder: () => zlib.createBrotliDecompress() }],
+  [
+    'zstd',
+    {
+      suffix: '.zst',
+      magic: Buffer.from([0x28, 0xb5, 0x2f, 0xfd]),
+      createDecoder: () => {
+        if (typeof zlib.createZstdDecompress !== 'function') throw new Error('zstd is not supported by this Node.js version');
+        return zlib.createZstdDecompress();
+      },
+    },
+  ],
+]);
+
+/**
+ * Creates a decoder that only decodes a body still starting with the encoding's magic bytes and
+ * passes any other body through unchanged, for bodies the runtime's fetch may have decoded already.
+ * @param {Buffer} magic - Leading bytes of an encoded body.
+ * @param {() => import('node:stream').Transform} createDecoder - Creates the decoder for an encoded body.
+ * @param {(encoded: boolean) => void} onSniffed - Told whether the body was still encoded.
+ * @returns {import('node:stream').Transform} Decoding or pass-through stream.
+ */
+const createSniffingDecoder = (magic, createDecoder, onSniffed) => {
+  let head = Buffer.alloc(0);
+  /** @type {import('node:stream').Transform|null|undefined} Undefined until the first bytes are in. */
+  let decoder;
+
+  const sniff = (output) => {
+    decoder = head.subarray(0, magic.length).equals(magic) ? createDecoder() : null;
+    decoder?.on('data', (chunk) => output.push(chunk));
+    decoder?.on('error', (err) => output.destroy(err));
+    onSniffed(Boolean(decoder));
+  };
+  const forward = (output, chunk, callback) => {
+    if (!decoder) {
+      callback(null, chunk);
+      return;
+    }
+    if (decoder.write(chunk)) callback();
+    else decoder.once('drain', () => callback());
+  };
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      if (decoder !== undefined) {
+        forward(this, chunk, callback);
+        return;
+      }
+      head = Buffer.concat([head, chunk]);
+      if (head.length < magic.length) {
+        callback();
+        return;
+      }
+      sniff(this);
+      forward(this, head, callback);
+    },
+    flush(callback) {
+      if (decoder === undefined) {
+        sniff(this);
+        if (!decoder) {
+          callback(null, head);
+          return;
+        }
+        decoder.write(head);
+      }
+      if (!decoder) {
+        callback();
+        return;
+      }
+      decoder.once('end', () => callback());
+      decoder.end();
+    },
+  });
+};
+
+/**
+ * Checks whether the server compressed a response body on its own, despite the request for identity encoding.
+ * @param {Response} res - Fetch response.
+ * @returns {boolean} True if the response carries a Content-Encoding other than identity.
+ */
+const isContentEncoded = (res) => {
+  const encoding = res.headers.get('content-encoding');
+  return Boolean(encoding) && encoding !== 'identity';
+};
+
+/**
+ * Builds an error for a failed HTTP response, keeping the status for retry decisions.
+ * @param {Response} res - Failed fetch response.
+ * @param {string} [detail] - Message suffix, defaults to the status text.
+ * @returns {Error & {status: number}} Error carrying `status`.
+ */
+const httpError = (res, detail = res.statusText) => Object.assign(new Error(`HTTP ${res.status}: ${detail}`), { status: res.status });
+
+/**
+ * Builds an error for downloaded bytes that do not match their expected digest.
+ * @param {string} label - What was checked, e.g. `Hash` or `Compressed hash`.
+ * @param {string} expected - Expected hex digest.
+ * @param {string} got - Actual hex digest.
+ * @returns {Error & {code: 'EINTEGRITY'}} Error carrying `code`.
+ */
+const integrityError = (label, expected, got) => Object.assign(new Error(`${label} mismatch: expected ${expected}, got ${got}`), { code: 'EINTEGRITY' });
+
+/**
+ * Builds an error for a download whose length differs from the size declared in the manifest.
+ * @param {number} expected - Declared size in bytes.
+ * @param {number|string} got - Bytes received, or a description such as `at least 2048`.
+ * @returns {Error & {code: 'ESIZE'}} Error carrying `code`.
+ */
+const sizeError = (expected, got) => Object.assign(new Error(`Size mismatch: expected ${expected} bytes, got ${got}`), { code: 'ESIZE' });
+
+/**
+ * @typedef {Object} PartMeta
+ * @property {string|null} expectedHash - Digest the finished file must match.
+ * @property {string|null} etag - Strong ETag of the response the partial came from.
+ * @property {string|null} lastModified - Last-Modified header of that response.
+ *
+ * @typedef {Object} ResumeState
+ * @property {number} offset - Bytes already on disk.
+ * @property {string} validator - Value for the If-Range header.
+ */
+
+/**
+ * Downloads files over HTTP into `<output>.part`, resuming interrupted transfers with
+ * `Range`/`If-Range` and promoting the file to its final path only after hash verification.
+ *
+ * A `<output>.part.json` sidecar records the expected hash and the ETag or Last-Modified
+ * value of the response. A partial is resumed only when both still match; a server that
+ * ignores the range (200 instead of 206) simply restarts the transfer from byte zero.
+ * Every plain request asks for identity encoding; a body the server compresses anyway is
+ * never resumed, since range offsets would count its encoded bytes.
+ *
+ * Entries with a transfer encoding are fetched compressed and decompressed while they are
+ * written. The compressed bytes are checked against their own hash on the way through and
+ * the decompressed file against the manifest hash. Such transfers always start from byte zero.
+ *
+ * With an expected size, a body that runs past it is aborted as soon as the extra bytes arrive,
+ * and a finished file of the wrong length is rejected before it is hashed.
+ *
+ * With a rate limiter, response bytes are throttled before anything else sees them. While a
+ * limit applies, the timeout restarts whenever the limiter releases bytes, so a throttled
+ * transfer is only aborted when it stalls, not because the limit makes it slow.
+ */
+export default class Downloader {
+  /**
+   * @param {object} [options] - Optional settings.
+   * @param {typeof fetch} [options.fetch=globalThis.fetch] - Fetch implementation used for all requests.
+   * @param {import('./rate-limiter.js').default} [options.rateLimiter] - Bandwidth limit shared with other downloaders.
+   */
+  constructor({ fetch: fetchImpl = globalThis.fetch, rateLimiter } = {}) {
+    this.fetch = fetchImpl;
+    this.rateLimiter = rateLimiter ?? null;
+  }
+
+  /**
+   * Downloads a file, resuming a previous partial transfer when possible.
+   * @param {string} url - Absolute URL to download.
+   * @param {string} outputPath - Final destination path.
+   * @param {object} options - Download options.
+   * @param {string} [options.expectedHash] - Expected hex digest of the complete file.
+   * @param {string} [options.hashAlgorithm='sha256'] - Algorithm used for verification.
+   * @param {number} [options.expectedSize] - Size of the complete file in bytes, as declared by the manifest.
+   * @param {number} options.timeoutMs - Abort the attempt after this many milliseconds.
+   * @param {(pct:number)=>void} [options.onProgress] - Called with 0–100 as bytes arrive.
+   * @param {string} [options.encoding] - Transfer encoding of the response body (`gzip`, `br` or `zstd`).
+   * @param {string} [options.compressedHash] - Expected hex digest of the compressed body.
+   * @param {number} [options.compressedSize] - Size of the compressed body, for progress when the server omits it.
+   * @returns {Promise<void>} Resolves once the verified file is at `outputPath`.
+   * @throws {Error} On failure; HTTP errors carry the response `status`.
+   */
+  download(url, outputPath, options) {
+    const opts = { hashAlgorithm: 'sha256', ...options };
+    if (opts.encoding && opts.encoding !== 'identity') return this.downloadEncoded(url, outputPath, opts);
+    return this.downloadPlain(url, outputPath, opts);
+  }
+
+  /**
+   * Downloads an uncompressed body, resuming a previous partial transfer when possible.
+   * @param {string} url - Absolute URL to download.
+   * @param {string} outputPath - Final destination path.
+   * @param {object} options - Download options, as for `download`.
+   * @returns {Promise<void>} Resolves once the verified file is at `outputPath`.
+   */
+  async downloadPlain(url, outputPath, { expectedHash, hashAlgorithm, expectedSize, timeoutMs, onProgress }) {
+    const partPath = `${outputPath}${PART_SUFFIX}`;
+    const metaPath = `${outputPath}${META_SUFFIX}`;
+    const resume = await this.loadResumeState(partPath, metaPath, expectedHash);
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const res = await this.fetch(url, { signal: controller.signal, headers: this.buildRangeHeaders(resume) });
+      if (resume) await this.checkResumedResponse(res, partPath, metaPath);
+      if (!res.ok) throw httpError(res);
+
+      const offset = await this.resolveOffset(res, resume, metaPath, expectedHash);
+      const readable = this.normalizeStream(res.body);
+      if (!readable) throw new Error('No readable response body');
+
+      const total = this.announcedTotal(res, offset);
+      await this.checkAnnouncedSize(total, expectedSize, partPath, metaPath);
+
+      const written = pipeline(
+        readable,
+        ...this.createThrottleStages(timeout),
+        this.createProgressTracker(offset, total, onProgress),
+        ...this.createSizeGuardStages(offset, expectedSize),
+        createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' })
+      );
+      await this.discardOnSizeError(written, partPath, metaPath);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    await this.promotePartial(partPath, metaPath, outputPath, { expectedHash, hashAlgorithm, expectedSize });
+  }
+
+  /**
+   * Works out the final file size a response announces. A body the server compressed anyway is
+   * decoded by fetch, so its Content-Length says nothing about the file and is ignored.
+   * @param {Response} res - Successful fetch response.
+   * @param {number} offset - Bytes already on disk.
+   * @returns {number} Announced final size in bytes, or 0 if unknown.
+   */
+  announcedTotal(res, offset) {
+    if (isContentEncoded(res)) return 0;
+    const length = parseInt(res.headers.get('content-length') || '0', 10);
+    return length > 0 ? offset + length : 0;
+  }
+
+  /**
+   * Rejects a response whose announced length does not match the expected size, before any of
+   * its body is written. The partial is discarded, since the remote file is not the one expected.
+   * @param {number} total - Final size announced by Content-Length, or 0 if unknown.
+   * @param {number} [expectedSize] - Expected size in bytes.
+   * @param {string} partPath - Path of the partial download.
+   * @param {string} metaPath - Path of the sidecar metadata.
+   * @returns {Promise<void>} Resolves if the sizes agree or either is unknown.
+   */
+  async checkAnnouncedSize(total, expectedSize, partPath, metaPath) {
+    if (total === 0 || !Number.isFinite(expectedSize) || total === expectedSize) return;
+    await this.discardPartial(partPath, metaPath);
+    throw sizeError(expectedSize, total);
+  }
+
+  /**
+   * Waits for a transfer and discards the partial if it ran past the expected size, since
+   * resuming it could never produce the right file.
+   * @param {Promise<void>} transfer - The running transfer.
+   * @param {string} partPath - Path of the partial download.
+   * @param {string} metaPath - Path of the sidecar metadata.
+   * @returns {Promise<void>} Resolves once the transfer is done.
+   */
+  async discardOnSizeError(transfer, partPath, metaPath) {
+    try {
+      await transfer;
+    } catch (err) {
+      if (err.code === 'ESIZE') await this.discardPartial(partPath, metaPath);
+      throw err;
+    }
+  }
+
+  /**
+   * Asks the server for the size of a file without downloading it.
+   * @param {string} url - Absolute URL of the file.
+   * @param {number} timeoutMs - Abort the request after this many milliseconds.
+   * @returns {Promise<number|null>} Content-Length in bytes, or null if the server does not report it.
+   * @throws {Error} On failure; HTTP errors carry the response `status`.
+   */
+  async probeSize(url, timeoutMs) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await this.fetch(url, { method: 'HEAD', signal: controller.signal, headers: { 'Accept-Encoding': 'identity' } });
+      if (!res.ok) throw httpError(res);
+      const length = parseInt(res.headers.get('content-length') || '', 10);
+      return Number.isNaN(length) ? null : length;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Returns where the compressed form of a file is stored, relative to the mirror base URL.
+   * @param {string} relPath - Path of the decompressed file.
+   * @param {string} encoding - Transfer encoding.
+   * @returns {string} Relative path of the compressed object.
+   * @throws {Error} If the encoding is not supported.
+   */
+  encodedPath(relPath, encoding) {
+    return `${relPath}${this.getEncoding(encoding).suffix}`;
+  }
+
+  /**
+   * Looks up a supported transfer encoding.
+   * @param {string} encoding - Encoding name from the manifest.
+   * @returns {{suffix: string, createDecoder: () => import('node:stream').Transform}} Encoding details.
+   * @throws {Error} If the encoding is not supported.
+   */
+  getEncoding(encoding) {
+    const entry = TRANSFER_ENCODINGS.get(encoding);
+    if (!entry) throw new Error(`Unsupported transfer encoding: ${encoding}`);
+    return entry;
+  }
+
+  /**
+   * Downloads a compressed body and decompresses it into `<output>.part` as it arrives.
+   * If fetch already decoded the body (the server answered with a matching Content-Encoding),
+   * the body is written as-is and only the decompressed hash can be checked.
+   * @param {string} url - Absolute URL of the compressed object.
+   * @param {string} outputPath - Final destination path.
+   * @param {object} options - Download options, as for `download`, with `encoding` set.
+   * @returns {Promise<void>} Resolves once the verified file is at `outputPath`.
+   * @throws {Error} On failure; HTTP errors carry the response `status`.
+   */
+  async downloadEncoded(url, outputPath, options) {
+    const partPath = `${outputPath}${PART_SUFFIX}`;
+    const metaPath = `${outputPath}${META_SUFFIX}`;
+    await this.discardPartial(partPath, metaPath);
+
+    try {
+      await this.fetchDecoded(url, partPath, options);
+    } catch (err) {
+      await this.discardPartial(partPath, metaPath);
+      throw err;
+    }
+
+    await this.promotePartial(partPath, metaPath, outputPath, options);
+  }
+
+  /**
+   * Streams a compressed response through the decoder into `partPath`, hashing the compressed bytes.
+   * @param {string} url - Absolute URL of the compressed object.
+   * @param {string} partPath - Where to write the decompressed body.
+   * @param {object} options - Download options, as for `download`, with `encoding` set.
+   * @returns {Promise<void>} Resolves once the body is written and the compressed hash checked.
+   */
+  async fetchDecoded(url, partPath, { hashAlgorithm, expectedSize, timeoutMs, onProgress, encoding, compressedHash, compressedSize }) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const res = await this.fetch(url, { signal: controller.signal, headers: { 'Accept-Encoding': 'identity' } });
+      if (!res.ok) throw httpError(res);
+
+      const readable = this.normalizeStream(res.body);
+      if (!readable) throw new Error('No readable response body');
+
+      const labelled = res.headers.get('content-encoding') === encoding;
+      let decodedByFetch = labelled;
+      const decoders = this.createDecoderStages(encoding, labelled, (encoded) => {
+        decodedByFetch = !encoded;
+      });
+      const bodyHash = createHash(hashAlgorithm);
+      const total = labelled ? 0 : parseInt(res.headers.get('content-length') || `${compressedSize || 0}`, 10);
+      const stages = [readable, ...this.createThrottleStages(timeout), this.createProgressTracker(0, total, onProgress), this.createHashTap(bodyHash)];
+
+      // The guard sits after the decoder, so it also stops a small body that inflates past the declared size.
+      const decoded = [...decoders, ...this.createSizeGuardStages(0, expectedSize)];
+      await pipeline(...stages, ...decoded, createWriteStream(partPath));
+
+      const got = bodyHash.digest('hex');
+      if (compressedHash && !decodedByFetch && got !== compressedHash) {
+        throw integrityError('Compressed hash', compressedHash, got);
+      }
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Picks the decoding stage for a compressed response. A body labelled with an encoding that has
+   * magic bytes may or may not have been decoded by fetch, so its decoder checks first.
+   * @param {string} encoding - Transfer encoding of the object.
+   * @param {boolean} labelled - Whether the response carries a matching Content-Encoding.
+   * @param {(encoded: boolean) => void} onSniffed - Told whether a checked body was still encoded.
+   * @returns {import('node:stream').Transform[]} The decoder, or nothing when fetch has decoded the body.
+   */
+  createDecoderStages(encoding, labelled, onSniffed) {
+    const { createDecoder, magic } = this.getEncoding(encoding);
+    if (!labelled) return [createDecoder()];
+    return magic ? [createSniffingDecoder(magic, createDecoder, onSniffed)] : [];
+  }
+
+  /**
+   * Reads the sidecar and partial file and decides whether the transfer can be resumed.
+   * Anything unusable is deleted so the next request starts cleanly.
+   * @param {string} partPath - Path of the partial download.
+   * @param {string} metaPath - Path of the sidecar metadata.
+   * @param {string} [expectedHash] - Digest the finished file must match.
+   * @returns {Promise<ResumeState|null>} Resume state, or null to start from byte zero.
+   */
+  async loadResumeState(partPath, metaPath, expectedHash) {
+    try {
+      /** @type {PartMeta} */
+      const meta = JSON.parse(await readFile(metaPath, 'utf8'));
+      const { size } = await stat(partPath);
+      const validator = meta.etag || meta.lastModified;
+      if (size > 0 && validator && meta.expectedHash === (expectedHash ?? null)) {
+        return { offset: size, validator };
+      }
+    } catch {
+      // No usable partial download.
+    }
+    await this.discardPartial(partPath, metaPath);
+    return null;
+  }
+
+  /**
+   * Builds request headers for a plain transfer, with the range for a resumed one. Identity encoding
+   * is always requested: fetch decodes compressed bodies itself, so Content-Length and range offsets
+   * would count compressed bytes while the partial holds decoded ones.
+   * @param {ResumeState|null} resume - Resume state, if any.
+   * @returns {Record<string, string>} Request headers.
+   */
+  buildRangeHeaders(resume) {
+    const identity = { 'Accept-Encoding': 'identity' };
+    if (!resume) return identity;
+    return { ...identity, Range: `bytes=${resume.offset}-`, 'If-Range': resume.validator };
+  }
+
+  /**
+   * Discards the partial when the answer to a range request cannot be appended to it: the range no
+   * longer fits the remote file, or the server compressed the range anyway, so its offsets count
+   * encoded bytes. The next attempt starts over.
+   * @param {Response} res - Response to the range request.
+   * @param {string} partPath - Path of the partial download.
+   * @param {string} metaPath - Path of the sidecar metadata.
+   * @returns {Promise<void>} Resolves if the response may be used.
+   * @throws {Error} If the partial was discarded.
+   */
+  async checkResumedResponse(res, partPath, metaPath) {
+    if (res.status === HTTP_RANGE_NOT_SATISFIABLE) {
+      await this.discardPartial(partPath, metaPath);
+      throw httpError(res, 'stale partial download discarded');
+    }
+    if (res.status === HTTP_PARTIAL_CONTENT && isContentEncoded(res)) {
+      await this.discardPartial(partPath, metaPath);
+      throw new Error(`Range response is ${res.headers.get('content-encoding')}-encoded; partial download discarded`);
+    }
+  }
+
+  /**
+   * Works out where the response body starts relative to the file and records metadata
+   * for a fresh transfer so that it can be resumed later.
+   * @param {Response} res - Successful fetch response.
+   * @param {ResumeState|null} resume - Resume state sent with the request.
+   * @param {string} metaPath - Path of the sidecar metadata.
+   * @param {string} [expectedHash] - Digest the finished file must match.
+   * @returns {Promise<number>} Byte offset at which the body should be written.
+   */
+  async resolveOffset(res, resume, metaPath, expectedHash) {
+    if (resume && res.status === HTTP_PARTIAL_CONTENT) {
+      const match = /^bytes (\d+)-/.exec(res.headers.get('content-range') || '');
+      if (!match || Number(match[1]) !== resume.offset) {
+        throw new Error(`Unexpected Content-Range: ${res.headers.get('content-range')}`);
+      }
+      return resume.offset;
+    }
+
+    // Full response: either a fresh download or the server ignored/rejected the range.
+    await writeFile(metaPath, JSON.stringify(this.buildPartMeta(res, expectedHash)));
+    return 0;
+  }
+
+  /**
+   * Describes a fresh transfer for its sidecar. A body the server compressed anyway gets no
+   * validator, so it is never resumed.
+   * @param {Response} res - Full response.
+   * @param {string} [expectedHash] - Digest the finished file must match.
+   * @returns {PartMeta} Sidecar contents.
+   */
+  buildPartMeta(res, expectedHash) {
+    const resumable = !isContentEncoded(res);
+    const etag = resumable ? res.headers.get('etag') : null;
+    return {
+      expectedHash: expectedHash ?? null,
+      etag: etag && !etag.startsWith('W/') ? etag : null,
+      lastModified: resumable ? res.headers.get('last-modified') : null,
+    };
+  }
+
+  /**
+   * Verifies a completed partial download and moves it into place. The length is checked before
+   * the hash. A mismatch of either discards the partial so the next attempt starts over.
+   * @param {string} partPath - Path of the partial download.
+   * @param {string} metaPath - Path of the sidecar metadata.
+   * @param {string} outputPath - Final destination path.
+   * @param {object} options - Verification options.
+   * @param {string} [options.expectedHash] - Expected hex digest.
+   * @param {string} options.hashAlgorithm - Algorithm used for verification.
+   * @param {number} [options.expectedSize] - Expected size in bytes.
+   * @returns {Promise<void>} Resolves once the file is at `outputPath`.
+   */
+  async promotePartial(partPath, metaPath, outputPath, { expectedHash, hashAlgorithm, expectedSize }) {
+    if (Number.isFinite(expectedSize)) {
+      const { size } = await stat(partPath);
+      if (size !== expectedSize) {
+        await this.discardPartial(partPath, metaPath);
+        throw sizeError(expectedSize, size);
+      }
+    }
+    if (expectedHash) {
+      const got = await this.computeFileHash(partPath, hashAlgorithm);
+      if (got !== expectedHash) {
+        await this.discardPartial(partPath, metaPath);
+        throw integrityError('Hash', expectedHash, got);
+      }
+    }
+
+    await rename(partPath, outputPath);
+    try {
+      await unlink(metaPath);
+    } catch {}
+  }
+
+  /**
+   * Deletes a partial download and its sidecar, ignoring missing files.
+   * @param {string} partPath - Path of the partial download.
+   * @param {string} metaPath - Path of the sidecar metadata.
+   * @returns {Promise<void>} Resolves once both are gone.
+   */
+  async discardPartial(partPath, metaPath) {
+    await Promise.all([rm(partPath, { force: true }), rm(metaPath, { force: true })]);
+  }
+
+  /**
+   * Returns the throttling stage for a transfer, or none when no limit can apply.
+   * @param {NodeJS.Timeout} timeout - Attempt timeout, restarted whenever throttled bytes are released.
+   * @returns {import('node:stream').Transform[]} Zero or one pipeline stages.
+   */
+  createThrottleStages(timeout) {
+    if (!this.rateLimiter?.isLimited()) return [];
+    return [this.rateLimiter.createThrottle(() => timeout.refresh())];
+  }
+
+  /**
+   * Returns a stage that fails the transfer once it writes more bytes than expected, or none
+   * when the size is not known.
+   * @param {number} offset - Bytes present before this transfer.
+   * @param {number} [expectedSize] - Expected final size in bytes.
+   * @returns {import('node:stream').Transform[]} Zero or one pipeline stages.
+   */
+  createSizeGuardStages(offset, expectedSize) {
+    if (!Number.isFinite(expectedSize)) return [];
+    let written = offset;
+    return [
+      new Transform({
+        transform(chunk, _encoding, callback) {
+          written += chunk.length;
+          if (written > expectedSize) {
+            callback(sizeError(expectedSize, `at least ${written}`));
+            return;
+          }
+          callback(null, chunk);
+        },
+      }),
+    ];
+  }
+
+  /**
+   * Creates a pass-through stream that reports download progress, counting bytes already on disk.
+   * @param {number} offset - Bytes present before this transfer.
+   * @param {number} total - Expected final size, or 0 if unknown.
+   * @param {(pct:number)=>void} [onProgress] - Called with percentage complete (0–100).
+   * @returns {import('node:stream').Transform} Progress-tracking stream.
+   */
+  createProgressTracker(offset, total, onProgress) {
+    let downloaded = offset;
+    return new Transform({
+      transform(chunk, _encoding, callback) {
+        downloaded += chunk.length;
+        if (total > 0 && onProgress) {
+          const pct = Math.round((downloaded / total) * 100);
+          onProgress(Math.min(100, Math.max(0, pct)));
+        }
+        callback(null, chunk);
+      },
+    });
+  }
+
+  /**
+   * Creates a pass-through stream that feeds every chunk into a hash.
+   * @param {import('node:crypto').Hash} hash - Hash to update.
+   * @returns {import('node:stream').Transform} Hashing stream.
+   */
+  createHashTap(hash) {
+    return new Transform({
+      transform(chunk, _encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+  }
+
+  /**
+   * Calculates the cryptographic hash of a file.
+   * @param {string} absPath - Path to the file.
+   * @param {string} algorithm - Hash algorithm to use.
+   * @returns {Promise<string>} Hexadecimal digest of the file contents.
+   */
+  computeFileHash(absPath, algorithm) {
+    return new Promise((resolvePromise, reject) => {
+      const hash = createHash(algorithm);
+      const stream = createReadStream(absPath);
+      stream.on('data', (chunk) => hash.update(chunk));
+      stream.on('end', () => resolvePromise(hash.digest('hex')));
+      stream.on('error', reject);
+    });
+  }
+
+  /**
+   * Converts a web or Node.js stream into a Node.js Readable stream.
+   * @param {any} body - Stream-like object (e.g., fetch Response body).
+   * @returns {import('node:stream').Readable|null} Readable stream or null if unsupported.
+   */
+  normalizeStream(body) {
+    if (!body) return null;
+
+    if (typeof body.getReader === 'function') {
+      if (typeof Readable.fromWeb === 'function') return Readable.fromWeb(body);
+      const reader = body.getReader();
+      const iterator = {
+        next: () => reader.read(),
+        [Symbol.asyncIterator]() {
+          return this;
+        },
+      };
+      return Readable.from(iterator);
+    }
+
+    if (typeof body.on === 'function') return body;
+
+    return null;
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * Maps the leading marker of a log line to a level, so consumers can style lines without parsing text.
+ * @type {Array<[RegExp, 'error'|'warn']>}
+ */
+const LEVEL_MARKERS = [
+  [/^❌/u, 'error'],
+  [/^⚠/u, 'warn'],
+];
+
+/**
+ * Implements the display hooks `LauncherCore` calls and turns each one into an event on an
+ * emitter, while still forwarding it to an optional display and log lines to an optional logger.
+ *
+ * This is the one place the hooks are mapped to events; `NdjsonDisplay` writes these same events as
+ * lines. Payloads: `log` `{ level, message }`, `phase` `{ phase, status, total? }`,
+ * `progress` `{ phase, completed, total }`, `file-start` / `file-complete` `{ path }`,
+ * `file-progress` `{ path, percent }` (whole percents, repeats dropped) and
+ * `file-error` `{ path, message, cause, status, attempts }`.
+ */
+export default class EventBridge {
+  /**
+   * @param {{emit: (type: string, payload: object) => unknown}} emitter - Receives the events, e.g. an `EventEmitter`.
+   * @param {object} [options] - Optional settings.
+   * @param {{log: (message: string) => void}} [options.logger] - Receives every log line as text.
+   * @param {object} [options.display] - Display with the `LauncherCore` hooks, e.g. `ProgressDisplay`.
+   */
+  constructor(emitter, { logger, display } = {}) {
+    this.emitter = emitter;
+    this.logger = logger;
+    this.display = display;
+    /** @type {Map<string, number>} Totals announced per phase, repeated on progress events. */
+    this.totals = new Map();
+    /** @type {Map<string, number>} Last percentage emitted per file, to skip duplicates. */
+    this.filePercent = new Map();
+  }
+
+  /**
+   * Derives the level of a log line from its leading marker.
+   * @param {string} message - Trimmed log line.
+   * @returns {'info'|'warn'|'error'} Level of the line.
+   */
+  static levelOf(message) {
+    const match = LEVEL_MARKERS.find(([pattern]) => pattern.test(message));
+    return match ? match[1] : 'info';
+  }
+
+  /**
+   * Forwards a log line and emits it with its level. Blank lines are not emitted.
+   * @param {string} message - Message to log.
+   * @returns {void}
+   */
+  log(message) {
+    this.display?.log(message);
+    this.logger?.log(message);
+    const text = String(message).trim();
+    if (text) this.emitter.emit('log', { level: EventBridge.levelOf(text), message: text });
+  }
+
+  /**
+   * Emits the start of a phase.
+   * @param {'verification'|'patching'} phase - Phase name.
+   * @param {number} total - Number of files in the phase.
+   * @returns {void}
+   */
+  startPhase(phase, total) {
+    this.totals.set(phase, total);
+    this.emitter.emit('phase', { phase, status: 'start', total });
+  }
+
+  /**
+   * Emits progress within a phase.
+   * @param {'verification'|'patching'} phase - Phase name.
+   * @param {number} completed - Files done so far.
+   * @returns {void}
+   */
+  updatePhase(phase, completed) {
+    this.emitter.emit('progress', { phase, completed, total: this.totals.get(phase) ?? null });
+  }
+
+  /**
+   * Emits the end of a phase.
+   * @param {'verification'|'patching'} phase - Phase name.
+   * @returns {void}
+   */
+  finishPhase(phase) {
+    this.emitter.emit('phase', { phase, status: 'end' });
+  }
+
+  /**
+   * Begin the verification phase.
+   * @param {number} totalFiles - Total number of files to verify.
+   * @returns {void}
+   */
+  startVerification(totalFiles) {
+    this.display?.startVerification(totalFiles);
+    this.startPhase('verification', totalFiles);
+  }
+
+  /**
+   * Update the verification progress.
+   * @param {number} completed - Number of files verified so far.
+   * @returns {void}
+   */
+  updateVerification(completed) {
+    this.display?.updateVerification(completed);
+    this.updatePhase('verification', completed);
+  }
+
+  /**
+   * Complete the verification phase.
+   * @returns {void}
+   */
+  finishVerification() {
+    this.display?.finishVerification();
+    this.finishPhase('verification');
+  }
+
+  /**
+   * Begin the patching phase.
+   * @param {number} totalFiles - Total number of files to patch.
+   * @returns {void}
+   */
+  startPatching(totalFiles) {
+    this.display?.startPatching(totalFiles);
+    this.startPhase('patching', totalFiles);
+  }
+
+  /**
+   * Update the patching overall progress.
+   * @param {number} completed - Number of files patched so far.
+   * @returns {void}
+   */
+  updatePatching(completed) {
+    this.display?.updatePatching(completed);
+    this.updatePhase('patching', completed);
+  }
+
+  /**
+   * Complete the patching phase.
+   * @returns {void}
+   */
+  finishPatching() {
+    this.display?.finishPatching();
+    this.finishPhase('patching');
+  }
+
+  /**
+   * Start tracking a file download.
+   * @param {string} filename - File being downloaded.
+   * @returns {void}
+   */
+  startFileDownload(filename) {
+    this.display?.startFileDownload(filename);
+    this.filePercent.set(filename, -1);
+    this.emitter.emit('file-start', { path: filename });
+  }
+
+  /**
+   * Report a file's download percentage; repeated whole percents are forwarded but not emitted.
+   * @param {number} percentage - Download progress (0–100).
+   * @param {string} filename - File being downloaded.
+   * @returns {void}
+   */
+  updateFileProgress(percentage, filename) {
+    this.display?.updateFileProgress(percentage, filename);
+    const percent = Math.max(0, Math.min(100, Math.round(percentage)));
+    if (this.filePercent.get(filename) === percent) return;
+    this.filePercent.set(filename, percent);
+    this.emitter.emit('file-progress', { path: filename, percent });
+  }
+
+  /**
+   * Mark a file download as complete.
+   * @param {string} [filename] - File that finished.
+   * @returns {void}
+   */
+  finishFileDownload(filename) {
+    this.display?.finishFileDownload(filename);
+    this.filePercent.delete(filename);
+    this.emitter.emit('file-complete', { path: filename ?? null });
+  }
+
+  /**
+   * Report a file that could not be updated.
+   * @param {string} filename - File that failed.
+   * @param {string} message - Failure reason.
+   * @param {import('./launcher-error.js').FileFailure} [failure] - Cause, HTTP status and attempts made.
+   * @returns {void}
+   */
+  failFileDownload(filename, message, failure) {
+    this.display?.failFileDownload?.(filename, message, failure);
+    this.emitter.emit('file-error', { path: filename, message, cause: failure?.cause ?? 'other', status: failure?.status ?? null, attempts: failure?.attempts ?? [] });
+  }
+
+  /**
+   * Releases the display, if any.
+   * @returns {void}
+   */
+  cleanup() {
+    this.display?.cleanup();
+    this.totals.clear();
+    this.filePercent.clear();
+  }
+}
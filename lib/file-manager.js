@@ -1,17 +1,107 @@
-/* eslint-disable n/no-unsupported-features/node-builtins, security/detect-non-literal-fs-filename */
+/* eslint-disable security/detect-non-literal-fs-filename */
 import fg from 'fast-glob';
+import ignore from 'ignore';
 import { createHash } from 'node:crypto';
-import { createReadStream, createWriteStream } from 'node:fs';
-import { mkdir } from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
+import { chmod, lstat, mkdir, readFile, readlink, realpath, rename, rm, stat, statfs, symlink, utimes } from 'node:fs/promises';
 import { dirname, resolve, sep } from 'node:path';
-import { Readable } from 'node:stream';
-import { finished } from 'node:stream/promises';
+
+import DeltaPatcher from './delta-patcher.js';
+import Downloader from './downloader.js';
+import HostLimiter from './host-limiter.js';
+import InstallState from './install-state.js';
+import LauncherError from './launcher-error.js';
+import StagingArea from './staging-area.js';
+import WorkQueue from './work-queue.js';
 
 /**
  * File patterns to ignore when scanning for files.
  * >> Modify here to change ignore rules globally. <<
  */
-const IGNORE_PATTERNS = ['node_modules/**', '.git/**', '*.log', '*.tmp', '*.bak', '*.new', 'private-key.pem'];
+const IGNORE_PATTERNS = [
+  'node_modules/**',
+  '.git/**',
+  '*.log',
+  '*.tmp',
+  '*.bak',
+  '*.new',
+  '**/*.part',
+  '**/*.part.json',
+  '**/*.delta',
+  '**/*.delta.out',
+  'private-key.pem',
+  '**/*.private.pem',
+];
+
+/**
+ * Per-install ignore rules (gitignore syntax, including `!` negation), read from the install root.
+ * Matching files are neither scanned, reported as extra, nor overwritten once they exist.
+ */
+const IGNORE_FILE = '.patcherignore';
+
+/** Suffix of a new symlink until it is renamed over its path. */
+const SYMLINK_SUFFIX = '.link.tmp';
+/** Windows has no Unix permission bits, so declared modes are neither applied nor compared there. */
+const SUPPORTS_MODES = process.platform !== 'win32';
+/** Modulus that keeps the rwx bits of a stat mode and drops the file type and setuid/setgid/sticky bits. */
+const PERMISSION_MODULUS = 0o1000;
+
+/**
+ * Formats permission bits the way manifests write them.
+ * @param {number} mode - Permission bits.
+ * @returns {string} Octal string such as "0755".
+ */
+const toOctalMode = (mode) => mode.toString(8).padStart(4, '0');
+
+/**
+ * Describes how an installed file's mode and mtime differ from its manifest entry.
+ * Modification times are compared to the second, since file systems store them with different precision.
+ * @param {{mode?: number, mtime?: number}} file - Normalized manifest entry.
+ * @param {import('node:fs').Stats} stats - Stat data of the installed file.
+ * @returns {string[]} One line per difference; empty if the metadata matches.
+ */
+const describeMetadataDrift = (file, stats) => {
+  const changes = [];
+  const mode = stats.mode % PERMISSION_MODULUS;
+  if (file.mode !== undefined && SUPPORTS_MODES && mode !== file.mode) {
+    changes.push(`mode ${toOctalMode(mode)}, expected ${toOctalMode(file.mode)}`);
+  }
+  if (file.mtime !== undefined && Math.floor(stats.mtimeMs / 1000) !== Math.floor(file.mtime / 1000)) {
+    changes.push(`mtime ${stats.mtime.toISOString()}, expected ${new Date(file.mtime).toISOString()}`);
+  }
+  return changes;
+};
+
+/** Suffix of a downloaded delta patch while it is applied. */
+const DELTA_SUFFIX = '.delta';
+/** Suffix of the file rebuilt from a delta patch before it is verified and moved into place. */
+const DELTA_OUT_SUFFIX = '.delta.out';
+
+/**
+ * @typedef {Object} PatchEntry
+ * @property {string} from - Hash of the local file the patch applies to.
+ * @property {string} path - Patch location relative to the mirror base URL.
+ * @property {string} [hash] - Digest of the patch file itself.
+ * @property {number} [size] - Size of the patch file in bytes.
+ *
+ * @typedef {Object} TransferPlan
+ * @property {string} path - File path relative to the install root.
+ * @property {'delta'|'compressed'|'full'} method - How the file would be fetched.
+ * @property {number|null} size - Size of the installed file, if known.
+ * @property {number|null} transferBytes - Bytes that would be downloaded, if known.
+ *
+ * @typedef {Object} SpaceEstimate
+ * @property {number} downloadBytes - Bytes to download, counting only transfers of known size.
+ * @property {number} requiredBytes - Peak extra disk space the update needs, counting only files of known size.
+ * @property {number} unknownSizes - Updates left out of the totals because the manifest does not give their size.
+ *
+ * @typedef {Object} MetadataDrift
+ * @property {string} path - File path relative to the install root.
+ * @property {string[]} changes - How the mode or mtime differs, one line per field.
+ * @property {{path:string, hash:string, algorithm:string, mode?:number, mtime?:number}} file - The manifest entry.
+ *
+ * @typedef {import('./launcher-error.js').FileFailure} FileFailure
+ */
 
 /**
  * Handles file scanning, hashing, comparison, and downloading
@@ -22,12 +112,48 @@ export default class FileManager {
    * @param {object} progressDisplay - Logger with a `.log(message)` method for status messages.
    * @param {object} [options] - Optional settings.
    * @param {string} [options.rootDir=process.cwd()] - Base directory for all file operations.
-   * @param {number} [options.concurrency=4] - Number of parallel download chunks.
+   * @param {number} [options.concurrency=4] - Number of files downloaded at the same time.
+   * @param {number} [options.connectionsPerHost=0] - Requests per host at the same time; 0 for no limit.
+   * @param {typeof fetch} [options.fetch] - Fetch implementation for downloads.
+   * @param {import('./rate-limiter.js').default} [options.rateLimiter] - Bandwidth limit shared by all downloads.
    */
-  constructor(progressDisplay, { rootDir = process.cwd(), concurrency = 4 } = {}) {
+  constructor(progressDisplay, { rootDir = process.cwd(), concurrency = 4, connectionsPerHost = 0, fetch: fetchImpl, rateLimiter } = {}) {
     this.progress = progressDisplay;
     this.rootDir = resolve(rootDir);
-    this.concurrency = Math.max(1, concurrency);
+    this.configureDownloads({ concurrency, connectionsPerHost });
+    /** @type {import('ignore').Ignore|null} */
+    this.ignoreRules = null;
+    this.downloader = new Downloader({ fetch: fetchImpl, rateLimiter });
+    this.deltaPatcher = new DeltaPatcher();
+    this.state = new InstallState(this.rootDir);
+    this.staging = new StagingArea(progressDisplay, this);
+  }
+
+  /**
+   * Points the manager at another install root, e.g. once `install_dir` is known from the config.
+   * Drops the cached ignore rules and starts a fresh, not yet loaded install state.
+   * @param {string} rootDir - New base directory for all file operations.
+   * @returns {void}
+   */
+  setRootDir(rootDir) {
+    const root = resolve(rootDir);
+    if (root === this.rootDir) return;
+    this.rootDir = root;
+    this.ignoreRules = null;
+    this.state = new InstallState(root);
+  }
+
+  /**
+   * Sets how many files are downloaded at once and how many requests may go to one host.
+   * @param {object} options - Download limits.
+   * @param {number} options.concurrency - Number of files downloaded at the same time.
+   * @param {number} [options.connectionsPerHost=0] - Requests per host at the same time; 0 for no limit.
+   * @returns {void}
+   */
+  configureDownloads({ concurrency, connectionsPerHost = 0 }) {
+    this.queue = new WorkQueue(concurrency);
+    this.concurrency = this.queue.concurrency;
+    this.hostLimiter = new HostLimiter(connectionsPerHost);
   }
 
   /**
@@ -47,40 +173,43 @@ export default class FileManager {
 
   /**
    * Scans all files in rootDir and returns their hashes.
-   * @param {"sha256"|"sha1"|"md5"} [hashAlgorithm="sha256"] - Hash algorithm to use.
+   * Digests from the install-state index are reused for files whose size, mtime and inode are unchanged.
+   * @param {string|((path:string)=>string)} [hashAlgorithm="sha256"] - Hash algorithm, or a function that picks one per path.
    * @returns {Promise<Array<{path:string, hash:string}>>} List of relative paths with computed hashes.
    */
   async scanFiles(hashAlgorithm = 'sha256') {
+    await this.state.load();
     const entries = await this.getFileEntries();
     const results = await Promise.all(
       entries.map(async (relPath) => {
         try {
-          const abs = this.toSafeAbsPath(relPath);
-          const hash = await this.computeFileHash(abs, hashAlgorithm);
-          return { path: relPath.replace(/\\/g, '/'), hash };
+          return await this.hashEntry(relPath, hashAlgorithm, true);
         } catch {
           return null;
         }
       })
     );
-    return results.filter(Boolean);
+    return this.finishScan(entries, results.filter(Boolean));
   }
 
   /**
    * Scans files sequentially and reports progress after each file.
-   * @param {"sha256"|"sha1"|"md5"} [hashAlgorithm="sha256"] - Hash algorithm to use.
-   * @param {(completed:number)=>void} onProgress - Called with number of files processed so far.
+   * Always rehashes every file and refreshes the install-state index with the results.
+   * @param {string|((path:string)=>string)} [hashAlgorithm="sha256"] - Hash algorithm, or a function that picks one per path.
+   * @param {object} [callbacks={}] - Progress callbacks.
+   * @param {(total:number)=>void} [callbacks.onStart] - Called with the number of local files about to be hashed.
+   * @param {(completed:number)=>void} [callbacks.onProgress] - Called with number of files processed so far.
    * @returns {Promise<Array<{path:string, hash:string}>>} List of relative paths with computed hashes.
    */
-  async scanWithProgress(hashAlgorithm = 'sha256', onProgress) {
+  async scanWithProgress(hashAlgorithm = 'sha256', { onStart, onProgress } = {}) {
+    await this.state.load();
     const entries = await this.getFileEntries();
+    onStart?.(entries.length);
     const start = { results: [], completed: 0 };
     const { results } = await entries.reduce(async (prevPromise, relPath) => {
       const state = await prevPromise;
       try {
-        const abs = this.toSafeAbsPath(relPath);
-        const hash = await this.computeFileHash(abs, hashAlgorithm);
-        state.results.push({ path: relPath.replace(/\\/g, '/'), hash });
+        state.results.push(await this.hashEntry(relPath, hashAlgorithm, false));
       } catch {
         // ignore unreadable files
       }
@@ -88,27 +217,133 @@ export default class FileManager {
       if (onProgress) onProgress(state.completed);
       return state;
     }, Promise.resolve(start));
+    return this.finishScan(entries, results);
+  }
+
+  /**
+   * Hashes one file, or reuses the indexed digest when allowed and the stat data still matches.
+   * @param {string} relPath - Path relative to rootDir.
+   * @param {string|((path:string)=>string)} hashAlgorithm - Hash algorithm, or a function that picks one for the normalized path.
+   * @param {boolean} useCache - When false, always reads the file.
+   * @returns {Promise<{path:string, hash:string}>} Normalized path with its digest.
+   */
+  async hashEntry(relPath, hashAlgorithm, useCache) {
+    const path = relPath.replace(/\\/g, '/');
+    const algorithm = typeof hashAlgorithm === 'function' ? hashAlgorithm(path) : hashAlgorithm;
+    const abs = this.toSafeAbsPath(relPath);
+    const stats = await stat(abs);
+
+    const cached = useCache ? this.state.lookup(path, stats, algorithm) : null;
+    if (cached) return { path, hash: cached };
+
+    const hash = await this.computeFileHash(abs, algorithm);
+    this.state.record(path, stats, algorithm, hash);
+    return { path, hash };
+  }
+
+  /**
+   * Drops index records for files that disappeared and persists the index.
+   * @param {string[]} entries - Paths listed by the scan.
+   * @param {Array<{path:string, hash:string}>} results - Scan results to pass through.
+   * @returns {Promise<Array<{path:string, hash:string}>>} The same results.
+   */
+  async finishScan(entries, results) {
+    this.state.retainOnly(entries.map((p) => p.replace(/\\/g, '/')));
+    await this.state.save();
     return results;
   }
 
   /**
-   * Lists all files under rootDir (relative paths only).
+   * Lists all files under rootDir (relative paths only), excluding `.patcherignore` matches.
+   * Symlinks are neither listed nor followed, so a link can never make files outside the
+   * install look like part of it; see `getSymlinkEntries`.
    * @returns {Promise<string[]>} Array of relative file paths.
    */
-  getFileEntries() {
-    return fg('**/*', {
+  async getFileEntries() {
+    await this.loadIgnoreRules();
+    const entries = await fg('**/*', {
       cwd: this.rootDir,
       onlyFiles: true,
+      followSymbolicLinks: false,
       absolute: false,
       dot: false,
       ignore: IGNORE_PATTERNS,
     });
+    return entries.filter((relPath) => !this.isIgnored(relPath));
+  }
+
+  /**
+   * Lists the symlinks under rootDir, to files or directories, excluding `.patcherignore` matches.
+   * @returns {Promise<string[]>} Relative paths of the links.
+   */
+  async getSymlinkEntries() {
+    await this.loadIgnoreRules();
+    const entries = await fg('**/*', {
+      cwd: this.rootDir,
+      onlyFiles: false,
+      followSymbolicLinks: false,
+      objectMode: true,
+      dot: false,
+      ignore: IGNORE_PATTERNS,
+    });
+    return entries.filter(({ path, dirent }) => dirent.isSymbolicLink() && !this.isIgnored(path)).map(({ path }) => path);
+  }
+
+  /**
+   * Reads `.patcherignore` from rootDir once and caches the compiled rules.
+   * A missing file yields an empty rule set; an unreadable one is reported and treated as empty.
+   * @returns {Promise<import('ignore').Ignore>} Compiled ignore rules.
+   */
+  async loadIgnoreRules() {
+    if (this.ignoreRules) return this.ignoreRules;
+
+    const rules = ignore();
+    try {
+      rules.add(await readFile(this.toSafeAbsPath(IGNORE_FILE), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') this.progress?.log?.(`⚠ Could not read ${IGNORE_FILE}: ${err.message}`);
+    }
+
+    this.ignoreRules = rules;
+    return rules;
+  }
+
+  /**
+   * Checks a relative path against the loaded `.patcherignore` rules.
+   * Call `loadIgnoreRules` first; before that nothing is considered ignored.
+   * @param {string} relPath - Path relative to rootDir.
+   * @returns {boolean} True if the path is ignored.
+   */
+  isIgnored(relPath) {
+    return Boolean(this.ignoreRules && this.ignoreRules.ignores(relPath.replace(/\\/g, '/')));
+  }
+
+  /**
+   * Drops updates for ignored paths that already exist locally, so user-owned files
+   * shipped with defaults in the manifest are installed once and never overwritten.
+   * @param {Array<{path:string}>} updates - Candidate updates from `findUpdates`.
+   * @returns {Promise<Array<{path:string}>>} Updates that may be applied.
+   */
+  async filterIgnoredUpdates(updates) {
+    await this.loadIgnoreRules();
+    const checked = await Promise.all(
+      updates.map(async (file) => {
+        if (!this.isIgnored(file.path)) return file;
+        try {
+          await stat(this.toSafeAbsPath(file.path));
+          return null;
+        } catch {
+          return file;
+        }
+      })
+    );
+    return checked.filter(Boolean);
   }
 
   /**
    * Calculates the cryptographic hash of a file.
    * @param {string} absPath - Absolute path to the file.
-   * @param {"sha256"|"sha1"|"md5"} algorithm - Hash algorithm to use.
+   * @param {string} algorithm - Hash algorithm to use, e.g. "sha256" or "blake2b512".
    * @returns {Promise<string>} Hexadecimal hash of the file contents.
    */
   computeFileHash(absPath, algorithm) {
@@ -125,7 +360,8 @@ export default class FileManager {
    * Compares manifest files with local files to find missing or outdated ones.
    * @param {Array<{path:string, hash:string}>} manifestFiles - File list from manifest.
    * @param {Array<{path:string, hash:string}>} localFiles - Locally scanned files.
-   * @returns {Array<{path:string, hash:string, status:"missing"|"outdated"}>} Files that require download/update.
+   * @returns {Array<{path:string, hash:string, status:"missing"|"outdated", localHash?:string}>} Files that require download/update;
+   *   outdated entries carry the local hash so a matching delta patch can be picked.
    */
   findUpdates(manifestFiles, localFiles) {
     const localMap = new Map(localFiles.map((f) => [f.path, f.hash]));
@@ -133,168 +369,476 @@ export default class FileManager {
     for (const mf of manifestFiles) {
       const localHash = localMap.get(mf.path);
       if (!localHash) out.push({ ...mf, status: 'missing' });
-      else if (localHash !== mf.hash) out.push({ ...mf, status: 'outdated' });
+      else if (localHash !== mf.hash) out.push({ ...mf, status: 'outdated', localHash });
     }
     return out;
   }
 
   /**
-   * Downloads multiple files in parallel chunks with optional progress callbacks.
+   * Downloads files from a shared queue, `concurrency` at a time, with optional progress callbacks.
+   * Each worker takes the next file as soon as it is free; see `orderQueue` for the order.
+   * Files are staged and only committed to the install once all of them are; if any file fails,
+   * the live install is left untouched and every file is reported as not updated (see `StagingArea`).
    * @param {Array<{path:string, hash:string}>} updates - Files to download.
-   * @param {string} baseUrl - Base URL for all files.
+   * @param {import('./mirror-pool.js').default} mirrors - Mirrors to download from, with retry and failover.
    * @param {number} timeoutMs - Timeout for each file in milliseconds.
    * @param {object} callbacks - Progress and event callbacks.
    * @param {(count:number)=>void} [callbacks.onOverallProgress] - Called after each file completes.
    * @param {(path:string)=>void} [callbacks.onFileStart] - Called when a file download begins.
    * @param {(pct:number, path:string)=>void} [callbacks.onFileProgress] - Called with download percentage.
-   * @param {()=>void} [callbacks.onFileComplete] - Called when a file finishes downloading.
-   * @returns {Promise<void>} Resolves when all downloads complete.
+   * @param {(path:string)=>void} [callbacks.onFileComplete] - Called when a file finishes downloading.
+   * @param {(path:string, message:string, failure:FileFailure)=>void} [callbacks.onFileFailed] - Called when a file could not be updated.
+   * @returns {Promise<{failed: string[], failures: FileFailure[]}>} Files not updated (all of them when nothing
+   *   could be committed), and why: one record per failed file, or the commit failure.
    */
-  async downloadUpdates(updates, baseUrl, timeoutMs, callbacks) {
+  async downloadUpdates(updates, mirrors, timeoutMs, callbacks) {
     let completed = 0;
-    const { onOverallProgress, onFileStart, onFileProgress, onFileComplete } = callbacks;
+    const counts = { patched: 0, reused: 0 };
+    const failures = [];
+    const { onOverallProgress, onFileStart, onFileProgress, onFileComplete, onFileFailed } = callbacks;
 
-    const chunkSize = Math.ceil(updates.length / this.concurrency) || 1;
-    const chunks = this.chunkArray(updates, chunkSize);
+    await this.queue.run(this.orderQueue(updates), (file) =>
+      this.processFile(file, mirrors, timeoutMs, {
+        onFileStart,
+        onFileFailed: (path, message, failure) => {
+          failures.push(failure);
+          onFileFailed?.(path, message, failure);
+        },
+        onFilePatched: () => {
+          counts.patched += 1;
+        },
+        onFileReused: () => {
+          counts.reused += 1;
+        },
+        onFileProgress,
+        onFileComplete: (path) => {
+          onFileComplete?.(path);
+          completed += 1;
+          onOverallProgress?.(completed);
+        },
+      })
+    );
+
+    if (counts.reused > 0) this.progress?.log?.(`♻ ${counts.reused} file(s) reused from an earlier, unfinished update`);
+    if (counts.patched > 0) this.progress?.log?.(`🧩 ${counts.patched} file(s) updated with delta patches`);
+    if (failures.length > 0) {
+      this.progress?.log?.(`⚠ ${failures.length} file(s) failed; the install was left unchanged. Downloaded files are kept for the next run`);
+      return { failed: updates.map((f) => f.path), failures };
+    }
+    return this.commitStaged(updates);
+  }
+
+  /**
+   * Commits the staged files to the install and records them in the install state.
+   * @param {Array<{path:string, hash:string, algorithm:string}>} updates - Staged files.
+   * @returns {Promise<{failed: string[], failures: FileFailure[]}>} Nothing on success; all paths and the
+   *   commit failure if the commit was rolled back.
+   */
+  async commitStaged(updates) {
+    try {
+      await this.staging.commit(updates.map((f) => f.path));
+    } catch (err) {
+      this.progress?.log?.(`❌ ${err.message}`);
+      return { failed: updates.map((f) => f.path), failures: [LauncherError.describeFailure(err.file ?? null, err)] };
+    }
 
+    await this.recordCommitted(updates);
+    return { failed: [], failures: [] };
+  }
+
+  /**
+   * Records committed files in the install state. The files are already in place, so this is best
+   * effort: a file that cannot be recorded is only logged, and the next scan hashes it again.
+   * @param {Array<{path:string, hash:string, algorithm:string}>} updates - Committed files.
+   * @returns {Promise<void>} Resolves once the state is saved or the failure logged; never rejects.
+   */
+  async recordCommitted(updates) {
     await Promise.all(
-      chunks.map((chunk) =>
-        this.processChunk(chunk, baseUrl, timeoutMs, {
-          onFileStart,
-          onFileProgress,
-          onFileComplete: () => {
-            onFileComplete?.();
-            completed += 1;
-            onOverallProgress?.(completed);
-          },
-        })
-      )
+      updates.map(async (file) => {
+        try {
+          this.state.record(file.path, await stat(this.toSafeAbsPath(file.path)), file.algorithm, file.hash);
+        } catch (err) {
+          this.progress?.log?.(`⚠ Could not record ${file.path} in the install state; it will be rehashed next run: ${err.message}`);
+        }
+      })
     );
+    try {
+      await this.state.save();
+    } catch (err) {
+      this.progress?.log?.(`⚠ Could not save the install state; updated files will be rehashed next run: ${err.message}`);
+    }
   }
 
   /**
-   * Processes a chunk of files sequentially, downloading each.
-   * @param {Array<{path:string, hash:string}>} chunk - Files to download in this chunk.
-   * @param {string} baseUrl - Base URL for files.
-   * @param {number} timeoutMs - Timeout for each file in milliseconds.
+   * Orders updates for the download queue: higher manifest `priority` first, then larger
+   * transfers first so the big files start early and small ones fill the gaps at the end.
+   * Files of unknown size keep their manifest order after the known ones.
+   * @param {Array<{path:string, priority?:number}>} updates - Files to download.
+   * @returns {Array<{path:string, priority?:number}>} A sorted copy.
+   */
+  orderQueue(updates) {
+    const priorityOf = (file) => (Number.isFinite(file.priority) ? file.priority : 0);
+    const bytesOf = (file) => this.describeTransfer(file).transferBytes ?? -1;
+    return [...updates].sort((a, b) => priorityOf(b) - priorityOf(a) || bytesOf(b) - bytesOf(a));
+  }
+
+  /**
+   * Stages one file from the queue. Errors are reported through the callbacks, never thrown,
+   * so one failing file does not stop the queue. Each file is retried with backoff and fails over
+   * across mirrors before it is reported as failed. Outdated files with a matching delta patch
+   * are rebuilt from the live copy; the full file is the fallback. A file already staged with
+   * the right content by an earlier run is reused.
+   * @param {{path:string, hash:string}} file - File to download.
+   * @param {import('./mirror-pool.js').default} mirrors - Mirrors to download from.
+   * @param {number} timeoutMs - Timeout for each attempt in milliseconds.
    * @param {object} callbacks - Event callbacks.
-   * @param {(path:string)=>void} [callbacks.onFileStart] - Called when a file starts downloading.
+   * @param {(path:string)=>void} [callbacks.onFileStart] - Called when the file starts downloading.
    * @param {(pct:number, path:string)=>void} [callbacks.onFileProgress] - Download progress callback.
-   * @param {()=>void} [callbacks.onFileComplete] - Called when a file finishes downloading.
-   * @returns {Promise<void>} Resolves when all files in the chunk have been processed.
-   */
-  async processChunk(chunk, baseUrl, timeoutMs, callbacks) {
-    const { onFileStart, onFileProgress, onFileComplete } = callbacks;
-    await chunk.reduce(async (prev, file) => {
-      await prev;
-      const url = `${baseUrl}${file.path}`;
-      const absOut = this.toSafeAbsPath(file.path);
+   * @param {(path:string)=>void} [callbacks.onFileComplete] - Called when the file finishes, whether or not it failed.
+   * @param {(path:string, message:string, failure:FileFailure)=>void} [callbacks.onFileFailed] - Called when the file could not be updated.
+   * @param {()=>void} [callbacks.onFilePatched] - Called when the file was updated from a delta patch.
+   * @param {()=>void} [callbacks.onFileReused] - Called when an earlier run had already staged the file.
+   * @returns {Promise<void>} Resolves once the file has been processed.
+   */
+  async processFile(file, mirrors, timeoutMs, callbacks) {
+    const { onFileStart, onFileProgress, onFileComplete, onFileFailed, onFilePatched, onFileReused } = callbacks;
+    try {
+      onFileStart?.(file.path);
+      const onProgress = (pct) => onFileProgress?.(pct, file.path);
+      await this.stageFile(file, mirrors, { timeoutMs, onProgress, onPatched: onFilePatched, onReused: onFileReused });
+      onFileComplete?.(file.path);
+    } catch (err) {
+      const failure = LauncherError.describeFailure(file.path, err);
+      this.progress?.log?.(`❌ Failed to update ${file.path} after ${failure.attempts.length || 1} attempt(s): ${err.message}`);
+      onFileFailed?.(file.path, err.message, failure);
+      onFileComplete?.(file.path);
+    }
+  }
+
+  /**
+   * Stages one file unless an earlier run already staged it with the right content.
+   * A stale staged copy is discarded first. Once the content is verified, the entry's `mode`
+   * and `mtime` are applied to the staged copy, so the commit moves them into place with it.
+   * @param {{path:string, hash:string, algorithm:string, mode?:number, mtime?:number}} file - Update entry.
+   * @param {import('./mirror-pool.js').default} mirrors - Mirrors to download from.
+   * @param {object} options - Download options, as for `updateFile`.
+   * @param {()=>void} [options.onReused] - Called when the staged copy is reused.
+   * @returns {Promise<void>} Resolves once the verified file is staged.
+   */
+  async stageFile(file, mirrors, { onReused, ...options }) {
+    if (await this.staging.isStaged(file.path, file.hash, file.algorithm)) {
+      onReused?.();
+    } else {
+      await this.staging.discard(file.path);
+      await this.updateFile(file, mirrors, options);
+    }
+    await this.applyMetadata(this.staging.toStagedPath(file.path), file);
+  }
+
+  /**
+   * Applies a manifest entry's `mode` and `mtime` to a file. Modes are skipped on Windows.
+   * @param {string} absPath - File to change.
+   * @param {{mode?: number, mtime?: number}} file - Normalized manifest entry.
+   * @returns {Promise<void>} Resolves once the metadata is set.
+   */
+  async applyMetadata(absPath, { mode, mtime }) {
+    if (mode !== undefined && SUPPORTS_MODES) await chmod(absPath, mode);
+    if (mtime !== undefined) await utimes(absPath, new Date(), new Date(mtime));
+  }
+
+  /**
+   * Compares the mode and mtime of installed files with the manifest. Files that are missing,
+   * not regular files, or matched by `.patcherignore` are skipped.
+   * @param {Array<{path:string, hash:string, algorithm:string, mode?:number, mtime?:number}>} files - Normalized manifest entries.
+   * @returns {Promise<MetadataDrift[]>} Files whose metadata differs from their entry.
+   */
+  async findMetadataDrift(files) {
+    await this.loadIgnoreRules();
+    const declared = files.filter((f) => ((f.mode !== undefined && SUPPORTS_MODES) || f.mtime !== undefined) && !this.isIgnored(f.path));
+    const drift = await Promise.all(
+      declared.map(async (file) => {
+        const stats = await lstat(this.toSafeAbsPath(file.path)).catch(() => null);
+        if (!stats?.isFile()) return null;
+        const changes = describeMetadataDrift(file, stats);
+        return changes.length > 0 ? { path: file.path, changes, file } : null;
+      })
+    );
+    return drift.filter(Boolean);
+  }
+
+  /**
+   * Puts back the manifest mode and mtime of drifted files. Call it only once their content
+   * matches the manifest: their install-state records are refreshed with the manifest digest,
+   * so the new mtime does not cause a rehash on the next run.
+   * @param {MetadataDrift[]} drift - Result of `findMetadataDrift`.
+   * @returns {Promise<string[]>} Paths that could not be restored.
+   */
+  async restoreMetadata(drift) {
+    const failed = [];
+    await Promise.all(
+      drift.map(async ({ path, file }) => {
+        const abs = this.toSafeAbsPath(path);
+        try {
+          await this.applyMetadata(abs, file);
+          this.state.record(path, await stat(abs), file.algorithm, file.hash);
+        } catch (err) {
+          this.progress?.log?.(`❌ Could not restore the mode or mtime of ${path}: ${err.message}`);
+          failed.push(path);
+        }
+      })
+    );
+    await this.state.save();
+    return failed;
+  }
+
+  /**
+   * Creates or repoints the symlinks the manifest declares. Links matched by `.patcherignore`
+   * are only created when missing, like ignored files.
+   * @param {Array<{path:string, target:string}>} links - Symlink entries from the manifest.
+   * @returns {Promise<{changed: string[], failed: string[]}>} Links created or repointed, and links that could not be.
+   */
+  async syncSymlinks(links) {
+    await this.loadIgnoreRules();
+    const start = { changed: [], failed: [] };
+    return links.reduce(async (prevPromise, link) => {
+      const acc = await prevPromise;
       try {
-        onFileStart?.(file.path);
-        await this.downloadFile(url, absOut, {
-          expectedHash: file.hash,
-          timeoutMs,
-          onProgress: (pct) => onFileProgress?.(pct, file.path),
-        });
-        onFileComplete?.();
+        if (await this.placeSymlink(link)) acc.changed.push(link.path);
       } catch (err) {
-        this.progress?.log?.(`❌ Failed to update ${file.path}: ${err.message}`);
-        onFileComplete?.();
+        this.progress?.log?.(`❌ Could not create symlink ${link.path}: ${err.message}`);
+        acc.failed.push(link.path);
       }
-    }, Promise.resolve());
+      return acc;
+    }, Promise.resolve(start));
   }
 
   /**
-   * Downloads a single file and verifies its hash if provided.
-   * @param {string} url - Full URL to the file.
-   * @param {string} absOutputPath - Absolute local path to save the file to.
-   * @param {object} options - Download options.
-   * @param {string} [options.expectedHash] - Expected SHA-256 hash to verify.
-   * @param {number} options.timeoutMs - Timeout in milliseconds.
-   * @param {(pct:number)=>void} [options.onProgress] - Called with download percentage.
-   * @returns {Promise<void>} Resolves when the file is downloaded and verified.
+   * Points one symlink at its target. The new link is created beside its path and renamed over
+   * it, so an old link or file is replaced in one step. The manifest already keeps targets
+   * inside the install; this also refuses targets that lead out through other links.
+   * @param {{path:string, target:string}} link - Symlink entry.
+   * @returns {Promise<boolean>} True if the link was created or changed, false if it was already right.
+   * @throws {Error} If the link cannot be created or resolves outside rootDir.
    */
-  async downloadFile(url, absOutputPath, { expectedHash, timeoutMs, onProgress }) {
-    await mkdir(dirname(absOutputPath), { recursive: true });
-
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  async placeSymlink({ path, target }) {
+    const abs = this.toSafeAbsPath(path);
+    const existing = await lstat(abs).catch(() => null);
+    if (existing && this.isIgnored(path)) return false;
+    if (existing?.isSymbolicLink() && (await readlink(abs)) === target) return false;
 
+    const tmp = `${abs}${SYMLINK_SUFFIX}`;
+    await mkdir(dirname(abs), { recursive: true });
+    await rm(tmp, { force: true });
+    await symlink(target, tmp);
     try {
-      const res = await fetch(url, { signal: controller.signal });
-      if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-
-      const total = parseInt(res.headers.get('content-length') || '0', 10);
-      const readable = this.normalizeStream(res.body);
-      if (!readable) throw new Error('No readable response body');
+      await this.assertInsideRoot(tmp);
+      await rename(tmp, abs);
+    } catch (err) {
+      await rm(tmp, { force: true });
+      throw err;
+    }
+    return true;
+  }
 
-      if (total > 0 && onProgress) this.attachProgressTracking(readable, total, onProgress);
+  /**
+   * Checks that a path, with every symlink on the way resolved, stays inside rootDir.
+   * A dangling link passes: it gives no access to anything.
+   * @param {string} absPath - Absolute path to check.
+   * @returns {Promise<void>} Resolves if the path stays inside.
+   * @throws {Error} If the resolved path is outside rootDir.
+   */
+  async assertInsideRoot(absPath) {
+    let real;
+    try {
+      real = await realpath(absPath);
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    const root = await realpath(this.rootDir);
+    const prefix = root.endsWith(sep) ? root : root + sep;
+    if (real !== root && !real.startsWith(prefix)) throw new Error(`target resolves outside the install directory (${real})`);
+  }
 
-      const ws = createWriteStream(absOutputPath);
-      readable.pipe(ws);
-      await finished(ws);
+  /**
+   * Stages the new version of one file, from a delta patch when possible and from the full file otherwise.
+   * @param {{path:string, hash:string, algorithm:string, size?:number, status:string, localHash?:string, patches?:PatchEntry[], encoding?:string,
+   *   compressedPath?:string, compressedHash?:string, compressedSize?:number}} file - Update entry.
+   * @param {import('./mirror-pool.js').default} mirrors - Mirrors to download from.
+   * @param {object} options - Download options.
+   * @param {number} options.timeoutMs - Timeout for each attempt in milliseconds.
+   * @param {(pct:number)=>void} [options.onProgress] - Called with download percentage.
+   * @param {()=>void} [options.onPatched] - Called when a delta patch was used.
+   * @returns {Promise<void>} Resolves once the verified file is staged.
+   */
+  async updateFile(file, mirrors, { timeoutMs, onProgress, onPatched }) {
+    const absOut = this.staging.toStagedPath(file.path);
+    if (await this.tryDeltaPatch(file, absOut, mirrors, { timeoutMs, onProgress })) {
+      onPatched?.();
+      return;
+    }
+    const { encoding, compressedHash, compressedSize } = file;
+    const remotePath = encoding ? file.compressedPath || this.downloader.encodedPath(file.path, encoding) : file.path;
+    const options = { expectedHash: file.hash, hashAlgorithm: file.algorithm, expectedSize: file.size, timeoutMs, onProgress, encoding, compressedHash, compressedSize };
+    await mirrors.run(remotePath, (url) => this.downloadFile(url, absOut, options));
+  }
 
-      if (expectedHash) {
-        const got = await this.computeFileHash(absOutputPath, 'sha256');
-        if (got !== expectedHash) throw new Error(`Hash mismatch: expected ${expectedHash}, got ${got}`);
+  /**
+   * Works out how much the updates will download and the most disk space they will take at once.
+   * Every new version is staged while the live files stay in place, so the peak is the size of
+   * all new files plus the delta patches downloaded next to them. Bytes an earlier run already
+   * staged are subtracted, since that space is reused.
+   * @param {Array<{path:string, size?:number, status?:string, localHash?:string, patches?:PatchEntry[], encoding?:string,
+   *   compressedSize?:number}>} updates - Files to download.
+   * @returns {Promise<SpaceEstimate>} Download and disk space totals.
+   */
+  estimateSpace(updates) {
+    const start = { downloadBytes: 0, requiredBytes: 0, unknownSizes: 0 };
+    return updates.reduce(async (prevPromise, file) => {
+      const acc = await prevPromise;
+      const { method, transferBytes } = this.describeTransfer(file);
+      if (!Number.isFinite(file.size) || transferBytes === null) {
+        acc.unknownSizes += 1;
+        return acc;
       }
-    } finally {
-      clearTimeout(timeout);
+      const peak = file.size + (method === 'delta' ? transferBytes : 0);
+      acc.downloadBytes += transferBytes;
+      acc.requiredBytes += Math.max(0, peak - (await this.staging.stagedBytes(file.path)));
+      return acc;
+    }, Promise.resolve(start));
+  }
+
+  /**
+   * Reports the space available to this process on the install volume.
+   * @returns {Promise<number|null>} Free bytes, or null if the platform cannot tell.
+   */
+  async getFreeSpace() {
+    try {
+      const { bavail, bsize } = await statfs(this.rootDir);
+      return bavail * bsize;
+    } catch {
+      return null;
     }
   }
 
   /**
-   * Converts a web or Node.js stream into a Node.js Readable stream.
-   * @param {any} body - Stream-like object (e.g., fetch Response body).
-   * @returns {import('node:stream').Readable|null} Readable stream or null if unsupported.
+   * Works out how an update would be fetched and how many bytes it would transfer, without
+   * writing anything. Sizes come from the manifest; missing ones are asked from the mirrors.
+   * @param {{path:string, status?:string, size?:number, localHash?:string, patches?:PatchEntry[], encoding?:string,
+   *   compressedPath?:string, compressedSize?:number}} file - Update entry.
+   * @param {import('./mirror-pool.js').default} mirrors - Mirrors to ask for unknown sizes.
+   * @param {number} timeoutMs - Timeout for each size request in milliseconds.
+   * @returns {Promise<TransferPlan>} Transfer details.
    */
-  normalizeStream(body) {
-    if (!body) return null;
+  async planTransfer(file, mirrors, timeoutMs) {
+    const plan = this.describeTransfer(file);
+    const transferBytes = plan.transferBytes ?? (await this.probeSize(plan.remotePath, mirrors, timeoutMs));
+    const size = Number.isFinite(file.size) ? file.size : null;
+    return { path: file.path, method: plan.method, size: size ?? (plan.method === 'full' ? transferBytes : null), transferBytes };
+  }
 
-    if (typeof body.getReader === 'function') {
-      if (typeof Readable.fromWeb === 'function') return Readable.fromWeb(body);
-      const reader = body.getReader();
-      const iterator = {
-        next: () => reader.read(),
-        [Symbol.asyncIterator]() {
-          return this;
-        },
-      };
-      return Readable.from(iterator);
+  /**
+   * Works out how an update would be fetched from the manifest alone.
+   * @param {{path:string, status?:string, size?:number, localHash?:string, patches?:PatchEntry[], encoding?:string,
+   *   compressedPath?:string, compressedSize?:number}} file - Update entry.
+   * @returns {{method: 'delta'|'compressed'|'full', remotePath: string, transferBytes: number|null}} Method, remote
+   *   path and the bytes to download, or null when the manifest does not say.
+   */
+  describeTransfer(file) {
+    const patch = this.findPatch(file);
+    let plan;
+    if (patch) {
+      plan = { method: 'delta', remotePath: patch.path, transferBytes: patch.size };
+    } else if (file.encoding) {
+      const remotePath = file.compressedPath || this.downloader.encodedPath(file.path, file.encoding);
+      plan = { method: 'compressed', remotePath, transferBytes: file.compressedSize };
+    } else {
+      plan = { method: 'full', remotePath: file.path, transferBytes: file.size };
     }
+    return { ...plan, transferBytes: Number.isFinite(plan.transferBytes) ? plan.transferBytes : null };
+  }
 
-    if (typeof body.on === 'function') return body;
-
-    return null;
+  /**
+   * Asks the mirrors for the size of a remote file.
+   * @param {string} remotePath - Path relative to the mirror base URL.
+   * @param {import('./mirror-pool.js').default} mirrors - Mirrors to ask.
+   * @param {number} timeoutMs - Timeout for each request in milliseconds.
+   * @returns {Promise<number|null>} Size in bytes, or null if unknown.
+   */
+  async probeSize(remotePath, mirrors, timeoutMs) {
+    try {
+      return await mirrors.run(remotePath, (url) => this.hostLimiter.run(url, () => this.downloader.probeSize(url, timeoutMs)));
+    } catch {
+      return null;
+    }
   }
 
   /**
-   * Attaches a progress callback to a readable stream based on bytes read.
-   * @param {import('node:stream').Readable} readable - The stream being read.
-   * @param {number} total - Total bytes expected.
-   * @param {(pct:number)=>void} onProgress - Called with percentage complete (0–100).
-   * @returns {void}
+   * Picks the delta patch that applies to the local copy of an outdated file.
+   * @param {{status:string, localHash?:string, patches?:PatchEntry[]}} file - Update entry.
+   * @returns {PatchEntry|null} Matching patch, or null if the full file must be downloaded.
    */
-  attachProgressTracking(readable, total, onProgress) {
-    let downloaded = 0;
-    readable.on('data', (chunk) => {
-      downloaded += chunk.length;
-      const pct = Math.round((downloaded / total) * 100);
-      onProgress(Math.min(100, Math.max(0, pct)));
-    });
+  findPatch(file) {
+    if (file.status !== 'outdated' || !Array.isArray(file.patches)) return null;
+    return file.patches.find((p) => p && p.from === file.localHash && typeof p.path === 'string') ?? null;
   }
 
   /**
-   * Splits an array into evenly sized chunks.
-   * @param {Array} array - Array to split.
-   * @param {number} size - Items per chunk.
-   * @returns {Array[]} Array of chunk arrays.
+   * Rebuilds an outdated file from a delta patch when the manifest lists one for the local hash.
+   * The live copy is the source; the rebuilt file must match the manifest hash before it is staged.
+   * Any failure is logged and reported as false so the caller downloads the full file.
+   * @param {{path:string, hash:string, algorithm:string, status:string, localHash?:string, patches?:PatchEntry[]}} file - Update entry.
+   * @param {string} absOut - Absolute staging path for the rebuilt file.
+   * @param {import('./mirror-pool.js').default} mirrors - Mirrors to download the patch from.
+   * @param {object} options - Download options.
+   * @param {number} options.timeoutMs - Timeout for each attempt in milliseconds.
+   * @param {(pct:number)=>void} [options.onProgress] - Called with the patch download percentage.
+   * @returns {Promise<boolean>} True if the file was patched.
    */
-  chunkArray(array, size) {
-    const out = [];
-    for (let i = 0; i < array.length; i += size) {
-      out.push(array.slice(i, i + size));
+  async tryDeltaPatch(file, absOut, mirrors, { timeoutMs, onProgress }) {
+    const patch = this.findPatch(file);
+    if (!patch) return false;
+
+    const patchPath = `${absOut}${DELTA_SUFFIX}`;
+    const outPath = `${absOut}${DELTA_OUT_SUFFIX}`;
+    try {
+      const options = { expectedHash: patch.hash, hashAlgorithm: file.algorithm, expectedSize: patch.size, timeoutMs, onProgress };
+      await mirrors.run(patch.path, (url) => this.downloadFile(url, patchPath, options));
+      await this.deltaPatcher.apply(this.toSafeAbsPath(file.path), patchPath, outPath);
+      const got = await this.computeFileHash(outPath, file.algorithm);
+      if (got !== file.hash) throw new Error(`patched file hash mismatch: expected ${file.hash}, got ${got}`);
+      await rename(outPath, absOut);
+      return true;
+    } catch (err) {
+      this.progress?.log?.(`⚠ Delta patch for ${file.path} failed (${err.message}); downloading the full file`);
+      return false;
+    } finally {
+      await Promise.all([rm(patchPath, { force: true }), rm(outPath, { force: true })]);
     }
-    return out;
+  }
+
+  /**
+   * Downloads a single file and verifies its hash if provided.
+   * Interrupted transfers are kept as `<file>.part` and resumed on the next attempt.
+   * Compressed transfers are decompressed while they are written. Waits for a free slot when
+   * the host already has `connectionsPerHost` requests running.
+   * @param {string} url - Full URL to the file.
+   * @param {string} absOutputPath - Absolute local path to save the file to.
+   * @param {object} options - Download options.
+   * @param {string} [options.expectedHash] - Expected hex digest to verify.
+   * @param {string} [options.hashAlgorithm='sha256'] - Algorithm of `expectedHash` and `compressedHash`.
+   * @param {number} [options.expectedSize] - Declared size of the file in bytes; other lengths are rejected.
+   * @param {number} options.timeoutMs - Timeout in milliseconds.
+   * @param {(pct:number)=>void} [options.onProgress] - Called with download percentage.
+   * @param {string} [options.encoding] - Transfer encoding declared by the manifest entry.
+   * @param {string} [options.compressedHash] - Expected hash of the compressed body.
+   * @param {number} [options.compressedSize] - Size of the compressed body.
+   * @returns {Promise<void>} Resolves when the file is downloaded and verified.
+   */
+  async downloadFile(url, absOutputPath, { expectedHash, hashAlgorithm = 'sha256', expectedSize, timeoutMs, onProgress, encoding, compressedHash, compressedSize }) {
+    await mkdir(dirname(absOutputPath), { recursive: true });
+    await this.hostLimiter.run(url, () =>
+      this.downloader.download(url, absOutputPath, { expectedHash, hashAlgorithm, expectedSize, timeoutMs, onProgress, encoding, compressedHash, compressedSize })
+    );
   }
 }
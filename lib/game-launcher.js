@@ -0,0 +1,134 @@
+import { spawn } from 'node:child_process';
+import { constants } from 'node:os';
+import { relative, resolve } from 'node:path';
+
+/** Signal numbers by name, for shell-style exit codes (128 + signal). */
+const SIGNAL_NUMBERS = new Map(Object.entries(constants.signals));
+
+/**
+ * @typedef {Object} LaunchSpec
+ * @property {string} command - Absolute path of the executable.
+ * @property {string[]} args - Command-line arguments.
+ * @property {string} cwd - Absolute working directory.
+ * @property {Record<string, string>} env - Variables added to the launcher's own environment.
+ */
+
+/**
+ * Checks that a value is an array of strings.
+ * @param {unknown} value - Value to test.
+ * @returns {boolean} True for a string array.
+ */
+const isStringArray = (value) => Array.isArray(value) && value.every((v) => typeof v === 'string');
+
+/** Checks applied to the manifest's `launch` object, with the message reported when one fails. */
+const LAUNCH_CHECKS = [
+  [(l) => typeof l.executable === 'string' && l.executable.length > 0, 'executable must be a non-empty string'],
+  [(l) => l.args === undefined || isStringArray(l.args), 'args must be an array of strings'],
+  [(l) => l.cwd === undefined || typeof l.cwd === 'string', 'cwd must be a string'],
+  [(l) => l.env === undefined || (Boolean(l.env) && typeof l.env === 'object' && Object.values(l.env).every((v) => typeof v === 'string')), 'env must map names to strings'],
+];
+
+/**
+ * Starts the game client once the install is current.
+ *
+ * The command comes from the signed manifest's `launch` object
+ * (`{ executable, args?, cwd?, env? }`, paths relative to the install root and confined to it),
+ * with local overrides from `config.ini` (`launch_executable`, `launch_args`, `launch_cwd`, `launch_env`).
+ */
+export default class GameLauncher {
+  /**
+   * @param {object} progressDisplay - Logger with a `.log(message)` method for status messages.
+   * @param {import('./file-manager.js').default} fileManager - Provides rootDir and path validation.
+   */
+  constructor(progressDisplay, fileManager) {
+    this.progress = progressDisplay;
+    this.fileManager = fileManager;
+  }
+
+  /**
+   * Turns `KEY=VALUE` pairs into an environment object.
+   * @param {string[]} pairs - Pairs such as `LANG=en`.
+   * @returns {Record<string, string>} Environment variables.
+   * @throws {Error} If a pair has no name.
+   */
+  static parseEnv(pairs) {
+    return Object.fromEntries(
+      pairs.map((pair) => {
+        const eq = pair.indexOf('=');
+        if (eq <= 0) throw new Error(`Invalid environment variable: ${pair} (expected KEY=VALUE)`);
+        return [pair.slice(0, eq), pair.slice(eq + 1)];
+      })
+    );
+  }
+
+  /**
+   * Checks the shape of the manifest's `launch` object.
+   * @param {object} launch - Raw `launch` object from the manifest.
+   * @returns {void}
+   * @throws {Error} If a field has the wrong type.
+   */
+  validateManifestLaunch(launch) {
+    const problems = LAUNCH_CHECKS.filter(([check]) => !check(launch)).map(([, message]) => message);
+    if (problems.length > 0) throw new Error(`Invalid launch command in manifest: ${problems.join('; ')}`);
+  }
+
+  /**
+   * Combines the manifest's launch command with the local overrides.
+   * Manifest paths must stay inside the install root; configured paths may point anywhere.
+   * @param {object|null} launch - `launch` object from the verified manifest.
+   * @param {import('./config-manager.js').default} config - Loaded configuration.
+   * @returns {LaunchSpec|null} Command to run, or null if none is configured.
+   * @throws {Error} If the manifest's launch command is malformed or escapes the install root.
+   */
+  resolve(launch, config) {
+    if (launch) this.validateManifestLaunch(launch);
+    const executable = config.get('launch_executable');
+    if (!executable && !launch) return null;
+
+    const signed = launch ?? {};
+    return {
+      command: this.resolvePath(executable, signed.executable),
+      args: config.get('launch_args') ?? signed.args ?? [],
+      cwd: this.resolvePath(config.get('launch_cwd'), signed.cwd ?? '.'),
+      env: { ...signed.env, ...GameLauncher.parseEnv(config.get('launch_env', [])) },
+    };
+  }
+
+  /**
+   * Resolves a launch path against the install root, preferring the local override.
+   * @param {string|null} configured - Path from `config.ini`; may point outside the install.
+   * @param {string} signed - Path from the manifest; must stay inside the install.
+   * @returns {string} Absolute path.
+   * @throws {Error} If the manifest path escapes the install root.
+   */
+  resolvePath(configured, signed) {
+    return configured ? resolve(this.fileManager.rootDir, configured) : this.fileManager.toSafeAbsPath(signed);
+  }
+
+  /**
+   * Starts the game client and waits for it to exit.
+   * @param {LaunchSpec} spec - Command from `resolve`.
+   * @param {object} [options={}] - Options object.
+   * @param {import('node:child_process').StdioOptions} [options.stdio='inherit'] - Standard streams of the child.
+   * @returns {Promise<{exitCode: number, signal: string|null}>} Exit code (128 + signal number when killed by a signal).
+   * @throws {Error} If the executable cannot be started.
+   */
+  launch(spec, { stdio = 'inherit' } = {}) {
+    this.progress.log(`\n🎮 Starting ${relative(this.fileManager.rootDir, spec.command) || spec.command}...`);
+
+    return new Promise((resolvePromise, reject) => {
+      const child = spawn(spec.command, spec.args, {
+        cwd: spec.cwd,
+        env: { ...process.env, ...spec.env },
+        stdio,
+      });
+
+      child.once('error', (error) => reject(new Error(`Could not start the game client: ${error.message}`)));
+      child.once('exit', (code, signal) => {
+        const exitCode = code ?? 128 + (SIGNAL_NUMBERS.get(signal) ?? 0);
+        this.progress.log(signal ? `🎮 Game client killed by ${signal}` : `🎮 Game client exited with code ${exitCode}`);
+        resolvePromise({ exitCode, signal });
+      });
+    });
+  }
+}
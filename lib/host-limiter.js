@@ -0,0 +1,66 @@
+/**
+ * Caps the number of requests running against one host at a time. Requests over the limit
+ * wait in arrival order until a request to the same host finishes. Hosts are independent,
+ * so a busy CDN does not hold back downloads from a mirror.
+ */
+export default class HostLimiter {
+  /**
+   * @param {number} [limit=0] - Requests per host at a time; 0 for no limit.
+   */
+  constructor(limit = 0) {
+    this.limit = Math.max(0, Math.floor(limit) || 0);
+    /** @type {Map<string, {active: number, waiting: Array<() => void>}>} */
+    this.hosts = new Map();
+  }
+
+  /**
+   * Runs a request once its host has a free slot.
+   * @template T
+   * @param {string} url - Absolute URL of the request.
+   * @param {() => Promise<T>} task - Starts the request.
+   * @returns {Promise<T>} Result of `task`.
+   */
+  async run(url, task) {
+    if (this.limit === 0) return task();
+
+    const { host } = new URL(url);
+    await this.acquire(host);
+    try {
+      return await task();
+    } finally {
+      this.release(host);
+    }
+  }
+
+  /**
+   * Takes a slot for a host, waiting for one to free up when all are taken.
+   * @param {string} host - Host name with port.
+   * @returns {Promise<void>} Resolves once the slot is held.
+   */
+  acquire(host) {
+    const slot = this.hosts.get(host) ?? { active: 0, waiting: [] };
+    this.hosts.set(host, slot);
+    if (slot.active < this.limit) {
+      slot.active += 1;
+      return Promise.resolve();
+    }
+    // The releasing request hands its slot straight to the next waiter.
+    return new Promise((resolvePromise) => slot.waiting.push(resolvePromise));
+  }
+
+  /**
+   * Frees a slot, passing it to the longest-waiting request for the host if there is one.
+   * @param {string} host - Host name with port.
+   * @returns {void}
+   */
+  release(host) {
+    const slot = this.hosts.get(host);
+    const next = slot.waiting.shift();
+    if (next) {
+      next();
+      return;
+    }
+    slot.active -= 1;
+    if (slot.active === 0) this.hosts.delete(host);
+  }
+}
@@ -0,0 +1,306 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/** State file kept in the install root. Dot-prefixed so scans skip it. */
+const STATE_FILE = '.launcher-state.json';
+/** Human-readable copy of the installed manifest version. */
+const VERSION_FILE = 'version.txt';
+const STATE_SCHEMA = 2;
+/** Schema before release channels; its version and sequence become the default channel's. */
+const LEGACY_SCHEMA = 1;
+/** Channel name used when no release channel is configured. */
+const DEFAULT_CHANNEL = 'default';
+
+/**
+ * Checks that a value is a sequence number or unset.
+ * @param {unknown} value - Value from the state file.
+ * @returns {boolean} True for null or a finite number.
+ */
+const isSequence = (value) => value === null || value === undefined || Number.isFinite(value);
+
+/**
+ * Finds what is wrong with the contents of a state file.
+ * @param {any} data - Parsed state file.
+ * @returns {string|null} Description of the problem, or null if the state can be used.
+ */
+const findStateProblem = (data) => {
+  if (data?.schema === LEGACY_SCHEMA) return isSequence(data.highestSequence) ? null : 'highestSequence is not a number';
+  if (data?.schema !== STATE_SCHEMA) return `unknown schema ${JSON.stringify(data?.schema)}`;
+  if (!Array.isArray(data.channels)) return 'channels is not a list';
+  const badChannel = data.channels.find((entry) => !Array.isArray(entry) || typeof entry[0] !== 'string' || !isSequence(entry[1]?.highestSequence));
+  if (badChannel) return `invalid channel record ${JSON.stringify(badChannel)}`;
+  return isSequence(data.indexSequence) ? null : 'indexSequence is not a number';
+};
+
+/**
+ * @typedef {Object} FileRecord
+ * @property {number} size - File size in bytes when hashed.
+ * @property {number} mtimeMs - Modification time when hashed.
+ * @property {number} ino - Inode number when hashed.
+ * @property {string} algorithm - Hash algorithm of `hash`.
+ * @property {string} hash - Hex digest of the file contents.
+ */
+
+/**
+ * @typedef {Object} ChannelRecord
+ * @property {string|number|null} installedVersion - Version of the channel last installed completely.
+ * @property {number|null} highestSequence - Highest manifest sequence accepted on the channel.
+ */
+
+/**
+ * Persistent index of what is installed: per-file stat data with its digest, and per release
+ * channel the manifest version last installed completely and the highest manifest sequence
+ * ever accepted. Lets scans skip rehashing unchanged files.
+ *
+ * File digests describe the disk, so they are shared by all channels. Only one channel's
+ * content is on disk at a time; `activeChannel` records which.
+ */
+export default class InstallState {
+  /**
+   * @param {string} rootDir - Install root that holds the state file.
+   */
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    /** @type {Map<string, FileRecord>} */
+    this.files = new Map();
+    /** Channel this run works on; selects the record used for versions and sequences. */
+    this.channel = DEFAULT_CHANNEL;
+    /** @type {Map<string, ChannelRecord>} */
+    this.channels = new Map();
+    /** @type {string|null} Channel whose content was last written to the install. */
+    this.activeChannel = null;
+    /** @type {number|null} Highest channel index sequence ever accepted; guards against rollback. */
+    this.indexSequence = null;
+    this.loaded = false;
+    this.dirty = false;
+    /** When set, changes stay in memory and nothing is written (dry runs). */
+    this.readOnly = false;
+    /**
+     * Why the state file exists but could not be used, or null. The file holds the rollback and
+     * freeze protection sequences, so it is never overwritten while this is set; see `discardUnreadable`.
+     * @type {string|null}
+     */
+    this.loadError = null;
+  }
+
+  /**
+   * Reads the state file once. A missing file yields an empty index. A file that cannot be read,
+   * parsed or understood also leaves the index empty, but sets `loadError` instead of passing for a
+   * fresh install.
+   * @returns {Promise<void>} Resolves when the state is available.
+   */
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    let data;
+    try {
+      data = JSON.parse(await readFile(join(this.rootDir, STATE_FILE), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') this.loadError = err.message;
+      return;
+    }
+    this.loadError = findStateProblem(data);
+    if (this.loadError) return;
+
+    if (data.schema === LEGACY_SCHEMA) {
+      this.migrateLegacy(data);
+    } else {
+      this.channels = new Map(data.channels);
+      this.activeChannel = data.activeChannel ?? null;
+      this.indexSequence = data.indexSequence ?? null;
+    }
+    this.files = new Map(Array.isArray(data.files) ? data.files : []);
+  }
+
+  /**
+   * Gives up on an unreadable state file: the empty index replaces it on the next save, which drops
+   * the sequences it held. Only for runs that accept any manifest sequence anyway.
+   * @returns {void}
+   */
+  discardUnreadable() {
+    this.loadError = null;
+    this.dirty = true;
+  }
+
+  /**
+   * Moves the single version and sequence of a pre-channel state file to the default channel.
+   * @param {{installedVersion?: string|number|null, highestSequence?: number|null}} data - Legacy state.
+   * @returns {void}
+   */
+  migrateLegacy({ installedVersion = null, highestSequence = null }) {
+    this.channels.set(DEFAULT_CHANNEL, { installedVersion, highestSequence });
+    this.activeChannel = installedVersion === null ? null : DEFAULT_CHANNEL;
+    this.dirty = true;
+  }
+
+  /**
+   * Selects the release channel the following calls refer to.
+   * @param {string|null} channel - Channel name, or null when channels are not used.
+   * @returns {void}
+   */
+  selectChannel(channel) {
+    this.channel = channel ?? DEFAULT_CHANNEL;
+  }
+
+  /**
+   * Returns the channel whose content was last written to the install.
+   * @returns {string|null} Channel name (`default` without channels), or null if unknown.
+   */
+  getActiveChannel() {
+    return this.activeChannel;
+  }
+
+  /**
+   * Marks the selected channel as the one on disk, before its files are written.
+   * Its installed version is cleared until the switch completes, because the install
+   * holds a mix of both channels until then.
+   * @returns {Promise<void>} Resolves once the state is on disk.
+   */
+  async activateChannel() {
+    if (this.activeChannel === this.channel) return;
+    this.activeChannel = this.channel;
+    this.updateChannel({ installedVersion: null });
+    await this.save();
+  }
+
+  /**
+   * Returns the record of the selected channel.
+   * @returns {ChannelRecord} Stored record, or an empty one.
+   */
+  channelRecord() {
+    return this.channels.get(this.channel) ?? { installedVersion: null, highestSequence: null };
+  }
+
+  /**
+   * Updates fields of the selected channel's record.
+   * @param {Partial<ChannelRecord>} fields - Fields to change.
+   * @returns {void}
+   */
+  updateChannel(fields) {
+    this.channels.set(this.channel, { ...this.channelRecord(), ...fields });
+    this.dirty = true;
+  }
+
+  /**
+   * Returns the cached digest when the file's stat data still matches the record.
+   * @param {string} relPath - Forward-slash path relative to the install root.
+   * @param {import('node:fs').Stats} stats - Current stat data of the file.
+   * @param {string} algorithm - Hash algorithm the caller needs.
+   * @returns {string|null} Cached digest, or null if the file must be rehashed.
+   */
+  lookup(relPath, stats, algorithm) {
+    const rec = this.files.get(relPath);
+    if (!rec || rec.algorithm !== algorithm) return null;
+    if (rec.size !== stats.size || rec.mtimeMs !== stats.mtimeMs || rec.ino !== stats.ino) return null;
+    return rec.hash;
+  }
+
+  /**
+   * Stores the digest of a file together with the stat data it was computed from.
+   * @param {string} relPath - Forward-slash path relative to the install root.
+   * @param {import('node:fs').Stats} stats - Stat data taken before hashing.
+   * @param {string} algorithm - Hash algorithm used.
+   * @param {string} hash - Hex digest.
+   * @returns {void}
+   */
+  record(relPath, stats, algorithm, hash) {
+    this.files.set(relPath, { size: stats.size, mtimeMs: stats.mtimeMs, ino: stats.ino, algorithm, hash });
+    this.dirty = true;
+  }
+
+  /**
+   * Drops records for files that no longer exist.
+   * @param {Iterable<string>} presentPaths - Paths seen in the latest full listing.
+   * @returns {void}
+   */
+  retainOnly(presentPaths) {
+    const keep = new Set(presentPaths);
+    [...this.files.keys()].forEach((p) => {
+      if (!keep.has(p)) {
+        this.files.delete(p);
+        this.dirty = true;
+      }
+    });
+  }
+
+  /**
+   * Returns the version of the selected channel last installed without failures.
+   * @returns {string|number|null} Installed version, or null if unknown or another channel is on disk.
+   */
+  getInstalledVersion() {
+    return this.activeChannel === this.channel ? this.channelRecord().installedVersion : null;
+  }
+
+  /**
+   * Records the manifest version that is now fully installed and mirrors it to `version.txt`.
+   * Also marks the selected channel as the one on disk.
+   * @param {string|number} version - Manifest version.
+   * @returns {Promise<void>} Resolves once both files are written.
+   */
+  async setInstalledVersion(version) {
+    this.activeChannel = this.channel;
+    this.updateChannel({ installedVersion: version });
+    await this.save();
+    await writeFile(join(this.rootDir, VERSION_FILE), `${version}\n`);
+  }
+
+  /**
+   * Returns the highest manifest sequence accepted so far on the selected channel.
+   * @returns {number|null} Sequence number, or null if none was recorded.
+   */
+  getHighestSequence() {
+    return this.channelRecord().highestSequence;
+  }
+
+  /**
+   * Records the sequence of the manifest just accepted and persists it immediately.
+   * @param {number} sequence - Accepted manifest sequence.
+   * @returns {Promise<void>} Resolves once the state is on disk.
+   */
+  async setHighestSequence(sequence) {
+    if (sequence === this.getHighestSequence()) return;
+    this.updateChannel({ highestSequence: sequence });
+    await this.save();
+  }
+
+  /**
+   * Returns the highest channel index sequence accepted so far.
+   * @returns {number|null} Sequence number, or null if none was recorded.
+   */
+  getIndexSequence() {
+    return this.indexSequence;
+  }
+
+  /**
+   * Records the sequence of the channel index just accepted and persists it immediately.
+   * @param {number} sequence - Accepted index sequence.
+   * @returns {Promise<void>} Resolves once the state is on disk.
+   */
+  async setIndexSequence(sequence) {
+    if (sequence === this.indexSequence) return;
+    this.indexSequence = sequence;
+    this.dirty = true;
+    await this.save();
+  }
+
+  /**
+   * Writes the state file atomically if anything changed, unless the state is read-only.
+   * @returns {Promise<void>} Resolves once the state is on disk.
+   */
+  async save() {
+    if (!this.dirty || this.readOnly || this.loadError) return;
+    const target = join(this.rootDir, STATE_FILE);
+    const temp = `${target}.tmp`;
+    const data = {
+      schema: STATE_SCHEMA,
+      activeChannel: this.activeChannel,
+      channels: [...this.channels.entries()],
+      indexSequence: this.indexSequence,
+      files: [...this.files.entries()],
+    };
+    await writeFile(temp, JSON.stringify(data));
+    await rename(temp, target);
+    this.dirty = false;
+  }
+}
@@ -0,0 +1,328 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+import { createHash, createPublicKey, generateKeyPairSync } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+
+const KEYRING_SCHEMA = 1;
+
+/**
+ * @typedef {Object} KeyEntry
+ * @property {string} keyId - Identifier referenced by `signature.keyId` in manifests.
+ * @property {string} fingerprint - SHA-256 of the public key's SPKI DER encoding (hex).
+ * @property {string} [publicKey] - PEM-encoded public key; when absent the key is loaded from the configured location.
+ * @property {string|null} notBefore - ISO timestamp before which the key is not yet valid.
+ * @property {string|null} notAfter - ISO timestamp after which the key has expired.
+ * @property {boolean} revoked - Revoked keys are never trusted again.
+ * @property {string|null} revokedAt - ISO timestamp of revocation.
+ *
+ * @typedef {Object} ShippedKeyring
+ * @property {string} hash - Manifest digest of the keyring a self-update shipped.
+ * @property {string} algorithm - Hash algorithm of `hash`.
+ */
+
+/**
+ * Parses an optional ISO date, rejecting garbage early.
+ * @param {string|undefined|null} value - Date string from the CLI or keyring file.
+ * @param {string} label - Field name for error messages.
+ * @returns {string|null} Normalized ISO timestamp, or null when not set.
+ */
+const toIsoOrNull = (value, label) => {
+  if (value == null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${label} date: ${value}`);
+  return date.toISOString();
+};
+
+/**
+ * Finds a field of a keyring entry that has the wrong type.
+ * @param {any} entry - Entry from the keyring file.
+ * @returns {string|null} Description of the problem, or null if the fields have the right types.
+ */
+const findFieldProblem = (entry) => {
+  if (typeof entry?.keyId !== 'string' || !entry.keyId) return 'an entry has no keyId';
+  if (typeof entry.fingerprint !== 'string' || !/^[0-9a-f]{64}$/.test(entry.fingerprint)) {
+    return `key ${entry.keyId} has an invalid fingerprint`;
+  }
+  if (entry.publicKey != null && typeof entry.publicKey !== 'string') return `key ${entry.keyId} has an invalid publicKey`;
+  if (typeof (entry.revoked ?? false) !== 'boolean') return `key ${entry.keyId} has an invalid revoked flag`;
+  return null;
+};
+
+/**
+ * Checks one keyring entry and normalizes its dates, so a malformed window cannot turn into no window.
+ * @param {any} entry - Entry from the keyring file.
+ * @returns {KeyEntry} The entry with ISO dates.
+ * @throws {Error} If a field is missing or has the wrong type, or a date does not parse.
+ */
+const parseEntry = (entry) => {
+  const problem = findFieldProblem(entry);
+  if (problem) throw new Error(problem);
+  try {
+    return {
+      ...entry,
+      notBefore: toIsoOrNull(entry.notBefore, 'notBefore'),
+      notAfter: toIsoOrNull(entry.notAfter, 'notAfter'),
+      revoked: entry.revoked ?? false,
+      revokedAt: toIsoOrNull(entry.revokedAt, 'revokedAt'),
+    };
+  } catch (err) {
+    throw new Error(`key ${entry.keyId}: ${err.message}`);
+  }
+};
+
+/**
+ * Tells why a key cannot be used at a given time.
+ * @param {KeyEntry} entry - Keyring entry.
+ * @param {Date} now - Reference time for the validity window.
+ * @returns {string|null} The reason, or null if the key is usable.
+ */
+const findUnusable = (entry, now) => {
+  if (entry.revoked) return 'has been revoked';
+  if (entry.notBefore && now < new Date(entry.notBefore)) return `is not valid before ${entry.notBefore}`;
+  if (entry.notAfter && now > new Date(entry.notAfter)) return `expired on ${entry.notAfter}`;
+  return null;
+};
+
+/**
+ * Tells whether two entries pin the same key with the same validity window.
+ * @param {KeyEntry} a - First entry.
+ * @param {KeyEntry} b - Second entry.
+ * @returns {boolean} True if only the revocation fields may differ.
+ */
+const sameKey = (a, b) => a.fingerprint === b.fingerprint && (a.publicKey ?? null) === (b.publicKey ?? null) && a.notBefore === b.notBefore && a.notAfter === b.notAfter;
+
+/**
+ * Combines the revocation of two entries for the same key; either side revoking wins.
+ * @param {KeyEntry} local - Local entry.
+ * @param {KeyEntry} shipped - Shipped entry.
+ * @param {Date} now - Time recorded for a shipped revocation without one.
+ * @returns {{revoked: boolean, revokedAt: string|null}} The merged revocation fields.
+ */
+const mergeRevocation = (local, shipped, now) => {
+  if (!local.revoked && !shipped.revoked) return { revoked: false, revokedAt: null };
+  return { revoked: true, revokedAt: local.revokedAt ?? shipped.revokedAt ?? now.toISOString() };
+};
+
+/**
+ * Merges a shipped entry into the local entry with the same key id. A revocation on either side
+ * sticks; the key and window are only taken from the shipped entry when `mayChange` is set.
+ * @param {KeyEntry} local - Local entry.
+ * @param {KeyEntry} shipped - Shipped entry.
+ * @param {boolean} mayChange - Whether the update may change this key.
+ * @param {string[]} refused - Receives the changes that were left out.
+ * @param {Date} now - Time recorded for a shipped revocation without one.
+ * @returns {KeyEntry} The merged entry.
+ */
+const mergeEntry = (local, shipped, mayChange, refused, now) => {
+  const unchanged = sameKey(local, shipped);
+  if (!unchanged && !mayChange) refused.push(`changing key ${local.keyId}`);
+  if (local.revoked && !shipped.revoked) refused.push(`un-revoking key ${local.keyId}`);
+  return { ...(unchanged || !mayChange ? local : shipped), ...mergeRevocation(local, shipped, now) };
+};
+
+/**
+ * The set of signing keys the launcher trusts, with validity windows and revocation.
+ * Manifests are accepted only when signed by a listed, unrevoked key that is inside its
+ * validity window and whose public key matches the pinned fingerprint.
+ */
+export default class Keyring {
+  /**
+   * @param {string} path - Location of the keyring JSON file.
+   */
+  constructor(path) {
+    this.path = path;
+    /** @type {KeyEntry[]} */
+    this.keys = [];
+    this.exists = false;
+    /**
+     * The shipped keyring this one was last merged from, so the same update is not merged again.
+     * @type {ShippedKeyring|null}
+     */
+    this.shipped = null;
+  }
+
+  /**
+   * Computes the fingerprint used to pin a public key.
+   * @param {string} publicKeyPem - PEM-encoded public key.
+   * @returns {string} Hex SHA-256 of the SPKI DER encoding.
+   */
+  static fingerprint(publicKeyPem) {
+    const der = createPublicKey(publicKeyPem).export({ type: 'spki', format: 'der' });
+    return createHash('sha256').update(der).digest('hex');
+  }
+
+  /**
+   * Reads the keyring file. A missing file leaves the keyring empty. Every entry is checked, and a
+   * single invalid one rejects the whole keyring rather than trusting a key without its limits.
+   * @returns {Promise<boolean>} True if the file existed.
+   * @throws {Error} If the file exists but is not a valid keyring.
+   */
+  async load() {
+    let text;
+    try {
+      text = await readFile(this.path, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Keyring ${this.path} is not valid JSON: ${e.message}`);
+    }
+    if (data.schema !== KEYRING_SCHEMA || !Array.isArray(data.keys)) {
+      throw new Error(`Keyring ${this.path} has an unsupported format`);
+    }
+
+    try {
+      this.keys = data.keys.map(parseEntry);
+    } catch (err) {
+      throw new Error(`Keyring ${this.path} is invalid: ${err.message}`);
+    }
+    this.shipped = typeof data.shipped?.hash === 'string' ? { hash: data.shipped.hash, algorithm: String(data.shipped.algorithm) } : null;
+    this.exists = true;
+    return true;
+  }
+
+  /**
+   * Writes the keyring file atomically.
+   * @returns {Promise<void>} Resolves once the file is on disk.
+   */
+  async save() {
+    const temp = `${this.path}.tmp`;
+    await mkdir(dirname(this.path), { recursive: true });
+    const data = { schema: KEYRING_SCHEMA, keys: this.keys, ...(this.shipped ? { shipped: this.shipped } : {}) };
+    await writeFile(temp, `${JSON.stringify(data, null, 2)}\n`);
+    await rename(temp, this.path);
+    this.exists = true;
+  }
+
+  /**
+   * Looks up a key by id.
+   * @param {string} keyId - Key identifier.
+   * @returns {KeyEntry|undefined} Matching entry.
+   */
+  find(keyId) {
+    return this.keys.find((k) => k.keyId === keyId);
+  }
+
+  /**
+   * Adds a trusted key.
+   * @param {object} options - Key details.
+   * @param {string} options.keyId - Key identifier.
+   * @param {string} options.publicKeyPem - PEM-encoded Ed25519 public key.
+   * @param {string} [options.notBefore] - Start of the validity window.
+   * @param {string} [options.notAfter] - End of the validity window.
+   * @returns {KeyEntry} The new entry.
+   * @throws {Error} If the key id is taken or the key is not Ed25519.
+   */
+  add({ keyId, publicKeyPem, notBefore, notAfter }) {
+    if (!keyId) throw new Error('A key id is required');
+    if (this.find(keyId)) throw new Error(`Key ${keyId} is already in the keyring`);
+
+    const type = createPublicKey(publicKeyPem).asymmetricKeyType;
+    if (type !== 'ed25519') throw new Error(`Unsupported key type: ${type}`);
+
+    /** @type {KeyEntry} */
+    const entry = {
+      keyId,
+      fingerprint: Keyring.fingerprint(publicKeyPem),
+      publicKey: publicKeyPem.trim(),
+      notBefore: toIsoOrNull(notBefore, 'not-before'),
+      notAfter: toIsoOrNull(notAfter, 'not-after'),
+      revoked: false,
+      revokedAt: null,
+    };
+    this.keys.push(entry);
+    return entry;
+  }
+
+  /**
+   * Marks a key as revoked. Revocation is permanent.
+   * @param {string} keyId - Key identifier.
+   * @returns {KeyEntry} The revoked entry.
+   * @throws {Error} If the key is not in the keyring.
+   */
+  revoke(keyId) {
+    const entry = this.find(keyId);
+    if (!entry) throw new Error(`Key ${keyId} is not in the keyring`);
+    if (!entry.revoked) {
+      entry.revoked = true;
+      entry.revokedAt = new Date().toISOString();
+    }
+    return entry;
+  }
+
+  /**
+   * Ensures a key may be used to verify a manifest right now.
+   * @param {string} keyId - Key identifier from the manifest signature.
+   * @param {string} publicKeyPem - Public key that will be used for verification.
+   * @param {Date} [now=new Date()] - Reference time for the validity window.
+   * @returns {KeyEntry} The trusted entry.
+   * @throws {Error} If the key is unknown, revoked, outside its window, or does not match its fingerprint.
+   */
+  assertTrusted(keyId, publicKeyPem, now = new Date()) {
+    const entry = this.find(keyId);
+    if (!entry) throw new Error(`Signing key ${keyId} is not in the trusted keyring`);
+    const unusable = findUnusable(entry, now);
+    if (unusable) throw new Error(`Signing key ${keyId} ${unusable}`);
+    if (Keyring.fingerprint(publicKeyPem) !== entry.fingerprint) {
+      throw new Error(`Public key for ${keyId} does not match the keyring fingerprint`);
+    }
+    return entry;
+  }
+
+  /**
+   * Merges a keyring shipped by a self-update into this local one, without changing either.
+   * Revocations, local or shipped, always stick, and revoked keys the shipped keyring leaves out are
+   * kept. A key is only added or changed when the manifest that shipped the keyring was signed by a
+   * different key that this keyring still trusts, so a key cannot vouch for itself or bring itself
+   * back. Without a local keyring the shipped one is taken as is.
+   * @param {KeyEntry[]} shippedKeys - Entries of the shipped keyring, as checked by `load`.
+   * @param {string|undefined} signerKeyId - Key that signed the manifest listing the shipped keyring.
+   * @param {Date} [now=new Date()] - Reference time for the signer's validity window.
+   * @returns {{keys: KeyEntry[], refused: string[]}} The merged entries, and the changes left out.
+   */
+  mergeShipped(shippedKeys, signerKeyId, now = new Date()) {
+    if (!this.exists) return { keys: shippedKeys, refused: [] };
+
+    const signer = this.find(signerKeyId);
+    const signerTrusted = Boolean(signer) && !findUnusable(signer, now);
+    const refused = [];
+    const keys = shippedKeys.flatMap((shipped) => {
+      const mayChange = signerTrusted && shipped.keyId !== signerKeyId;
+      const local = this.find(shipped.keyId);
+      if (local) return [mergeEntry(local, shipped, mayChange, refused, now)];
+      if (mayChange || shipped.revoked) return [shipped];
+      refused.push(`adding key ${shipped.keyId}`);
+      return [];
+    });
+    const dropped = this.keys.filter((k) => k.revoked && !shippedKeys.some((s) => s.keyId === k.keyId));
+    return { keys: [...keys, ...dropped], refused };
+  }
+
+  /**
+   * Generates a new Ed25519 key pair and writes it to `<dir>/<keyId>.pem` (public) and
+   * `<dir>/<keyId>.private.pem` (private, owner-only). Existing files are never overwritten.
+   * @param {string} keyId - Key identifier used for file names.
+   * @param {string} dir - Output directory.
+   * @returns {Promise<{publicKeyPem: string, publicPath: string, privatePath: string}>} The new public key and file locations.
+   */
+  static async generateKeyPair(keyId, dir) {
+    if (!/^[\w.-]+$/.test(keyId || '')) throw new Error(`Invalid key id: ${keyId}`);
+
+    const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+    const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+    const privateKeyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+    const publicPath = join(dir, `${keyId}.pem`);
+    const privatePath = join(dir, `${keyId}.private.pem`);
+    await mkdir(dir, { recursive: true });
+    await writeFile(privatePath, privateKeyPem, { flag: 'wx', mode: 0o600 });
+    await writeFile(publicPath, publicKeyPem, { flag: 'wx' });
+
+    return { publicKeyPem, publicPath, privatePath };
+  }
+}
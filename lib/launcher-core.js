@@ -1,17 +1,27 @@
-/* eslint-disable n/no-process-exit */
-import { spawn } from 'node:child_process';
+import { join, resolve } from 'node:path';
 
+import ChannelIndex from './channel-index.js';
 import ConfigManager from './config-manager.js';
 import FileManager from './file-manager.js';
+import GameLauncher from './game-launcher.js';
+import Keyring from './keyring.js';
+import LauncherError from './launcher-error.js';
 import ManifestHandler from './manifest-handler.js';
+import MirrorPool from './mirror-pool.js';
+import QuarantineManager from './quarantine-manager.js';
+import RateLimiter from './rate-limiter.js';
 import SelfUpdater from './self-updater.js';
 
 const MAX_PREVIEW = 5;
+/** Config file name, looked up in the launcher's own directory. */
+const CONFIG_FILE = 'config.ini';
 const INTEGRITY_WHITELIST = new Set([
   'launcher.js',
   'launcher.js.new',
   'launcher.js.bak',
+  'launcher-health.json',
   'config.ini',
+  'keyring.json',
   'public-key.pem',
   'private-key.pem',
   'version.txt',
@@ -19,6 +29,46 @@ const INTEGRITY_WHITELIST = new Set([
   '.patcherignore',
 ]);
 
+/**
+ * @typedef {import('./file-manager.js').TransferPlan & {status: 'missing'|'outdated'|'self', type?: string}} PlanItem
+ * @typedef {import('./launcher-error.js').FileFailure} FileFailure
+ *
+ * @typedef {Object} UpdatePlan
+ * @property {{version: string|number, sequence: number|null, format: number, files: number, channel: string|null}} manifest - Verified manifest summary.
+ * @property {string|number|null} installedVersion - Version recorded as installed.
+ * @property {PlanItem[]} selfUpdates - Launcher, config and keyring updates.
+ * @property {PlanItem[]} missing - Content files that would be downloaded.
+ * @property {PlanItem[]} outdated - Content files that would be replaced.
+ * @property {string[]} extra - Local files not in the manifest (candidates for `--prune`).
+ * @property {Array<{path: string, changes: string[]}>} drift - Up-to-date files whose mode or mtime differs from the manifest.
+ * @property {{files: number, downloadBytes: number, unknownSizes: number}} totals - Download totals.
+ */
+
+/**
+ * Checks whether a relative path equals a protected entry or lies beneath a protected directory.
+ * @param {string} relPath - Forward-slash path relative to the install root.
+ * @param {string[]} protectedPaths - Protected files or directories.
+ * @returns {boolean} True if the path must never be pruned.
+ */
+const isProtectedPath = (relPath, protectedPaths) =>
+  protectedPaths.some((p) => {
+    const prefix = p.replace(/\/+$/, '');
+    return relPath === prefix || relPath.startsWith(`${prefix}/`);
+  });
+
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Formats a byte count for the disk space messages.
+ * @param {number} bytes - Byte count.
+ * @returns {string} Human-readable size such as "1.5 MB".
+ */
+const formatBytes = (bytes) => {
+  const exp = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), BYTE_UNITS.length - 1) : 0;
+  const value = bytes / 1024 ** exp;
+  return `${exp === 0 ? value : value.toFixed(1)} ${BYTE_UNITS.at(exp)}`;
+};
+
 /**
  * Orchestrates configuration, manifest verification, self-updates, and content patching.
  */
@@ -35,92 +85,457 @@ export default class LauncherCore {
    * - updatePatching(done: number): void
    * - startFileDownload(filename: string): void
    * - updateFileProgress(percentage: number, filename: string): void
-   * - finishFileDownload(): void
+   * - finishFileDownload(filename?: string): void
    * - finishPatching(): void
    * - cleanup(): void
+   * Optional methods, used when present:
+   * - failFileDownload(filename: string, message: string, failure: FileFailure): void
+   * @param {object} [options] - Optional settings.
+   * @param {typeof fetch} [options.fetch] - Fetch implementation for every network request.
+   * @param {string} [options.appDir=process.cwd()] - The launcher's own directory: `config.ini`, keys and the
+   *   launcher files. Relative paths in the config resolve against it.
+   * @param {string} [options.installDir] - Content root to patch; overrides `install_dir`. Relative to the current directory.
+   * @param {string|number} [options.limitRate] - Download rate limit such as `500K`; overrides `max_download_rate` and `download_schedule`.
    */
-  constructor(progressDisplay) {
+  constructor(progressDisplay, { fetch: fetchImpl, appDir = process.cwd(), installDir, limitRate } = {}) {
     this.progress = progressDisplay;
-    this.config = new ConfigManager();
-    this.manifest = new ManifestHandler();
-    this.fileManager = new FileManager(progressDisplay);
-    this.selfUpdater = new SelfUpdater(this.progress);
+    this.appDir = resolve(appDir);
+    /** @type {string|null} Install root given by the caller; takes precedence over `install_dir`. */
+    this.installDirOverride = installDir ? resolve(installDir) : null;
+    this.configLoaded = false;
+    /** @type {string|number|null} Rate limit given by the caller; takes precedence over the config. */
+    this.limitRateOverride = limitRate ?? null;
+    /** Shared by content and self-update downloads; configured once the config is loaded. */
+    this.rateLimiter = new RateLimiter();
+    this.config = new ConfigManager(join(this.appDir, CONFIG_FILE));
+    this.manifest = new ManifestHandler(progressDisplay, { fetch: fetchImpl, baseDir: this.appDir });
+    this.fileManager = new FileManager(progressDisplay, { fetch: fetchImpl, rootDir: this.installDirOverride ?? this.appDir, rateLimiter: this.rateLimiter });
+    this.selfUpdater = new SelfUpdater(this.progress, { fetch: fetchImpl, appDir: this.appDir, rateLimiter: this.rateLimiter });
+    this.quarantine = new QuarantineManager(progressDisplay, this.fileManager);
+    this.gameLauncher = new GameLauncher(progressDisplay, this.fileManager);
+    /** @type {MirrorPool|null} Created once the manifest is verified; tracks mirror health for the run. */
+    this.mirrors = null;
+    /** @type {string|null} Release channel of this run, or null when channels are not used. */
+    this.channel = null;
     this.needsRestart = false;
   }
 
   /**
    * Loads configuration and fetches + verifies the manifest.
    * Logs basic manifest stats for visibility.
+   * @param {object} [options={}] - Options object.
+   * @param {boolean} [options.allowDowngrade=false] - Accept a manifest older than the last one accepted.
+   * @param {boolean} [options.dryRun=false] - Keep the install state in memory only, so nothing is written.
+   * @param {string} [options.channel] - Release channel; overrides the `channel` config key.
    * @returns {Promise<void>} Resolves when config and manifest are ready for use.
    */
-  async initialize() {
-    await this.config.load();
-    this.progress.log('✓ Configuration loaded');
+  async initialize({ allowDowngrade = false, dryRun = false, channel } = {}) {
+    await this.loadConfig();
+    this.configureRateLimit();
+    const { state } = this.fileManager;
+    state.readOnly = dryRun;
+    await this.recoverInterruptedUpdate(dryRun);
+
+    const keyring = new Keyring(resolve(this.appDir, this.config.get('keyring', 'keyring.json')));
+    if (await keyring.load()) {
+      this.progress.log(`✓ Keyring loaded (${keyring.keys.length} key(s))`);
+    }
 
-    const manifestUrl = this.config.get('manifest_url');
-    const publicKey = this.config.get('key');
-    const timeoutMs = this.config.get('download_timeout');
+    this.channel = channel || this.config.get('channel') || null;
+    state.selectChannel(this.channel);
+    await state.load();
+    this.checkInstallState(allowDowngrade);
+    const manifestData = await this.fetchManifest({ keyring, allowDowngrade });
+    this.mirrors = new MirrorPool(manifestData.mirrors, {
+      retries: this.config.get('download_retries', 3),
+      logger: this.progress,
+    });
 
-    const manifestData = await this.manifest.fetchAndVerify(manifestUrl, publicKey, timeoutMs);
+    this.reportManifest(manifestData);
+  }
 
+  /**
+   * Refuses to trust an install state that exists but cannot be read: with its sequences gone, any
+   * older or frozen manifest would pass. `--allow-downgrade` accepts that and starts a fresh state.
+   * @param {boolean} allowDowngrade - Accept a manifest older than the last one accepted.
+   * @returns {void}
+   * @throws {LauncherError} A `signature` error if the state is unreadable and downgrades are not allowed.
+   */
+  checkInstallState(allowDowngrade) {
+    const { state } = this.fileManager;
+    if (!state.loadError) return;
+    const problem = `The install state (.launcher-state.json) is unreadable: ${state.loadError}`;
+    if (!allowDowngrade) {
+      throw new LauncherError(
+        'signature',
+        `${problem}. Rollback protection cannot be checked; run once with --allow-downgrade to accept the current release and start a new install state`
+      );
+    }
+    this.progress.log(`⚠ ${problem}. Starting a new install state; any manifest sequence is accepted this run`);
+    state.discardUnreadable();
+  }
+
+  /**
+   * Logs what the verified manifest describes and the version currently installed.
+   * @param {object} manifestData - Verified manifest data.
+   * @returns {void}
+   */
+  reportManifest(manifestData) {
     this.progress.log(`✓ Manifest verified (version: ${manifestData.version ?? 'unknown'})`);
     this.progress.log(`  Files tracked: ${manifestData.files.length}`);
+    if (manifestData.symlinks.length > 0) {
+      this.progress.log(`  Symlinks: ${manifestData.symlinks.length}`);
+    }
+    if (manifestData.mirrors.length > 1) {
+      this.progress.log(`  Mirrors: ${manifestData.mirrors.length}`);
+    }
+
+    const installed = this.fileManager.state.getInstalledVersion();
+    if (installed !== null) {
+      this.progress.log(`  Installed version: ${installed}`);
+    }
+  }
+
+  /**
+   * Downloads and verifies the manifest of this run, through the channel index when a channel is set.
+   * @param {object} options - Options object.
+   * @param {Keyring} options.keyring - Trusted keys for the signatures.
+   * @param {boolean} options.allowDowngrade - Accept an older manifest than the last one accepted.
+   * @returns {Promise<object>} The verified manifest data.
+   * @throws {LauncherError} A `network` error if a download failed, a `signature` error if verification failed.
+   */
+  async fetchManifest({ keyring, allowDowngrade }) {
+    try {
+      const manifestUrl = await this.resolveManifestUrl({ keyring, allowDowngrade });
+      return await this.manifest.fetchAndVerify(manifestUrl, this.config.get('key'), this.config.get('download_timeout'), {
+        keyring,
+        allowLegacy: this.config.get('allow_legacy_manifest', false),
+        allowLegacyHashes: this.config.get('allow_legacy_hashes', false),
+        state: this.fileManager.state,
+        allowDowngrade,
+      });
+    } catch (err) {
+      throw LauncherError.fromVerification(err);
+    }
+  }
+
+  /**
+   * Loads `config.ini` from the launcher's directory and points file operations at the install root:
+   * the `installDir` option, else `install_dir` relative to the launcher's directory, else that directory.
+   * Also applies the configured download concurrency.
+   * @returns {Promise<void>} Resolves once the config is loaded.
+   */
+  async loadConfig() {
+    await this.config.load();
+    this.configLoaded = true;
+    this.progress.log('✓ Configuration loaded');
+
+    const installDir = this.installDirOverride ?? resolve(this.appDir, this.config.get('install_dir', '.'));
+    this.fileManager.setRootDir(installDir);
+    this.fileManager.configureDownloads({
+      concurrency: this.config.get('concurrent_downloads', 4),
+      connectionsPerHost: this.config.get('max_connections_per_host', 0),
+    });
+    if (installDir !== this.appDir) {
+      this.progress.log(`  Install directory: ${installDir}`);
+    }
+  }
+
+  /**
+   * Finishes or rolls back a content update that a crash interrupted mid-commit.
+   * A dry run only reports it.
+   * @param {boolean} dryRun - Leave the install untouched.
+   * @returns {Promise<void>} Resolves once the install is consistent again, or the pending update is reported.
+   */
+  async recoverInterruptedUpdate(dryRun) {
+    const { staging } = this.fileManager;
+    if (!dryRun) {
+      await staging.recover();
+    } else if (await staging.hasPendingCommit()) {
+      this.progress.log('⚠ An interrupted update is pending; it will be completed or rolled back on the next run');
+    }
+  }
+
+  /**
+   * Applies the download rate limit: the `limitRate` option, else `max_download_rate` with the
+   * `download_schedule` windows. Logs the limit when one applies.
+   * @returns {void}
+   * @throws {Error} If a rate or schedule window is malformed.
+   */
+  configureRateLimit() {
+    if (this.limitRateOverride === null) {
+      this.rateLimiter.configure({
+        rate: RateLimiter.parseRate(this.config.get('max_download_rate', '0')),
+        schedule: RateLimiter.parseSchedule(this.config.get('download_schedule', [])),
+      });
+    } else {
+      this.rateLimiter.configure({ rate: RateLimiter.parseRate(this.limitRateOverride) });
+    }
+    if (!this.rateLimiter.isLimited()) return;
+
+    const { rate, schedule } = this.rateLimiter;
+    if (schedule.length === 0) {
+      this.progress.log(`⏱ Download rate limited to ${RateLimiter.formatRate(rate)}`);
+      return;
+    }
+    this.progress.log(`⏱ Download rate limit: ${RateLimiter.formatRate(this.rateLimiter.rateAt())} now`);
+    this.progress.log(`  Default ${RateLimiter.formatRate(rate)}, ${schedule.length} scheduled window(s)`);
+  }
+
+  /**
+   * Returns `manifest_url`, or with a release channel, the channel's manifest URL from the signed channel index.
+   * @param {object} options - Options object.
+   * @param {Keyring} options.keyring - Trusted keys for the index signature.
+   * @param {boolean} options.allowDowngrade - Accept an older index than the last one accepted.
+   * @returns {Promise<string>} Manifest URL.
+   * @throws {Error} If a channel is set without `channel_index_url`, or the index rejects it.
+   */
+  async resolveManifestUrl({ keyring, allowDowngrade }) {
+    if (!this.channel) return this.config.get('manifest_url');
+
+    const indexUrl = this.config.get('channel_index_url');
+    if (!indexUrl) throw new Error(`Channel ${this.channel} requires channel_index_url in config.ini`);
+
+    const { state } = this.fileManager;
+    const manifestUrl = await new ChannelIndex(this.manifest).resolve(indexUrl, this.channel, {
+      keyConfig: this.config.get('key'),
+      timeoutMs: this.config.get('download_timeout'),
+      keyring,
+      state,
+      allowDowngrade,
+    });
+    this.progress.log(`✓ Channel: ${this.channel}`);
+
+    const active = state.getActiveChannel();
+    if (active !== null && active !== state.channel) {
+      this.progress.log(`🔀 Switching from channel ${active} to ${this.channel}; only files that differ will be downloaded`);
+    }
+    return manifestUrl;
   }
 
   /**
    * Checks for launcher/config updates described by the manifest and applies them as needed.
-   * Triggers a restart if the updater indicates it is required.
-   * @returns {Promise<void>} Resolves when done, may trigger a restart.
+   * A new launcher is only staged as `launcher.js.new`; the caller decides when to restart into it.
+   * @returns {Promise<{updates: string[], restartRequired: boolean}>} Files that were updated or staged,
+   *   and whether a restart is needed to run the staged launcher.
+   * @throws {LauncherError} A `self-update` error, with the failures, if a file could not be checked or updated.
    */
   async checkSelfUpdates() {
-    const { baseUrl } = this.manifest.getData();
-    const hashAlgorithm = this.config.get('hash_algorithm', 'sha256');
     const timeoutMs = this.config.get('download_timeout');
 
-    const updates = await this.selfUpdater.checkForUpdates(this.manifest.getData(), hashAlgorithm);
+    let updates;
+    let failures = [];
+    try {
+      updates = await this.selfUpdater.checkForUpdates(this.manifest.getData());
+      if (updates.length > 0) {
+        this.progress.log(`⚠ Found ${updates.length} system file update(s)`);
+        failures = await this.selfUpdater.performUpdates(updates, this.mirrors, timeoutMs);
+      }
+    } catch (err) {
+      throw LauncherError.wrap(err, 'self-update');
+    }
+    if (failures.length > 0) {
+      throw new LauncherError('self-update', `${failures.length} system file(s) could not be updated`, { failures });
+    }
 
     if (updates.length === 0) {
       this.progress.log('✓ Launcher and config are up to date');
-      return;
+      return { updates: [], restartRequired: false };
     }
 
-    this.progress.log(`⚠ Found ${updates.length} system file update(s)`);
-    await this.selfUpdater.performUpdates(updates, baseUrl, timeoutMs);
-
-    if (this.selfUpdater.needsRestart()) {
-      this.restart();
-    }
+    this.needsRestart = this.selfUpdater.needsRestart();
+    return { updates: updates.map((u) => u.entry.path), restartRequired: this.needsRestart };
   }
 
   /**
    * Syncs local content with the manifest.
    * Optionally performs a full integrity verification pass before and after patching.
+   * Unchanged files reuse digests from the install-state index unless `verifyIntegrity` forces a rehash.
+   * Updates are staged and committed together, so a failure leaves the install as it was.
+   * Once every file is current, symlinks, modes and mtimes are brought in line with the manifest
+   * and the manifest version is recorded as installed.
    * @param {object} [options={}] - Options object.
    * @param {boolean} [options.verifyIntegrity=false] - When true, computes and displays verification progress.
-   * @returns {Promise<void>} Number of files updated.
+   * @param {boolean} [options.prune=false] - When true, moves extra files into quarantine after patching.
+   * @returns {Promise<{updated: number, failed: string[], failures: FileFailure[], extra?: string[]}>}
+   *   Files updated, files not updated (all of them when the update was not committed), why they were not
+   *   updated, and the extra files found when an integrity check ran.
    */
-  async updateContent({ verifyIntegrity = false } = {}) {
-    const { baseUrl, files: manifestFiles } = this.manifest.getData();
-    const hashAlgorithm = this.config.get('hash_algorithm', 'sha256');
+  async updateContent({ verifyIntegrity = false, prune = false } = {}) {
+    const { files: manifestFiles } = this.manifest.getData();
     const timeoutMs = this.config.get('download_timeout');
 
-    let localFiles;
+    const localFiles = await this.scanLocalFiles(verifyIntegrity);
+    const updates = await this.findContentUpdates(manifestFiles, localFiles);
 
-    if (verifyIntegrity) {
-      this.progress.startVerification(manifestFiles.length);
-      localFiles = await this.fileManager.scanWithProgress(hashAlgorithm, (completed) => this.progress.updateVerification(completed));
-      this.progress.finishVerification();
+    let outcome = { failed: [], failures: [] };
+    if (updates.length === 0) {
+      this.progress.log('✓ No content updates needed');
+      await this.fileManager.staging.clear();
     } else {
-      localFiles = await this.fileManager.scanFiles(hashAlgorithm);
+      await this.fileManager.state.activateChannel();
+      outcome = await this.applyUpdates(updates, timeoutMs);
     }
 
-    const updates = this.fileManager.findUpdates(manifestFiles, localFiles);
+    const { failed, failures } = outcome;
+    if (failed.length === 0) {
+      await this.syncFileMetadata();
+      await this.recordInstalledVersion();
+    }
 
-    if (updates.length === 0) {
-      this.progress.log('✓ No content updates needed');
-      return;
+    const result = { updated: updates.length - failed.length, failed, failures };
+    if (verifyIntegrity || prune) {
+      result.extra = await this.checkExtraFiles(localFiles, { prune, committed: failed.length === 0 });
+    }
+    return result;
+  }
+
+  /**
+   * Lists the content files that are missing or outdated. The self-managed files (launcher, config
+   * and keyring) are left to `checkSelfUpdates`, so a launcher that was rolled back is not
+   * downloaded again as content.
+   * @param {Array<{path: string, hash: string}>} manifestFiles - File list from the manifest.
+   * @param {Array<{path: string, hash: string}>} localFiles - Locally scanned files.
+   * @returns {Promise<Array<{path: string, hash: string, status: string}>>} Files to download.
+   */
+  findContentUpdates(manifestFiles, localFiles) {
+    const contentFiles = manifestFiles.filter((f) => !this.selfUpdater.manages(f.path));
+    return this.fileManager.filterIgnoredUpdates(this.fileManager.findUpdates(contentFiles, localFiles));
+  }
+
+  /**
+   * Runs the extra-file pass after an update. Extra files are judged against the new manifest,
+   * which only describes the install once the update is committed, so nothing is pruned otherwise.
+   * @param {{ path: string }[]} localFiles - Local files scanned before the update.
+   * @param {object} options - Options object.
+   * @param {boolean} options.prune - Whether `--prune` was requested.
+   * @param {boolean} options.committed - Whether the update was committed.
+   * @returns {Promise<string[]>} Extra file paths.
+   */
+  checkExtraFiles(localFiles, { prune, committed }) {
+    if (!prune || committed) return this.performIntegrityCheck(localFiles, { prune });
+    return this.performIntegrityCheck(localFiles, { notPruned: '⚠ Not pruning: the update was not committed, so the install still holds the previous release' });
+  }
+
+  /**
+   * Creates the manifest's symlinks and restores the mode and mtime of files that drifted from
+   * the manifest. Drift is reported like content drift before it is fixed. Failures are logged
+   * and do not fail the update, since the content itself is current.
+   * @returns {Promise<void>} Resolves once links and metadata are in place.
+   */
+  async syncFileMetadata() {
+    const { files, symlinks } = this.manifest.getData();
+    const links = await this.fileManager.syncSymlinks(symlinks);
+    if (links.changed.length > 0) this.progress.log(`🔗 ${links.changed.length} symlink(s) created or updated`);
+
+    const drift = await this.fileManager.findMetadataDrift(files);
+    if (drift.length === 0) return;
+    this.progress.log(`Found ${drift.length} file(s) with permission drift:`);
+    drift.slice(0, MAX_PREVIEW).forEach(({ path, changes }) => this.progress.log(`  ! ${path}: ${changes.join('; ')}`));
+    if (drift.length > MAX_PREVIEW) {
+      this.progress.log(`  ... and ${drift.length - MAX_PREVIEW} more`);
     }
+    const failed = await this.fileManager.restoreMetadata(drift);
+    this.progress.log(`🔧 Restored the mode and mtime of ${drift.length - failed.length} file(s)`);
+  }
 
+  /**
+   * Picks the algorithm each local file is hashed with: the one of its manifest entry, so its
+   * digest compares with the manifest, else the manifest's.
+   * @returns {(path: string) => string} Algorithm for a path relative to the install root.
+   */
+  getHashAlgorithms() {
+    const { algorithm, files } = this.manifest.getData();
+    const byPath = new Map(files.map((f) => [f.path, f.algorithm]));
+    return (path) => byPath.get(path) ?? algorithm;
+  }
+
+  /**
+   * Hashes the local install, reusing cached digests unless a full verification is requested.
+   * @param {boolean} verifyIntegrity - When true, rehashes every file and shows verification progress.
+   * @returns {Promise<Array<{path: string, hash: string}>>} Local files with their digests.
+   */
+  async scanLocalFiles(verifyIntegrity) {
+    const hashAlgorithm = this.getHashAlgorithms();
+    if (!verifyIntegrity) return this.fileManager.scanFiles(hashAlgorithm);
+
+    // The total is the number of local files the scan walks, not the manifest's entry count.
+    const localFiles = await this.fileManager.scanWithProgress(hashAlgorithm, {
+      onStart: (total) => this.progress.startVerification(total),
+      onProgress: (completed) => this.progress.updateVerification(completed),
+    });
+    this.progress.finishVerification();
+    return localFiles;
+  }
+
+  /**
+   * Works out everything `checkSelfUpdates` and `updateContent` would do, without writing files.
+   * @param {object} [options={}] - Options object.
+   * @param {boolean} [options.verifyIntegrity=false] - When true, rehashes every local file instead of trusting the index.
+   * @returns {Promise<UpdatePlan>} The update plan.
+   */
+  async planUpdates({ verifyIntegrity = false } = {}) {
+    const data = this.manifest.getData();
+    const timeoutMs = this.config.get('download_timeout');
+
+    const selfUpdates = await this.selfUpdater.checkForUpdates(data);
+    const localFiles = await this.scanLocalFiles(verifyIntegrity);
+    const updates = await this.findContentUpdates(data.files, localFiles);
+
+    const candidates = [...selfUpdates.map(({ entry, type }) => ({ ...entry, status: 'self', type })), ...updates];
+    const items = await this.fileManager.queue.run(candidates, async (file) => ({
+      status: file.status,
+      ...(file.type ? { type: file.type } : {}),
+      ...(await this.fileManager.planTransfer(file, this.mirrors, timeoutMs)),
+    }));
+
+    const known = items.filter((i) => i.transferBytes !== null);
+    const updating = new Set(updates.map((u) => u.path));
+    const drift = await this.fileManager.findMetadataDrift(data.files.filter((f) => !updating.has(f.path)));
+    return {
+      manifest: { version: data.version, sequence: data.sequence, format: data.format, files: data.files.length, channel: this.channel },
+      installedVersion: this.fileManager.state.getInstalledVersion(),
+      selfUpdates: items.filter((i) => i.status === 'self'),
+      missing: items.filter((i) => i.status === 'missing'),
+      outdated: items.filter((i) => i.status === 'outdated'),
+      extra: this.findExtraFiles(localFiles),
+      drift: drift.map(({ path, changes }) => ({ path, changes })),
+      totals: {
+        files: items.length,
+        downloadBytes: known.reduce((sum, i) => sum + i.transferBytes, 0),
+        unknownSizes: items.length - known.length,
+      },
+    };
+  }
+
+  /**
+   * Resolves the game client command from the verified manifest and the local overrides.
+   * @returns {import('./game-launcher.js').LaunchSpec|null} Command to run, or null if none is configured.
+   */
+  getLaunchSpec() {
+    return this.gameLauncher.resolve(this.manifest.getData().launch, this.config);
+  }
+
+  /**
+   * Records the current manifest version as installed, if it is known and not already recorded.
+   * @returns {Promise<void>} Resolves once the install state is updated.
+   */
+  async recordInstalledVersion() {
+    const { version } = this.manifest.getData();
+    if (version === 'unknown' || version === this.fileManager.state.getInstalledVersion()) return;
+    await this.fileManager.state.setInstalledVersion(version);
+  }
+
+  /**
+   * Previews and downloads the given content updates with progress reporting, once the disk
+   * space check has passed.
+   * @param {Array<{path: string, hash: string, status: string}>} updates - Files from `findUpdates`.
+   * @param {number} timeoutMs - Per-attempt timeout in milliseconds.
+   * @returns {Promise<{failed: string[], failures: FileFailure[]}>} Paths of files not
+   *   updated (all of them when the update was not committed), and why.
+   * @throws {LauncherError} A `disk-space` error if the install volume is too full; nothing is downloaded.
+   */
+  async applyUpdates(updates, timeoutMs) {
     this.progress.log(`Found ${updates.length} file(s) that need updates:`);
     updates.slice(0, MAX_PREVIEW).forEach((file) => {
       const prefix = file.status === 'missing' ? '+ ' : '~ ';
@@ -129,70 +544,136 @@ export default class LauncherCore {
     if (updates.length > MAX_PREVIEW) {
       this.progress.log(`  ... and ${updates.length - MAX_PREVIEW} more`);
     }
+    await this.checkDiskSpace(updates);
 
     this.progress.startPatching(updates.length);
 
-    await this.fileManager.downloadUpdates(updates, baseUrl, timeoutMs, {
+    const outcome = await this.fileManager.downloadUpdates(updates, this.mirrors, timeoutMs, {
       onOverallProgress: (completed) => this.progress.updatePatching(completed),
       onFileStart: (filename) => this.progress.startFileDownload(filename),
       onFileProgress: (percentage, filename) => this.progress.updateFileProgress(percentage, filename),
-      onFileComplete: () => this.progress.finishFileDownload(),
+      onFileComplete: (filename) => this.progress.finishFileDownload(filename),
+      onFileFailed: (filename, message, failure) => this.progress.failFileDownload?.(filename, message, failure),
     });
 
     this.progress.finishPatching();
+    return outcome;
+  }
 
-    if (verifyIntegrity) {
-      this.performIntegrityCheck(localFiles);
+  /**
+   * Checks that the install volume can hold the updates before any of them is downloaded (see
+   * `FileManager.estimateSpace`). Only files the manifest gives a `size` for are counted, so
+   * manifests without sizes skip the check.
+   * @param {Array<{path: string, size?: number}>} updates - Files from `findUpdates`.
+   * @returns {Promise<void>} Resolves if there is enough space, or it cannot be checked.
+   * @throws {LauncherError} A `disk-space` error if the free space is smaller than the update needs.
+   */
+  async checkDiskSpace(updates) {
+    const { downloadBytes, requiredBytes, unknownSizes } = await this.fileManager.estimateSpace(updates);
+    if (unknownSizes === updates.length) return;
+
+    const unknown = unknownSizes > 0 ? ` (${unknownSizes} file(s) without a size not counted)` : '';
+    this.progress.log(`💾 ${formatBytes(downloadBytes)} to download, ${formatBytes(requiredBytes)} of disk space needed${unknown}`);
+    const freeBytes = await this.fileManager.getFreeSpace();
+    if (freeBytes === null) {
+      this.progress.log('⚠ Could not read the free space of the install volume; continuing without the check');
+      return;
+    }
+    if (requiredBytes > freeBytes) {
+      throw new LauncherError(
+        'disk-space',
+        `Not enough disk space in ${this.fileManager.rootDir}: the update needs ${formatBytes(requiredBytes)}, only ${formatBytes(freeBytes)} is free`
+      );
     }
   }
 
   /**
-   * Compares the scanned local file list against the manifest and a small allowlist.
-   * Logs any extras discovered. Deletion is intentionally not performed here.
+   * Compares the scanned local file list against the manifest, the allowlist, `.patcherignore`
+   * and the configured `protected_paths`. Logs any extras discovered and, when pruning, moves
+   * them into a timestamped quarantine batch that `restoreQuarantine` can undo.
    * @param {{ path: string }[]} localFiles - The previously scanned local file entries.
-   * @returns {void} Array of extra file paths found.
+   * @param {object} [options={}] - Options object.
+   * @param {boolean} [options.prune=false] - When true, quarantines the extra files.
+   * @param {string} [options.notPruned] - Why the extra files are not pruned, logged instead of the `--prune` hint.
+   * @returns {Promise<string[]>} Extra file paths found.
    */
-  performIntegrityCheck(localFiles) {
+  async performIntegrityCheck(localFiles, { prune = false, notPruned } = {}) {
     this.progress.log('\n🔍 Performing integrity check...');
 
-    const manifestFiles = this.manifest.getData().files;
-    const manifestPaths = new Set(manifestFiles.map((f) => f.path));
-
-    const extraFiles = localFiles.filter((f) => !manifestPaths.has(f.path) && !INTEGRITY_WHITELIST.has(f.path));
+    const extraFiles = this.findExtraFiles(localFiles);
 
     if (extraFiles.length === 0) {
       this.progress.log('✓ No extra files found');
-      return;
+      return extraFiles;
     }
 
     this.progress.log(`Found ${extraFiles.length} extra file(s):`);
-    extraFiles.slice(0, MAX_PREVIEW).forEach((file) => {
-      this.progress.log(`  - ${file.path}`);
+    extraFiles.slice(0, MAX_PREVIEW).forEach((p) => {
+      this.progress.log(`  - ${p}`);
     });
     if (extraFiles.length > MAX_PREVIEW) {
       this.progress.log(`  ... and ${extraFiles.length - MAX_PREVIEW} more`);
     }
 
-    this.progress.log('⚠ Extra file removal not implemented');
+    if (!prune) {
+      this.progress.log(notPruned ?? '  Run with --prune to move them to quarantine');
+      return extraFiles;
+    }
+
+    const { batch, moved, failed } = await this.quarantine.quarantine(extraFiles);
+    if (batch) {
+      this.progress.log(`🗃 Moved ${moved.length} extra file(s) to quarantine (${batch})`);
+      this.progress.log('  Undo with --restore-quarantine');
+    }
+    failed.forEach(({ path, error }) => this.progress.log(`❌ Could not quarantine ${path}: ${error}`));
+
+    return extraFiles;
   }
 
   /**
-   * Relaunches the app using the staged file, then exits the current process.
-   * @returns {void} Exit process.
+   * Lists local files that are neither in the manifest, nor allowlisted, nor protected.
+   * @param {{ path: string }[]} localFiles - Scanned local file entries.
+   * @returns {string[]} Extra file paths.
    */
-  restart() {
-    this.progress.log('\n🔄 Restarting launcher with updates...');
-    this.progress.cleanup();
+  findExtraFiles(localFiles) {
+    const manifestPaths = new Set(this.manifest.getData().files.map((f) => f.path));
+    const protectedPaths = this.config.get('protected_paths', []);
+    return localFiles.map((f) => f.path).filter((p) => !manifestPaths.has(p) && !INTEGRITY_WHITELIST.has(p) && !isProtectedPath(p, protectedPaths));
+  }
 
-    const stagedPath = 'launcher.js.new';
-    const args = [stagedPath, '--restarted', ...process.argv.slice(2)];
+  /**
+   * Moves the most recent quarantine batch back into the install.
+   * @returns {Promise<void>} Resolves when the restore attempt completes.
+   */
+  async restoreQuarantine() {
+    if (!this.configLoaded) await this.loadConfig();
+    const { batch, restored, conflicts, failed } = await this.quarantine.restoreLatest();
 
-    const child = spawn(process.execPath, args, {
-      detached: true,
-      stdio: 'inherit',
-    });
+    if (!batch) {
+      this.progress.log('✓ Quarantine is empty, nothing to restore');
+      return;
+    }
+
+    this.progress.log(`✓ Restored ${restored.length} file(s) from quarantine (${batch})`);
+    if (conflicts.length > 0) {
+      this.progress.log(`⚠ ${conflicts.length} file(s) kept in quarantine because their original path is in use:`);
+      this.logPreview(conflicts);
+    }
+    if (failed.length > 0) {
+      this.progress.log(`❌ ${failed.length} file(s) could not be restored; run --restore-quarantine again to retry:`);
+      this.logPreview(failed.map(({ path, error }) => `${path}: ${error}`));
+    }
+  }
 
-    child.unref();
-    process.exit(0);
+  /**
+   * Logs the first `MAX_PREVIEW` entries of a list, and how many more there are.
+   * @param {string[]} lines - Entries to list.
+   * @returns {void}
+   */
+  logPreview(lines) {
+    lines.slice(0, MAX_PREVIEW).forEach((line) => this.progress.log(`  - ${line}`));
+    if (lines.length > MAX_PREVIEW) {
+      this.progress.log(`  ... and ${lines.length - MAX_PREVIEW} more`);
+    }
   }
 }
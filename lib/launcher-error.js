@@ -0,0 +1,142 @@
+/**
+ * Exit codes of the command-line launcher, by failure kind. Part of the public interface:
+ * documented in the README, so never renumber an existing kind.
+ * - `error` (1): anything else, such as bad arguments or an unreadable config.
+ * - `network` (2): the manifest or channel index could not be downloaded.
+ * - `signature` (3): the manifest or channel index failed verification (signature, trusted key, expiry, rollback).
+ * - `partial-patch` (4): some content files could not be updated; the install was left unchanged.
+ * - `self-update` (5): the launcher, config or keyring could not be updated.
+ * - `disk-space` (6): the install volume has too little free space for the update; nothing was downloaded.
+ * - `game` (7): the update succeeded but the game client exited with a non-zero code or was killed; the
+ *   client's own code is reported separately, so it never passes for one of the codes above.
+ */
+const EXIT_CODES = new Map([
+  ['error', 1],
+  ['network', 2],
+  ['signature', 3],
+  ['partial-patch', 4],
+  ['self-update', 5],
+  ['disk-space', 6],
+  ['game', 7],
+]);
+
+/**
+ * @typedef {Object} FileFailure
+ * @property {string|null} path - File that could not be updated, as named in the manifest; null if unknown.
+ * @property {'http'|'timeout'|'size-mismatch'|'hash-mismatch'|'network'|'disk'|'other'} cause - What went wrong.
+ * @property {number|null} status - HTTP status, for `http` failures.
+ * @property {string} message - Error message of the last attempt.
+ * @property {Array<{url: string, error: string}>} attempts - Download attempts made, across mirrors.
+ */
+
+/**
+ * Failure causes reported per file, tested in order against the error and its `cause`.
+ * @type {Map<FileFailure['cause'], (err: any) => boolean>}
+ */
+const FAILURE_CAUSES = new Map([
+  ['http', (err) => typeof err.status === 'number'],
+  ['timeout', (err) => err.name === 'AbortError' || err.name === 'TimeoutError'],
+  ['size-mismatch', (err) => err.code === 'ESIZE'],
+  ['hash-mismatch', (err) => err.code === 'EINTEGRITY'],
+  // fetch() reports connection failures as TypeError("fetch failed") and dropped responses as TypeError("terminated").
+  ['network', (err) => err instanceof TypeError && (err.message === 'fetch failed' || err.message === 'terminated')],
+  ['disk', (err) => typeof err.syscall === 'string'],
+]);
+
+/**
+ * Checks whether an error, or any error in its `cause` chain, comes from the network rather than the content:
+ * an HTTP error status, a timeout or a failed connection.
+ * @param {unknown} err - Error to test.
+ * @returns {boolean} True for network failures.
+ */
+const isNetworkError = (err) => {
+  if (!(err instanceof Error)) return false;
+  if (typeof err.status === 'number' || err.name === 'AbortError' || err.name === 'TimeoutError') return true;
+  // fetch() reports connection failures as a bare TypeError("fetch failed").
+  if (err instanceof TypeError && err.message === 'fetch failed') return true;
+  return isNetworkError(err.cause);
+};
+
+/**
+ * A failure that ends a run, tagged with what went wrong so hosts can react to it and the
+ * command-line launcher can exit with the matching code (see `EXIT_CODES`).
+ */
+export default class LauncherError extends Error {
+  /**
+   * @param {'error'|'network'|'signature'|'partial-patch'|'self-update'|'disk-space'|'game'} kind - What failed.
+   * @param {string} message - Error message.
+   * @param {object} [options] - Optional settings.
+   * @param {unknown} [options.cause] - Underlying error.
+   * @param {FileFailure[]} [options.failures=[]] - Per-file failures, for `partial-patch` and `self-update`.
+   */
+  constructor(kind, message, { cause, failures = [] } = {}) {
+    super(message, { cause });
+    this.name = 'LauncherError';
+    this.kind = EXIT_CODES.has(kind) ? kind : 'error';
+    this.failures = failures;
+  }
+
+  /**
+   * Process exit code for this failure.
+   * @returns {number} Exit code from `EXIT_CODES`.
+   */
+  get exitCode() {
+    return EXIT_CODES.get(this.kind);
+  }
+
+  /**
+   * Tags an error with a kind, keeping it as the cause. Errors that already have a kind are returned as they are.
+   * @param {unknown} err - Error to wrap.
+   * @param {string} kind - Kind to give it.
+   * @returns {LauncherError} The tagged error.
+   */
+  static wrap(err, kind) {
+    if (err instanceof LauncherError) return err;
+    return new LauncherError(kind, err instanceof Error ? err.message : String(err), { cause: err });
+  }
+
+  /**
+   * Tags a failure to fetch or verify a signed document: `network` when the download failed, `signature` otherwise.
+   * @param {unknown} err - Error to wrap.
+   * @returns {LauncherError} The tagged error.
+   */
+  static fromVerification(err) {
+    return LauncherError.wrap(err, isNetworkError(err) ? 'network' : 'signature');
+  }
+
+  /**
+   * Describes why a file could not be updated.
+   * @param {string|null} path - File that failed.
+   * @param {Error & {attempts?: Array<{url: string, error: string}>}} err - The final error, with the mirror attempts if any.
+   * @returns {FileFailure} Failure record for reports.
+   */
+  static describeFailure(path, err) {
+    const errors = [err, err.cause].filter((e) => e instanceof Error);
+    const match = [...FAILURE_CAUSES].find(([, test]) => errors.some(test));
+    return {
+      path,
+      cause: match ? match[0] : 'other',
+      status: errors.find((e) => typeof e.status === 'number')?.status ?? null,
+      message: err.message,
+      attempts: err.attempts ?? [],
+    };
+  }
+
+  /**
+   * Exit code for a failure kind.
+   * @param {string} kind - Failure kind.
+   * @returns {number} Exit code from `EXIT_CODES`, or the generic one for unknown kinds.
+   */
+  static exitCodeFor(kind) {
+    return EXIT_CODES.get(kind) ?? EXIT_CODES.get('error');
+  }
+
+  /**
+   * Exit code for any error that ended a run.
+   * @param {unknown} err - The error.
+   * @returns {number} The error's exit code, or the generic one for untagged errors.
+   */
+  static exitCodeOf(err) {
+    return err instanceof LauncherError ? err.exitCode : EXIT_CODES.get('error');
+  }
+}
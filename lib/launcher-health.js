@@ -0,0 +1,200 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+import { readFile, rename, rm, stat, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/** Launcher script and the files of its self-update, relative to the launcher's directory. */
+const APP_NAME = 'launcher.js';
+const STAGED_NAME = `${APP_NAME}.new`;
+const BACKUP_NAME = `${APP_NAME}.bak`;
+/** Record of the launcher build under health check and the builds that failed it. */
+const HEALTH_FILE = 'launcher-health.json';
+const HEALTH_SCHEMA = 1;
+
+/**
+ * @typedef {Object} LauncherBuild
+ * @property {string} hash - Hex digest of the launcher from its manifest entry.
+ * @property {string} algorithm - Hash algorithm of `hash`.
+ *
+ * @typedef {LauncherBuild & {stagedAt: string, starts?: number}} StagedBuild
+ * @typedef {LauncherBuild & {rejectedAt: string, reason: string}} RejectedBuild
+ *
+ * @typedef {Object} HealthRecord
+ * @property {number} schema - Record format version.
+ * @property {StagedBuild|null} staged - Build staged or promoted but not yet confirmed healthy, with how
+ *   often it was started since it was promoted.
+ * @property {RejectedBuild[]} rejected - Builds rolled back after failing their health check.
+ */
+
+/**
+ * Checks whether a path exists without throwing.
+ * @param {string} absPath - Absolute path to test.
+ * @returns {Promise<boolean>} True if something exists at the path.
+ */
+const pathExists = (absPath) =>
+  stat(absPath).then(
+    () => true,
+    () => false
+  );
+
+/**
+ * Carries a launcher update from staging to a passed health check, so a broken build can be
+ * undone instead of bricking the install.
+ *
+ * Promoting the staged `launcher.js.new` keeps the previous launcher as `launcher.js.bak`. The
+ * backup stays until the new launcher confirms that it started and reached manifest verification;
+ * until then `rollBack` can put it back. A rolled-back build is remembered in
+ * `launcher-health.json`, so the same build is not staged again; a release with a fixed launcher
+ * has a new hash and is tried as usual.
+ */
+export default class LauncherHealth {
+  /**
+   * @param {object} progressDisplay - Logger with a `.log(message)` method for status messages.
+   * @param {string} appDir - The launcher's own directory.
+   */
+  constructor(progressDisplay, appDir) {
+    this.progress = progressDisplay;
+    this.appDir = appDir;
+  }
+
+  /**
+   * Absolute path of a file in the launcher's directory.
+   * @param {string} name - File name.
+   * @returns {string} Absolute path.
+   */
+  toAppPath(name) {
+    return join(this.appDir, name);
+  }
+
+  /**
+   * Remembers which build was staged, so a rollback can tell which one failed.
+   * @param {LauncherBuild} entry - Manifest entry of the staged launcher.
+   * @returns {Promise<void>} Resolves once the record is saved.
+   */
+  async recordStaged({ hash, algorithm }) {
+    const record = await this.readRecord();
+    await this.writeRecord({ ...record, staged: { hash, algorithm, stagedAt: new Date().toISOString() } });
+  }
+
+  /**
+   * Looks up a launcher build among those rolled back earlier.
+   * @param {LauncherBuild} entry - Manifest entry of the launcher.
+   * @returns {Promise<RejectedBuild|null>} The rollback record, or null if the build was never rolled back.
+   */
+  async findRejection({ hash, algorithm }) {
+    const { rejected } = await this.readRecord();
+    return rejected.find((build) => build.hash === hash && build.algorithm === algorithm) ?? null;
+  }
+
+  /**
+   * Moves the staged launcher into place, keeping the current one as the backup. If the staged
+   * file cannot be moved, the current launcher is put back.
+   * @returns {Promise<boolean>} True if the staged launcher is now `launcher.js`.
+   */
+  async promote() {
+    const live = this.toAppPath(APP_NAME);
+    const backup = this.toAppPath(BACKUP_NAME);
+    try {
+      await rm(backup, { force: true });
+      await rename(live, backup);
+      await rename(this.toAppPath(STAGED_NAME), live);
+    } catch (err) {
+      try {
+        if (!(await pathExists(live))) await rename(backup, live);
+      } catch {}
+      this.progress.log(`⚠ Could not promote staged launcher: ${err.message}`);
+      return false;
+    }
+    this.progress.log(`✓ Promoted staged launcher to ${APP_NAME}; the previous one is kept as ${BACKUP_NAME} until it passes its health check`);
+    return true;
+  }
+
+  /**
+   * Counts a start of a promoted launcher that has not passed its health check yet, so starts made
+   * without the launcher that promoted it (e.g. because it was killed) still count as attempts.
+   * @returns {Promise<number|null>} Starts counted before this one, or null if no promoted update is
+   *   awaiting its health check.
+   */
+  async recordStart() {
+    if (!(await pathExists(this.toAppPath(BACKUP_NAME)))) return null;
+    const record = await this.readRecord();
+    if (!record.staged) return null;
+    const starts = record.staged.starts ?? 0;
+    await this.writeRecord({ ...record, staged: { ...record.staged, starts: starts + 1 } });
+    return starts;
+  }
+
+  /**
+   * Marks the running launcher as healthy: drops the backup of the previous one and the staged record.
+   * Does nothing when no promoted update is awaiting its health check.
+   * @returns {Promise<boolean>} True if an update was confirmed.
+   */
+  async confirm() {
+    const backup = this.toAppPath(BACKUP_NAME);
+    if (!(await pathExists(backup))) return false;
+
+    await rm(backup, { force: true });
+    const record = await this.readRecord();
+    if (record.staged) await this.writeRecord({ ...record, staged: null });
+    this.progress.log('✓ Launcher update passed its health check');
+    return true;
+  }
+
+  /**
+   * Puts the previous launcher back and records the promoted build as rejected. Without `reject`,
+   * the build is only set aside, so the next run stages it again.
+   * @param {string} reason - Why the new launcher failed, for the log and the record.
+   * @param {object} [options] - Optional settings.
+   * @param {boolean} [options.reject=true] - Whether the build failed its health check, rather than
+   *   being stopped by something outside it such as the network.
+   * @returns {Promise<boolean>} True if the previous launcher was restored.
+   */
+  async rollBack(reason, { reject = true } = {}) {
+    const backup = this.toAppPath(BACKUP_NAME);
+    if (!(await pathExists(backup))) {
+      this.progress.log(`❌ Cannot roll back the launcher update (${reason}): ${BACKUP_NAME} is missing`);
+      return false;
+    }
+    await rename(backup, this.toAppPath(APP_NAME));
+
+    const record = await this.readRecord();
+    if (record.staged) {
+      const { hash, algorithm } = record.staged;
+      const rejected = reject ? [...record.rejected, { hash, algorithm, rejectedAt: new Date().toISOString(), reason }] : record.rejected;
+      await this.writeRecord({ ...record, staged: null, rejected });
+    }
+    if (reject) this.progress.log(`↩ Rolled back the launcher update: ${reason}. The previous launcher was restored`);
+    else this.progress.log(`↩ Restored the previous launcher: ${reason}. The update is tried again on the next run`);
+    return true;
+  }
+
+  /**
+   * Reads the health record, falling back to an empty one.
+   * @returns {Promise<HealthRecord>} The record.
+   */
+  async readRecord() {
+    const empty = { schema: HEALTH_SCHEMA, staged: null, rejected: [] };
+    let record;
+    try {
+      record = JSON.parse(await readFile(this.toAppPath(HEALTH_FILE), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') this.progress.log(`⚠ Ignoring unreadable ${HEALTH_FILE}: ${err.message}`);
+      return empty;
+    }
+    if (record?.schema !== HEALTH_SCHEMA || !Array.isArray(record.rejected)) {
+      this.progress.log(`⚠ Ignoring ${HEALTH_FILE} with an unknown format`);
+      return empty;
+    }
+    return record;
+  }
+
+  /**
+   * Writes the health record through a temporary file, so a crash never leaves it half written.
+   * @param {HealthRecord} record - Record to write.
+   * @returns {Promise<void>} Resolves once the record is in place.
+   */
+  async writeRecord(record) {
+    const path = this.toAppPath(HEALTH_FILE);
+    await writeFile(`${path}.tmp`, JSON.stringify(record, null, 2));
+    await rename(`${path}.tmp`, path);
+  }
+}
@@ -0,0 +1,267 @@
+import { EventEmitter } from 'node:events';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import EventBridge from './event-bridge.js';
+import LauncherCore from './launcher-core.js';
+import LauncherError from './launcher-error.js';
+import LauncherHealth from './launcher-health.js';
+
+/** Where a launcher update is staged until the host promotes it, relative to the launcher's directory. */
+const STAGED_LAUNCHER = 'launcher.js.new';
+/** Package root, the default launcher directory. */
+const PACKAGE_DIR = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * @typedef {Object} ManifestSummary
+ * @property {string|number} version - Manifest version.
+ * @property {number|null} sequence - Signed release sequence, null for v1 manifests.
+ * @property {number} format - Manifest format.
+ * @property {number} files - Number of content entries.
+ * @property {string|null} channel - Release channel, or null when channels are not used.
+ * @property {string|number|null} installedVersion - Version recorded as installed before this run.
+ */
+
+/**
+ * Embeddable launcher: verifies the manifest, plans and applies updates, and reports
+ * progress as events instead of drawing to a terminal. Never exits the process; a staged
+ * launcher update is reported through `restartRequired`, and the host promotes, confirms or
+ * rolls it back with `promoteLauncher`, `confirmLauncher` and `rollBackLauncher`.
+ *
+ * Events: `log`, `phase`, `progress`, `file-start`, `file-progress`, `file-complete`,
+ * `file-error` (see `EventBridge`), plus `verified` `{ manifest }`, `plan` `{ plan }`,
+ * `restart-required` `{ staged }`, `launch` `{ command, args }` and `game-exit` `{ exitCode, signal }`. Failures reject the returned promises; no `error`
+ * event is emitted, so hosts do not need an `error` listener. Network, verification,
+ * self-update and disk space failures reject with a `LauncherError` whose `kind` says which it was.
+ *
+ * @example
+ * const launcher = new Launcher({ fetch: net.fetch });
+ * launcher.on('file-progress', ({ path, percent }) => win.webContents.send('progress', path, percent));
+ * const { restartRequired } = await launcher.selfUpdate();
+ * if (!restartRequired && (await launcher.update()).failed.length === 0) await launcher.launch();
+ */
+export default class Launcher extends EventEmitter {
+  /**
+   * @param {object} [options] - Optional settings.
+   * @param {{log: (message: string) => void}} [options.logger] - Receives every log line as text.
+   * @param {typeof fetch} [options.fetch=globalThis.fetch] - Fetch implementation for every network request.
+   * @param {object} [options.display] - Display with the `LauncherCore` hooks (e.g. `ProgressDisplay`) to drive as well.
+   * @param {string} [options.appDir] - Directory with `config.ini`, keys and the launcher files; defaults to the package root.
+   * @param {string} [options.installDir] - Content root to patch; overrides the `install_dir` config key.
+   * @param {string|number} [options.limitRate] - Download rate limit such as `500K` (0 for unlimited); overrides
+   *   `max_download_rate` and `download_schedule`.
+   */
+  constructor({ logger, fetch: fetchImpl, display, appDir = PACKAGE_DIR, installDir, limitRate } = {}) {
+    super();
+    this.bridge = new EventBridge(this, { logger, display });
+    this.core = new LauncherCore(this.bridge, { fetch: fetchImpl, appDir, installDir, limitRate });
+    /** Carries a staged launcher update through its health check. */
+    this.health = new LauncherHealth(this.bridge, this.core.appDir);
+    /** @type {ManifestSummary|null} Summary of the last verified manifest. */
+    this.manifest = null;
+    /** Set when verified with `dryRun`; such an instance never writes to the install. */
+    this.dryRun = false;
+    /** @type {string[]} Files the last `update` could not update; launching is refused while any remain. */
+    this.failed = [];
+    /** @type {import('./launcher-error.js').FileFailure[]} Why the last `update` failed. */
+    this.failures = [];
+  }
+
+  /**
+   * Loads the configuration and fetches, verifies and freshness-checks the manifest.
+   * Other methods call this on first use; call it directly to pass options or to re-fetch.
+   * @param {object} [options={}] - Options object.
+   * @param {boolean} [options.allowDowngrade=false] - Accept a manifest older than the last one accepted.
+   * @param {boolean} [options.dryRun=false] - Never write to the install from this instance.
+   * @param {string} [options.channel] - Release channel; overrides the `channel` config key.
+   * @returns {Promise<ManifestSummary>} Summary of the verified manifest.
+   * @throws {LauncherError} A `network` or `signature` error if the manifest could not be fetched or verified.
+   */
+  async verify({ allowDowngrade = false, dryRun = false, channel } = {}) {
+    this.dryRun = dryRun;
+    await this.core.initialize({ allowDowngrade, dryRun, channel });
+
+    const data = this.core.manifest.getData();
+    this.manifest = {
+      version: data.version,
+      sequence: data.sequence ?? null,
+      format: data.format,
+      files: data.files.length,
+      channel: this.core.channel,
+      installedVersion: this.core.fileManager.state.getInstalledVersion(),
+    };
+    this.emit('verified', { manifest: this.manifest });
+    return this.manifest;
+  }
+
+  /**
+   * Verifies the manifest with default options unless that already happened.
+   * @returns {Promise<ManifestSummary>} Summary of the verified manifest.
+   */
+  ensureVerified() {
+    return this.manifest ? Promise.resolve(this.manifest) : this.verify();
+  }
+
+  /**
+   * Rejects calls that would write to the install after a dry-run verification.
+   * @param {string} method - Name of the calling method, for the error message.
+   * @returns {void}
+   * @throws {Error} If this instance was verified with `dryRun`.
+   */
+  assertWritable(method) {
+    if (this.dryRun) throw new Error(`${method}() is not available after verify({ dryRun: true }); create a new Launcher`);
+  }
+
+  /**
+   * Works out what `selfUpdate` and `update` would do without changing anything.
+   * The install state is kept in memory while planning. Verifying first records the manifest
+   * sequence as accepted; call `verify({ dryRun: true })` beforehand to avoid even that.
+   * @param {object} [options={}] - Options object.
+   * @param {boolean} [options.verifyIntegrity=false] - Rehash every local file instead of trusting the index.
+   * @returns {Promise<import('./launcher-core.js').UpdatePlan>} The update plan.
+   */
+  async plan({ verifyIntegrity = false } = {}) {
+    await this.ensureVerified();
+    const { state } = this.core.fileManager;
+    const { readOnly } = state;
+    state.readOnly = true;
+    try {
+      const plan = await this.core.planUpdates({ verifyIntegrity });
+      this.emit('plan', { plan });
+      return plan;
+    } finally {
+      state.readOnly = readOnly;
+    }
+  }
+
+  /**
+   * Updates the launcher, config and keyring from the manifest. A new launcher is staged as
+   * `launcher.js.new`; the host moves it into place with `promoteLauncher` and restarts into it
+   * before updating content. A launcher build that was rolled back after failing its health check
+   * is not staged again.
+   * @returns {Promise<{updates: string[], restartRequired: boolean}>} Files updated or staged,
+   *   and whether a restart is needed.
+   * @throws {LauncherError} A `self-update` error if a file could not be updated.
+   */
+  async selfUpdate() {
+    await this.ensureVerified();
+    this.assertWritable('selfUpdate');
+    const result = await this.core.checkSelfUpdates();
+    if (result.restartRequired) this.emit('restart-required', { staged: join(this.core.appDir, STAGED_LAUNCHER) });
+    return result;
+  }
+
+  /**
+   * Moves the launcher staged by `selfUpdate` into place, keeping the current one as `launcher.js.bak`
+   * until the new one is confirmed. Restart into the new launcher afterwards; it passes its health
+   * check by calling `confirmLauncher` once `verify` succeeds.
+   * @returns {Promise<boolean>} True if the staged launcher is now `launcher.js`; false if it could
+   *   not be moved, in which case the current launcher is kept.
+   */
+  promoteLauncher() {
+    this.assertWritable('promoteLauncher');
+    return this.health.promote();
+  }
+
+  /**
+   * Counts a start of a promoted launcher that has not passed its health check yet. Call it before
+   * every start of the new launcher, including starts the host did not supervise, and roll the
+   * update back once too many starts have failed.
+   * @returns {Promise<number|null>} Starts counted before this one, or null if no promoted update is
+   *   awaiting its health check.
+   */
+  recordLauncherStart() {
+    this.assertWritable('recordLauncherStart');
+    return this.health.recordStart();
+  }
+
+  /**
+   * Marks a promoted launcher as healthy and deletes the backup of the previous one. Call it from the
+   * new launcher after `verify` succeeds; it does nothing when no update is awaiting its health check.
+   * @returns {Promise<boolean>} True if an update was confirmed.
+   */
+  confirmLauncher() {
+    this.assertWritable('confirmLauncher');
+    return this.health.confirm();
+  }
+
+  /**
+   * Restores the previous launcher when the promoted one never confirmed, e.g. because it kept crashing.
+   * The build is recorded as rejected so `selfUpdate` does not stage it again; pass `reject: false`
+   * when the failure says nothing about the build, such as a network outage.
+   * @param {string} reason - Why the new launcher failed, for the log and the record.
+   * @param {object} [options] - Optional settings.
+   * @param {boolean} [options.reject=true] - Whether to record the build as rejected.
+   * @returns {Promise<boolean>} True if the previous launcher was restored.
+   */
+  rollBackLauncher(reason, { reject = true } = {}) {
+    this.assertWritable('rollBackLauncher');
+    return this.health.rollBack(reason, { reject });
+  }
+
+  /**
+   * Syncs content with the manifest and records the version as installed once every file is current.
+   * @param {object} [options={}] - Options object.
+   * @param {boolean} [options.verifyIntegrity=false] - Rehash every file and report extra files.
+   * @param {boolean} [options.prune=false] - Move extra files into quarantine.
+   * @returns {Promise<{updated: number, failed: string[], failures: import('./launcher-error.js').FileFailure[], extra?: string[]}>}
+   *   Files updated, files not updated (all of them when any file failed, since updates are committed
+   *   together), why they failed, and the extra files found when an integrity check ran.
+   * @throws {LauncherError} A `disk-space` error if the install volume cannot hold the update.
+   */
+  async update({ verifyIntegrity = false, prune = false } = {}) {
+    await this.ensureVerified();
+    this.assertWritable('update');
+    const result = await this.core.updateContent({ verifyIntegrity, prune });
+    this.failed = result.failed;
+    this.failures = result.failures;
+    return result;
+  }
+
+  /**
+   * Resolves the game client command without starting it.
+   * @returns {Promise<import('./game-launcher.js').LaunchSpec|null>} Command to run, or null if none is configured.
+   */
+  async getLaunchSpec() {
+    await this.ensureVerified();
+    return this.core.getLaunchSpec();
+  }
+
+  /**
+   * Starts the game client and waits for it to exit. Refused while files from the last
+   * `update` are still failing. Does not check files itself; call `update` first for that.
+   * @param {object} [options={}] - Options object.
+   * @param {import('node:child_process').StdioOptions} [options.stdio='inherit'] - Standard streams of the game client.
+   * @returns {Promise<{exitCode: number, signal: string|null}>} How the game client exited.
+   * @throws {Error} If no launch command is configured or the client cannot start; a `partial-patch`
+   *   `LauncherError` with the failures if patching failed.
+   */
+  async launch({ stdio = 'inherit' } = {}) {
+    if (this.failed.length > 0) {
+      throw new LauncherError('partial-patch', `Not launching: ${this.failed.length} file(s) failed to update`, { failures: this.failures });
+    }
+    const spec = await this.getLaunchSpec();
+    if (!spec) throw new Error('No launch command: set launch in the manifest or launch_executable in config.ini');
+
+    this.emit('launch', { command: spec.command, args: spec.args });
+    const result = await this.core.gameLauncher.launch(spec, { stdio });
+    this.emit('game-exit', result);
+    return result;
+  }
+
+  /**
+   * Moves the most recent quarantine batch back into place. Needs no manifest.
+   * @returns {Promise<void>} Resolves once the batch is restored.
+   */
+  restoreQuarantine() {
+    return this.core.restoreQuarantine();
+  }
+
+  /**
+   * Releases the display passed to the constructor, if any.
+   * @returns {void}
+   */
+  dispose() {
+    this.bridge.cleanup();
+  }
+}
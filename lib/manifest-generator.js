@@ -0,0 +1,434 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+import ignore from 'ignore';
+import { createHash } from 'node:crypto';
+import { appendFile, mkdir, readFile, readlink, stat, writeFile } from 'node:fs/promises';
+import { dirname, join, relative, resolve } from 'node:path';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+
+import ChannelIndex from './channel-index.js';
+import DeltaPatcher from './delta-patcher.js';
+import Digest from './digest.js';
+import Downloader from './downloader.js';
+import FileManager from './file-manager.js';
+import GameLauncher from './game-launcher.js';
+import ManifestHandler from './manifest-handler.js';
+
+/** Summary log written next to the generated manifest. */
+const GENERATE_LOG = 'generate.log';
+/** Default manifest lifetime; launchers reject it afterwards unless a newer one is published. */
+const DEFAULT_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000;
+/** Directory inside the build that holds delta patches; dot-prefixed so scans skip it. */
+const PATCH_DIR = '.patches';
+/** Directory inside the build that holds compressed copies for transfer; dot-prefixed so scans skip it. */
+const COMPRESSED_DIR = '.compressed';
+/** Compressed copies must be at most this fraction of the original size to be worth listing. */
+const MIN_COMPRESSION_GAIN = 0.9;
+/** Execute bits for user, group and others; a file with any of them gets a `mode` in the manifest. */
+const EXECUTE_BITS = [0o100, 0o10, 0o1];
+
+/** @type {Map<string, (data: Buffer) => Promise<Buffer>>} */
+const COMPRESSORS = new Map([
+  ['gzip', promisify(zlib.gzip)],
+  ['br', promisify(zlib.brotliCompress)],
+  [
+    'zstd',
+    (data) => {
+      if (typeof zlib.zstdCompress !== 'function') return Promise.reject(new Error('zstd is not supported by this Node.js version'));
+      return promisify(zlib.zstdCompress)(data);
+    },
+  ],
+]);
+
+/**
+ * @typedef {Object} GenerateOptions
+ * @property {string} buildDir - Directory holding the release build to describe.
+ * @property {string} privateKeyPath - PEM-encoded Ed25519 private key used for signing.
+ * @property {string} outPath - Where to write the signed manifest.
+ * @property {string|number} version - Release version recorded in the manifest.
+ * @property {string} [cdn] - Base URL the files will be served from.
+ * @property {string} [keyId] - Key identifier; defaults to the public key fingerprint.
+ * @property {string} [algorithm='sha256'] - Hash algorithm for file digests: sha256, sha384, sha512 or blake2b512.
+ * @property {number} [format=2] - Manifest format; 1 only for launchers that predate v2.
+ * @property {number} [sequence] - Release sequence, must increase between releases; defaults to the current Unix time.
+ * @property {string} [expires] - ISO date after which launchers reject the manifest; defaults to 30 days from now.
+ * @property {string[]} [deltaFrom=[]] - Previous build directories to create delta patches from.
+ * @property {string} [compress] - Transfer encoding (`gzip`, `br` or `zstd`) for compressed copies of the files.
+ * @property {string[]} [priorities=[]] - `pattern=number` rules (gitignore syntax); launchers download files with a
+ *   higher `priority` first. The first matching rule wins.
+ * @property {boolean} [keepMtime=false] - Record each file's modification time, for launchers to restore.
+ * @property {{executable: string, args?: string[], cwd?: string, env?: string[]}} [launch] - Game client command,
+ *   with paths relative to the build and `env` as `KEY=VALUE` pairs. Requires format 2.
+ */
+
+/**
+ * Builds and signs manifests from a build directory, using the same scanning, ignore rules
+ * and signing payload as the launcher uses for verification.
+ */
+export default class ManifestGenerator {
+  /**
+   * @param {{log?: (msg: string) => void}} [logger] - Optional logger with a `log` method.
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this.manifestHandler = new ManifestHandler(logger);
+  }
+
+  /**
+   * Write a log line via the logger if available, else console.
+   * @param {string} message - Text to output.
+   * @returns {void}
+   */
+  report(message) {
+    if (this.logger && typeof this.logger.log === 'function') {
+      this.logger.log(message);
+    } else {
+      // eslint-disable-next-line no-console
+      console.log(message);
+    }
+  }
+
+  /**
+   * Scans the build directory, writes the signed manifest and appends a summary to `generate.log`.
+   * @param {GenerateOptions} options - Generation options.
+   * @returns {Promise<object>} The signed manifest that was written.
+   */
+  async generate({
+    buildDir,
+    privateKeyPath,
+    outPath,
+    version,
+    cdn,
+    keyId,
+    algorithm = 'sha256',
+    format = 2,
+    sequence,
+    expires,
+    deltaFrom = [],
+    compress,
+    priorities = [],
+    keepMtime = false,
+    launch,
+  }) {
+    this.assertOptions({ format, compress, launch, algorithm });
+    const freshness = this.buildFreshness(sequence, expires);
+    const priorityRules = this.parsePriorities(priorities);
+
+    const root = resolve(buildDir);
+    const out = resolve(outPath);
+    const privateKeyPem = await readFile(resolve(privateKeyPath), 'utf8');
+
+    this.report(`📦 Generating manifest from ${root}`);
+    const { files, totalBytes } = await this.collectFiles(root, algorithm, out, keepMtime);
+    this.addPriorities(files, priorityRules);
+    await this.addPatches(root, files, deltaFrom, algorithm);
+    await this.addCompressed(root, files, compress, algorithm);
+    const symlinks = await this.collectSymlinks(root, format);
+
+    // v1 manifests carry no `format` field; their signature covers only `files`.
+    const manifest = {
+      ...(format === 1 ? {} : { format }),
+      version,
+      ...freshness,
+      algorithm,
+      ...(cdn ? { cdn } : {}),
+      ...(launch ? { launch: this.buildLaunch(launch) } : {}),
+      files: [...files, ...symlinks].sort((a, b) => (a.path < b.path ? -1 : Number(a.path > b.path))),
+    };
+    manifest.signature = this.manifestHandler.signManifest(manifest, privateKeyPem, keyId);
+
+    await writeFile(out, `${JSON.stringify(manifest, null, 2)}\n`);
+    await this.writeSummary(out, manifest, totalBytes);
+    return manifest;
+  }
+
+  /**
+   * Writes the signed channel index that maps release channels to their manifests.
+   * @param {object} options - Index options.
+   * @param {string[]} options.channels - `name=manifest-url` entries; URLs may be relative to the index.
+   * @param {string} options.privateKeyPath - PEM-encoded Ed25519 private key used for signing.
+   * @param {string} options.outPath - Where to write the index.
+   * @param {string} [options.keyId] - Key identifier; defaults to the public key fingerprint.
+   * @param {number} [options.sequence] - Index sequence, must increase; defaults to the current Unix time.
+   * @param {string} [options.expires] - ISO date after which launchers reject the index; defaults to 30 days from now.
+   * @returns {Promise<object>} The signed index that was written.
+   * @throws {Error} On a malformed entry, invalid channel name or duplicate channel.
+   */
+  async generateChannelIndex({ channels, privateKeyPath, outPath, keyId, sequence, expires }) {
+    const entries = channels.map((entry) => {
+      const eq = entry.indexOf('=');
+      if (eq <= 0 || eq === entry.length - 1) throw new Error(`Invalid channel entry: ${entry} (expected name=manifest-url)`);
+      return [ChannelIndex.assertName(entry.slice(0, eq)), { manifest: entry.slice(eq + 1) }];
+    });
+    const map = new Map(entries);
+    if (map.size !== entries.length) throw new Error('Each channel may only be listed once');
+
+    const index = { format: 2, ...this.buildFreshness(sequence, expires), channels: Object.fromEntries(map) };
+    const privateKeyPem = await readFile(resolve(privateKeyPath), 'utf8');
+    index.signature = this.manifestHandler.signManifest(index, privateKeyPem, keyId);
+
+    const out = resolve(outPath);
+    await writeFile(out, `${JSON.stringify(index, null, 2)}\n`);
+    this.report(`✓ Channel index written to ${out}`);
+    [...map].forEach(([name, { manifest }]) => this.report(`  ${name}: ${manifest}`));
+    this.report(`  sequence ${index.sequence}, expires ${index.expires}, keyId ${index.signature.keyId}`);
+    return index;
+  }
+
+  /**
+   * Rejects option combinations the generator cannot honor.
+   * @param {Pick<GenerateOptions, 'format'|'compress'|'launch'|'algorithm'>} options - Options to check.
+   * @returns {void}
+   * @throws {Error} On an unsupported format, hash algorithm or encoding, or a launch command in a v1 manifest.
+   */
+  assertOptions({ format, compress, launch, algorithm }) {
+    if (format !== 1 && format !== 2) throw new Error(`Unsupported manifest format: ${format}`);
+    if (Digest.isLegacy(algorithm)) throw new Error(`Refusing to hash with ${algorithm}; it is too weak for new releases`);
+    Digest.assertSupported(algorithm);
+    if (compress && !COMPRESSORS.has(compress)) throw new Error(`Unsupported transfer encoding: ${compress}`);
+    if (launch && format === 1) throw new Error('A launch command needs manifest format 2; v1 does not sign it');
+  }
+
+  /**
+   * Builds the signed `sequence` and `expires` fields that protect against rollback and freeze attacks.
+   * @param {number} [sequence] - Explicit sequence; defaults to the current Unix time.
+   * @param {string} [expires] - Explicit expiry date; defaults to 30 days from now.
+   * @returns {{sequence: number, expires: string}} Freshness fields.
+   * @throws {Error} If either value is invalid.
+   */
+  buildFreshness(sequence, expires) {
+    const seq = sequence ?? Math.floor(Date.now() / 1000);
+    if (!Number.isSafeInteger(seq) || seq < 0) throw new Error(`Invalid sequence: ${sequence}`);
+
+    const expiresAt = expires ? new Date(expires) : new Date(Date.now() + DEFAULT_LIFETIME_MS);
+    if (Number.isNaN(expiresAt.getTime())) throw new Error(`Invalid expires date: ${expires}`);
+
+    return { sequence: seq, expires: expiresAt.toISOString() };
+  }
+
+  /**
+   * Builds the signed `launch` object, leaving out empty fields.
+   * @param {{executable: string, args?: string[], cwd?: string, env?: string[]}} launch - Launch options.
+   * @returns {{executable: string, args?: string[], cwd?: string, env?: Record<string, string>}} Manifest `launch` object.
+   */
+  buildLaunch({ executable, args = [], cwd, env = [] }) {
+    return {
+      executable: executable.replace(/\\/g, '/'),
+      ...(args.length > 0 ? { args } : {}),
+      ...(cwd ? { cwd: cwd.replace(/\\/g, '/') } : {}),
+      ...(env.length > 0 ? { env: GameLauncher.parseEnv(env) } : {}),
+    };
+  }
+
+  /**
+   * Parses `pattern=number` priority rules.
+   * @param {string[]} priorities - Rules such as `system/**=10`.
+   * @returns {Array<{matcher: import('ignore').Ignore, priority: number}>} Rules in the given order.
+   * @throws {Error} On a rule without a pattern or an integer priority.
+   */
+  parsePriorities(priorities) {
+    return priorities.map((entry) => {
+      const eq = entry.lastIndexOf('=');
+      const priority = Number(entry.slice(eq + 1));
+      if (eq <= 0 || eq === entry.length - 1 || !Number.isSafeInteger(priority)) {
+        throw new Error(`Invalid priority rule: ${entry} (expected pattern=number)`);
+      }
+      return { matcher: ignore().add(entry.slice(0, eq)), priority };
+    });
+  }
+
+  /**
+   * Sets `priority` on the entries matched by a rule; the first matching rule wins and 0 is left out.
+   * @param {Array<{path: string, priority?: number}>} files - Manifest entries, updated in place.
+   * @param {Array<{matcher: import('ignore').Ignore, priority: number}>} rules - Rules from `parsePriorities`.
+   * @returns {void}
+   */
+  addPriorities(files, rules) {
+    if (rules.length === 0) return;
+    files.forEach((file) => {
+      const rule = rules.find(({ matcher }) => matcher.ignores(file.path));
+      if (rule && rule.priority !== 0) file.priority = rule.priority;
+    });
+  }
+
+  /**
+   * Lists and hashes every file under the build directory, honoring the built-in ignore
+   * patterns and the build's `.patcherignore`.
+   * @param {string} root - Absolute build directory.
+   * @param {string} algorithm - Hash algorithm for file digests.
+   * @param {string} outPath - Absolute manifest path, excluded if it lies inside the build.
+   * @param {boolean} keepMtime - Also record modification times.
+   * @returns {Promise<{files: Array<{path: string, hash: string, size: number, mode?: string, mtime?: string}>, totalBytes: number}>}
+   *   Sorted entries and their total size.
+   */
+  async collectFiles(root, algorithm, outPath, keepMtime) {
+    const scanner = new FileManager(this.logger, { rootDir: root });
+    const ownOutput = relative(root, outPath).replace(/\\/g, '/');
+    const entries = (await scanner.getFileEntries())
+      .map((p) => p.replace(/\\/g, '/'))
+      .filter((p) => p !== ownOutput)
+      .sort();
+
+    const start = { files: [], totalBytes: 0 };
+    return entries.reduce(async (prevPromise, relPath) => {
+      const acc = await prevPromise;
+      const abs = scanner.toSafeAbsPath(relPath);
+      const [stats, hash] = await Promise.all([stat(abs), scanner.computeFileHash(abs, algorithm)]);
+      acc.files.push({ path: relPath, hash, size: stats.size, ...this.describeMetadata(stats, keepMtime) });
+      acc.totalBytes += stats.size;
+      return acc;
+    }, Promise.resolve(start));
+  }
+
+  /**
+   * Picks the file metadata to record: the mode of executables, so launchers can restore the
+   * execute bit, and optionally the modification time. Builds made on Windows have no modes.
+   * @param {import('node:fs').Stats} stats - Stat data of the build file.
+   * @param {boolean} keepMtime - Also record the modification time.
+   * @returns {{mode?: string, mtime?: string}} Fields to add to the entry.
+   */
+  describeMetadata(stats, keepMtime) {
+    const perms = stats.mode % 0o1000;
+    const executable = process.platform !== 'win32' && EXECUTE_BITS.some((bit) => Math.floor(perms / bit) % 2 === 1);
+    return {
+      ...(executable ? { mode: perms.toString(8).padStart(4, '0') } : {}),
+      ...(keepMtime ? { mtime: stats.mtime.toISOString() } : {}),
+    };
+  }
+
+  /**
+   * Lists the symlinks in the build as `{ path, symlink }` entries.
+   * @param {string} root - Absolute build directory.
+   * @param {number} format - Manifest format.
+   * @returns {Promise<Array<{path: string, symlink: string}>>} Symlink entries.
+   * @throws {Error} If a link points outside the build, or the build has links and the format is 1.
+   */
+  async collectSymlinks(root, format) {
+    const scanner = new FileManager(this.logger, { rootDir: root });
+    const paths = await scanner.getSymlinkEntries();
+    if (paths.length > 0 && format === 1) throw new Error('Symlinks need manifest format 2; launchers reading v1 would treat them as files');
+    return Promise.all(
+      paths.map(async (relPath) => {
+        const entry = { path: relPath.replace(/\\/g, '/'), symlink: (await readlink(scanner.toSafeAbsPath(relPath))).replace(/\\/g, '/') };
+        this.manifestHandler.normalizeSymlink(entry);
+        return entry;
+      })
+    );
+  }
+
+  /**
+   * Creates delta patches from each previous build for every file that changed, writes them
+   * under `<build>/.patches/` and lists them on the file entries, keyed by the old file's hash.
+   * @param {string} root - Absolute build directory.
+   * @param {Array<{path: string, hash: string, patches?: object[]}>} files - Manifest entries, updated in place.
+   * @param {string[]} deltaFrom - Previous build directories.
+   * @param {string} algorithm - Hash algorithm for file digests.
+   * @returns {Promise<void>} Resolves once all patches are written.
+   */
+  async addPatches(root, files, deltaFrom, algorithm) {
+    if (deltaFrom.length === 0) return;
+    const patcher = new DeltaPatcher();
+    await files.reduce(async (prevFile, file) => {
+      await prevFile;
+      const patches = await deltaFrom.reduce(async (prevDir, dir) => {
+        const acc = await prevDir;
+        const patch = await this.buildPatch(patcher, root, file, resolve(dir), algorithm);
+        if (patch && !acc.some((p) => p.from === patch.from)) acc.push(patch);
+        return acc;
+      }, Promise.resolve([]));
+      if (patches.length > 0) file.patches = patches;
+    }, Promise.resolve());
+  }
+
+  /**
+   * Builds one delta patch from the same path in a previous build.
+   * @param {DeltaPatcher} patcher - Patch builder.
+   * @param {string} root - Absolute build directory.
+   * @param {{path: string, hash: string}} file - New manifest entry.
+   * @param {string} prevRoot - Absolute previous build directory.
+   * @param {string} algorithm - Hash algorithm for file digests.
+   * @returns {Promise<{from: string, path: string, hash: string, size: number}|null>} Patch entry, or null when
+   *   the file is missing or unchanged there, or the patch would not be smaller than the file.
+   */
+  async buildPatch(patcher, root, file, prevRoot, algorithm) {
+    let source;
+    try {
+      source = await readFile(join(prevRoot, file.path));
+    } catch {
+      return null;
+    }
+    const from = createHash(algorithm).update(source).digest('hex');
+    if (from === file.hash) return null;
+
+    const target = await readFile(join(root, file.path));
+    const patch = await patcher.create(source, target);
+    if (patch.length >= target.length) return null;
+
+    const patchPath = `${PATCH_DIR}/${file.path}/${from}.lpd`;
+    await mkdir(dirname(join(root, patchPath)), { recursive: true });
+    await writeFile(join(root, patchPath), patch);
+    return { from, path: patchPath, hash: createHash(algorithm).update(patch).digest('hex'), size: patch.length };
+  }
+
+  /**
+   * Writes compressed copies of the files under `<build>/.compressed/` and declares them on the
+   * entries. Files that do not shrink enough are left uncompressed.
+   * @param {string} root - Absolute build directory.
+   * @param {Array<{path: string}>} files - Manifest entries, updated in place.
+   * @param {string} [encoding] - Transfer encoding; nothing is done when unset.
+   * @param {string} algorithm - Hash algorithm for the compressed digest.
+   * @returns {Promise<void>} Resolves once all copies are written.
+   */
+  async addCompressed(root, files, encoding, algorithm) {
+    if (!encoding) return;
+    const compressor = COMPRESSORS.get(encoding);
+    const downloader = new Downloader();
+    await files.reduce(async (prev, file) => {
+      await prev;
+      const data = await readFile(join(root, file.path));
+      const packed = await compressor(data);
+      if (packed.length > data.length * MIN_COMPRESSION_GAIN) return;
+
+      const compressedPath = `${COMPRESSED_DIR}/${downloader.encodedPath(file.path, encoding)}`;
+      await mkdir(dirname(join(root, compressedPath)), { recursive: true });
+      await writeFile(join(root, compressedPath), packed);
+      Object.assign(file, {
+        encoding,
+        compressedPath,
+        compressedSize: packed.length,
+        compressedHash: createHash(algorithm).update(packed).digest('hex'),
+      });
+    }, Promise.resolve());
+  }
+
+  /**
+   * Logs a summary of the generated manifest and appends it to `generate.log`.
+   * @param {string} outPath - Absolute path of the written manifest.
+   * @param {object} manifest - Signed manifest.
+   * @param {number} totalBytes - Combined size of all files.
+   * @returns {Promise<void>} Resolves once the log is written.
+   */
+  async writeSummary(outPath, manifest, totalBytes) {
+    const payloadHash = createHash('sha256').update(this.manifestHandler.getSigningPayload(manifest)).digest('hex');
+    const lines = [
+      `✓ Manifest written to ${outPath}`,
+      `  format: v${manifest.format ?? 1}`,
+      `  version: ${manifest.version} (sequence ${manifest.sequence}, expires ${manifest.expires})`,
+      `  files: ${manifest.files.length} entries (${totalBytes} bytes)`,
+      `  delta patches: ${manifest.files.reduce((n, f) => n + (f.patches?.length ?? 0), 0)}`,
+      `  compressed: ${manifest.files.filter((f) => f.encoding).length} entries`,
+      `  prioritized: ${manifest.files.filter((f) => f.priority).length} entries`,
+      `  executables: ${manifest.files.filter((f) => f.mode).length} entries`,
+      `  symlinks: ${manifest.files.filter((f) => f.symlink !== undefined).length} entries`,
+      `  algorithm: ${manifest.algorithm}`,
+      `  cdn: ${manifest.cdn ?? '(none)'}`,
+      `  launch: ${manifest.launch ? [manifest.launch.executable, ...(manifest.launch.args ?? [])].join(' ') : '(none)'}`,
+      `  keyId: ${manifest.signature.keyId}`,
+      `  canonical sha256: ${payloadHash}`,
+    ];
+    lines.forEach((line) => this.report(line));
+
+    const entry = [`[${new Date().toISOString()}]`, ...lines, ''].join('\n');
+    await appendFile(join(dirname(outPath), GENERATE_LOG), `${entry}\n`);
+  }
+}
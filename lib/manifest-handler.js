@@ -1,7 +1,77 @@
 /* eslint-disable security/detect-non-literal-fs-filename */
-import { createHash, createPublicKey, verify as edVerify } from 'node:crypto';
+import { createHash, createPrivateKey, createPublicKey, sign as edSign, verify as edVerify } from 'node:crypto';
 import { readFile } from 'node:fs/promises';
-import { isAbsolute, resolve } from 'node:path';
+import { isAbsolute, posix, resolve, win32 } from 'node:path';
+
+import Digest from './digest.js';
+
+/** Manifest format that signs only `JSON.stringify(files)`. Accepted only with an explicit opt-in. */
+const FORMAT_LEGACY = 1;
+/** Manifest format that signs the canonical (RFC 8785 JCS) form of the whole document minus `signature`. */
+const FORMAT_CURRENT = 2;
+/** File modes a manifest may set: permission bits only, as an octal string. Setuid, setgid and sticky bits are refused. */
+const MODE_PATTERN = /^0?[0-7]{3}$/;
+
+/**
+ * Serializes a JSON value per RFC 8785 (JSON Canonicalization Scheme): object members sorted
+ * by UTF-16 code units, no whitespace, ECMAScript number and string serialization.
+ * @param {unknown} value - JSON-compatible value.
+ * @returns {string} Canonical JSON text.
+ * @throws {Error} If the value contains non-finite numbers or non-JSON types.
+ */
+const canonicalize = (value) => {
+  if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalize(item)).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const members = Object.entries(value)
+      .filter(([, v]) => v !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : Number(a > b)))
+      .map(([k, v]) => `${JSON.stringify(k)}:${canonicalize(v)}`);
+    return `{${members.join(',')}}`;
+  }
+  throw new Error(`Cannot canonicalize value of type ${typeof value}`);
+};
+
+/**
+ * Reads the optional `mode` and `mtime` of a file entry.
+ * @param {{mode?: unknown, mtime?: unknown}} entry - Raw file entry.
+ * @returns {{mode?: number, mtime?: number}} Permission bits, and the modification time in epoch milliseconds.
+ * @throws {Error} If `mode` is not an octal permission string or `mtime` is not an ISO 8601 date.
+ */
+const parseFileMetadata = ({ mode, mtime }) => {
+  const metadata = {};
+  if (mode !== undefined) {
+    if (typeof mode !== 'string' || !MODE_PATTERN.test(mode)) throw new Error(`mode must be an octal string such as "0755", got ${JSON.stringify(mode)}`);
+    metadata.mode = parseInt(mode, 8);
+  }
+  if (mtime !== undefined) {
+    const ms = typeof mtime === 'string' ? Date.parse(mtime) : NaN;
+    if (Number.isNaN(ms)) throw new Error(`mtime must be an ISO 8601 date, got ${JSON.stringify(mtime)}`);
+    metadata.mtime = ms;
+  }
+  return metadata;
+};
+
+/**
+ * Checks an optional byte count of a manifest entry, such as `size`.
+ * @param {unknown} value - Declared byte count, or undefined when the entry omits it.
+ * @param {string} field - Field name for the error message.
+ * @returns {void}
+ * @throws {Error} If the value is present but not a non-negative integer.
+ */
+const assertByteCount = (value, field) => {
+  if (value !== undefined && !(Number.isSafeInteger(value) && value >= 0)) {
+    throw new Error(`${field} must be a non-negative integer, got ${JSON.stringify(value)}`);
+  }
+};
 
 /**
  * Loads, verifies, and normalizes a signed manifest.
@@ -10,10 +80,15 @@ export default class ManifestHandler {
   /**
    * Creates a new manifest handler.
    * @param {{log?: (msg: string) => void}} [logger] - Optional logger with a `log` method for progress output.
+   * @param {object} [options] - Optional settings.
+   * @param {typeof fetch} [options.fetch=globalThis.fetch] - Fetch implementation for manifests and keys.
+   * @param {string} [options.baseDir=process.cwd()] - Directory that relative key paths resolve against.
    */
-  constructor(logger) {
+  constructor(logger, { fetch: fetchImpl = globalThis.fetch, baseDir = process.cwd() } = {}) {
     this.data = null;
     this.logger = logger;
+    this.fetch = fetchImpl;
+    this.baseDir = baseDir;
   }
 
   /**
@@ -21,11 +96,36 @@ export default class ManifestHandler {
    * @param {string} manifestUrl - Fully qualified URL to the manifest JSON.
    * @param {string} keyConfig - Path or URL to the public key, may include `{keyId}` placeholder.
    * @param {number} [timeoutMs=30000] - Timeout in milliseconds for all network operations.
+   * @param {object} [options] - Verification options.
+   * @param {import('./keyring.js').default} [options.keyring] - Trusted keys; enforced when the keyring file exists.
+   * @param {boolean} [options.allowLegacy=false] - Accept v1 manifests, whose signature covers only the file list.
+   * @param {boolean} [options.allowLegacyHashes=false] - Accept md5 and sha1 file digests.
+   * @param {import('./install-state.js').default} [options.state] - Persists the highest accepted `sequence`.
+   * @param {boolean} [options.allowDowngrade=false] - Accept a lower `sequence` than previously seen and reset to it.
    * @returns {Promise<object>} Normalized manifest object ready for use in file verification.
    */
-  async fetchAndVerify(manifestUrl, keyConfig, timeoutMs = 30000) {
-    const manifestText = await this.fetchText(manifestUrl, timeoutMs);
+  async fetchAndVerify(manifestUrl, keyConfig, timeoutMs = 30000, { keyring, allowLegacy = false, allowLegacyHashes = false, state, allowDowngrade = false } = {}) {
+    const { manifest, keyId } = this.parseSignedManifest(await this.fetchText(manifestUrl, timeoutMs));
+
+    this.assertSupportedFormat(manifest, allowLegacy);
+    const publicKeyPem = await this.resolveTrustedKey(keyConfig, keyId, timeoutMs, keyring);
+    this.verifySignature(manifest, publicKeyPem, { allowLegacy });
+    const sequence = this.checkFreshness(manifest, { state, allowDowngrade });
+
+    const data = this.normalizeManifest(manifest, { allowLegacyHashes });
+    // Only a fully accepted manifest may raise the rollback floor; a malformed one must not lock out the last good release.
+    if (state && sequence !== null) await state.setHighestSequence(sequence);
+    this.data = data;
+    return this.data;
+  }
 
+  /**
+   * Parses manifest text and reads the key it claims to be signed with.
+   * @param {string} manifestText - Downloaded manifest.
+   * @returns {{manifest: object, keyId: string}} The parsed manifest and its `signature.keyId`.
+   * @throws {Error} If the text is not JSON or names no signing key.
+   */
+  parseSignedManifest(manifestText) {
     let manifest;
     try {
       manifest = JSON.parse(manifestText);
@@ -38,12 +138,61 @@ export default class ManifestHandler {
     if (!keyId) {
       throw new Error('Manifest is missing signature.keyId');
     }
+    return { manifest, keyId };
+  }
 
-    const publicKeyPem = await this.loadPublicKey(keyConfig, keyId, timeoutMs);
-    this.verifySignature(manifest, publicKeyPem);
+  /**
+   * Guards against rollback and freeze attacks using the signed `sequence` and `expires` fields.
+   * Rejects expired manifests and manifests older than the highest sequence accepted before.
+   * Nothing is recorded here: the caller saves the returned sequence once the document is
+   * accepted as a whole. v1 manifests cannot carry signed values for these fields, so the check
+   * is skipped for them with a warning.
+   * @param {object} manifest - Verified manifest.
+   * @param {object} options - Check options.
+   * @param {{getHighestSequence: () => number|null}} [options.state] - Holds the highest accepted sequence.
+   * @param {boolean} options.allowDowngrade - Accept a lower sequence than the recorded one.
+   * @param {Date} [options.now=new Date()] - Reference time for expiry.
+   * @returns {number|null} The sequence to record once the document is accepted, or null for v1 manifests.
+   * @throws {Error} If fields are missing or invalid, the manifest expired, or it is a rollback.
+   */
+  checkFreshness(manifest, { state, allowDowngrade, now = new Date() }) {
+    if (this.getFormat(manifest) === FORMAT_LEGACY) {
+      this.log('⚠ v1 manifest: rollback and expiry protection unavailable');
+      return null;
+    }
 
-    this.data = this.normalizeManifest(manifest);
-    return this.data;
+    const { sequence, expiresAt } = this.readFreshnessFields(manifest);
+    if (now > expiresAt) {
+      throw new Error(`Manifest expired at ${expiresAt.toISOString()}`);
+    }
+
+    const highest = state ? state.getHighestSequence() : null;
+    if (highest !== null && sequence < highest) {
+      if (!allowDowngrade) {
+        throw new Error(`Manifest sequence ${sequence} is older than the last accepted ${highest}; refusing rollback`);
+      }
+      this.log(`⚠ Downgrading from manifest sequence ${highest} to ${sequence} (--allow-downgrade)`);
+    }
+
+    this.log(`  sequence: ${sequence}, expires: ${expiresAt.toISOString()}`);
+    return sequence;
+  }
+
+  /**
+   * Validates the `sequence` and `expires` fields of a v2 manifest.
+   * @param {object} manifest - Verified manifest.
+   * @returns {{sequence: number, expiresAt: Date}} Parsed values.
+   * @throws {Error} If either field is missing or malformed.
+   */
+  readFreshnessFields({ sequence, expires }) {
+    if (!Number.isSafeInteger(sequence) || sequence < 0) {
+      throw new Error('Manifest is missing a valid sequence number');
+    }
+    const expiresAt = new Date(expires);
+    if (typeof expires !== 'string' || Number.isNaN(expiresAt.getTime())) {
+      throw new Error('Manifest is missing a valid expires timestamp');
+    }
+    return { sequence, expiresAt };
   }
 
   /**
@@ -51,15 +200,16 @@ export default class ManifestHandler {
    * @param {string} url - Fully qualified URL to fetch.
    * @param {number} [timeoutMs=30000] - Timeout in milliseconds before aborting.
    * @returns {Promise<string>} Response body as text.
+   * @throws {Error} On failure; HTTP errors carry the response `status`.
    */
   async fetchText(url, timeoutMs = 30000) {
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), timeoutMs);
 
     try {
-      const res = await fetch(url, { signal: controller.signal });
+      const res = await this.fetch(url, { signal: controller.signal });
       if (!res.ok) {
-        throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+        throw Object.assign(new Error(`HTTP ${res.status}: ${res.statusText}`), { status: res.status });
       }
       return await res.text();
     } finally {
@@ -67,6 +217,34 @@ export default class ManifestHandler {
     }
   }
 
+  /**
+   * Resolves the public key for a manifest signature and checks it against the keyring.
+   * Keys pinned in the keyring with an inline PEM are used directly; otherwise the key is
+   * loaded from the configured candidates and must match the pinned fingerprint.
+   * Without a keyring file the configured key is trusted as-is.
+   * @param {string} keyConfig - Path or URL to the key, may include `{keyId}` placeholder.
+   * @param {string} keyId - The key identifier from the manifest.
+   * @param {number} timeoutMs - Timeout in milliseconds for network requests.
+   * @param {import('./keyring.js').default} [keyring] - Trusted keys.
+   * @returns {Promise<string>} The PEM-encoded public key string.
+   * @throws {Error} If the key is unknown, revoked, expired, or does not match its fingerprint.
+   */
+  async resolveTrustedKey(keyConfig, keyId, timeoutMs, keyring) {
+    if (!keyring || !keyring.exists) {
+      this.log('⚠ No trusted keyring found; trusting the configured public key');
+      return this.loadPublicKey(keyConfig, keyId, timeoutMs);
+    }
+
+    const entry = keyring.find(keyId);
+    if (!entry) {
+      throw new Error(`Signing key ${keyId} is not in the trusted keyring`);
+    }
+
+    const publicKeyPem = entry.publicKey || (await this.loadPublicKey(keyConfig, keyId, timeoutMs));
+    keyring.assertTrusted(keyId, publicKeyPem);
+    return publicKeyPem;
+  }
+
   /**
    * Attempts to load a PEM-encoded public key from one of the possible candidates.
    * @param {string} keyConfig - Path or URL to the key, may include `{keyId}` placeholder.
@@ -111,7 +289,7 @@ export default class ManifestHandler {
       return this.fetchText(candidate, timeoutMs).then((pem) => pem.trim());
     }
 
-    const path = isAbsolute(candidate) ? candidate : resolve(process.cwd(), candidate);
+    const path = isAbsolute(candidate) ? candidate : resolve(this.baseDir, candidate);
     return readFile(path, 'utf8').then((pem) => pem.trim());
   }
 
@@ -151,17 +329,48 @@ export default class ManifestHandler {
   }
 
   /**
-   * Verifies the Ed25519 signature on the manifest's file list.
+   * Verifies the Ed25519 signature over the manifest's signing payload (see {@link getSigningPayload}).
    * @param {object} manifest - Manifest object to verify.
    * @param {string} publicKeyPem - PEM-encoded public key string.
+   * @param {object} [options] - Verification options.
+   * @param {boolean} [options.allowLegacy=false] - Accept v1 manifests.
    * @returns {void}
    */
-  verifySignature(manifest, publicKeyPem) {
+  verifySignature(manifest, publicKeyPem, { allowLegacy = false } = {}) {
     const sig = manifest && manifest.signature;
     if (!sig) {
       throw new Error('Manifest is missing signature');
     }
 
+    const format = this.assertSupportedFormat(manifest, allowLegacy);
+    const { algorithm, canonicalBuf, sigBuf, publicKey } = this.checkSignature(manifest, publicKeyPem);
+    const files = this.getFiles(manifest);
+
+    const canonicalHash = createHash('sha256').update(canonicalBuf).digest('hex');
+    const keyHash = createHash('sha256')
+      .update(publicKey.export({ type: 'spki', format: 'der' }))
+      .digest('hex');
+    const fp = `${keyHash.slice(0, 8)}…${keyHash.slice(-8)}`;
+
+    this.log(`Verifying manifest with ${algorithm} signature...`);
+    this.log(`  format: v${format}${format === FORMAT_LEGACY ? ' (legacy, file list only)' : ''}`);
+    this.log(`  files: ${files.length} entries`);
+    this.log(`  canonical sha256: ${canonicalHash}`);
+    this.log(`  signature bytes: ${sigBuf.length}`);
+    this.log(`  key: ${sig.keyId} (fingerprint ${fp})`);
+    this.log('✓ Manifest signature verified successfully');
+  }
+
+  /**
+   * Checks the Ed25519 signature of a signed document against its signing payload, without logging.
+   * Shared by manifests and the channel index.
+   * @param {object} doc - Signed document with a `signature` field.
+   * @param {string} publicKeyPem - PEM-encoded public key string.
+   * @returns {{algorithm: string, canonicalBuf: Buffer, sigBuf: Buffer, publicKey: import('node:crypto').KeyObject}} Verified values.
+   * @throws {Error} If the algorithm is unsupported or the signature is missing or invalid.
+   */
+  checkSignature(doc, publicKeyPem) {
+    const sig = doc.signature;
     const rawAlg = sig.algorithm;
     const algorithm = typeof rawAlg === 'string' ? rawAlg.toLowerCase() : '';
     if (algorithm !== 'ed25519') {
@@ -172,9 +381,7 @@ export default class ManifestHandler {
       throw new Error('Manifest is missing signature value');
     }
 
-    const files = Array.isArray(manifest.files) ? manifest.files : [];
-    const canonical = JSON.stringify(files);
-    const canonicalBuf = Buffer.from(canonical, 'utf8');
+    const canonicalBuf = this.getSigningPayload(doc);
     const sigBuf = Buffer.from(sig.value, 'base64');
     const publicKey = createPublicKey(publicKeyPem);
 
@@ -182,26 +389,93 @@ export default class ManifestHandler {
     if (!ok) {
       throw new Error('Invalid manifest signature');
     }
+    return { algorithm, canonicalBuf, sigBuf, publicKey };
+  }
 
-    const canonicalHash = createHash('sha256').update(canonicalBuf).digest('hex');
-    const keyHash = createHash('sha256').update(Buffer.from(publicKeyPem, 'utf8')).digest('hex');
-    const fp = `${keyHash.slice(0, 8)}…${keyHash.slice(-8)}`;
+  /**
+   * Writes a message through the logger if available, else console.
+   * @param {string} msg - Message to output.
+   * @returns {void}
+   */
+  log(msg) {
+    if (this.logger && typeof this.logger.log === 'function') {
+      this.logger.log(msg);
+    } else {
+      // eslint-disable-next-line no-console
+      console.log(msg);
+    }
+  }
 
-    const log = (msg) => {
-      if (this.logger && typeof this.logger.log === 'function') {
-        this.logger.log(msg);
-      } else {
-        // eslint-disable-next-line no-console
-        console.log(msg);
-      }
-    };
+  /**
+   * Returns the manifest format. Manifests without a `format` field are v1.
+   * @param {object} manifest - Manifest object.
+   * @returns {number} Format number.
+   */
+  getFormat(manifest) {
+    if (manifest && Object.prototype.hasOwnProperty.call(manifest, 'format')) {
+      return manifest.format;
+    }
+    return FORMAT_LEGACY;
+  }
+
+  /**
+   * Rejects unknown formats, and v1 unless explicitly allowed.
+   * @param {object} manifest - Manifest object.
+   * @param {boolean} allowLegacy - Whether v1 manifests are accepted.
+   * @returns {number} The manifest format.
+   * @throws {Error} If the format is unsupported or not allowed.
+   */
+  assertSupportedFormat(manifest, allowLegacy) {
+    const format = this.getFormat(manifest);
+    if (format === FORMAT_CURRENT) return format;
+    if (format === FORMAT_LEGACY) {
+      if (allowLegacy) return format;
+      throw new Error('Manifest format v1 signs only the file list; set allow_legacy_manifest=true to accept it');
+    }
+    throw new Error(`Unsupported manifest format: ${format}`);
+  }
 
-    log(`Verifying manifest with ${algorithm} signature...`);
-    log(`  files: ${files.length} entries`);
-    log(`  canonical sha256: ${canonicalHash}`);
-    log(`  signature bytes: ${sigBuf.length}`);
-    log(`  public key fingerprint: ${fp}`);
-    log('✓ Manifest signature verified successfully');
+  /**
+   * Builds the exact bytes covered by the manifest signature.
+   * - v2: canonical JSON (RFC 8785) of the whole document without `signature`.
+   * - v1: `JSON.stringify(files)`; everything else is unauthenticated.
+   * @param {object} manifest - Manifest object.
+   * @returns {Buffer} UTF-8 payload to sign or verify.
+   */
+  getSigningPayload(manifest) {
+    if (this.getFormat(manifest) === FORMAT_LEGACY) {
+      return Buffer.from(JSON.stringify(this.getFiles(manifest)), 'utf8');
+    }
+    const { signature, ...signed } = manifest;
+    return Buffer.from(canonicalize(signed), 'utf8');
+  }
+
+  /**
+   * Signs a manifest with an Ed25519 private key, producing the `signature` block that
+   * {@link verifySignature} expects.
+   * @param {object} manifest - Manifest object without a signature.
+   * @param {string} privateKeyPem - PEM-encoded Ed25519 private key.
+   * @param {string} [keyId] - Key identifier; defaults to the public key fingerprint.
+   * @returns {{algorithm: string, keyId: string, value: string}} Signature block.
+   */
+  signManifest(manifest, privateKeyPem, keyId) {
+    const privateKey = createPrivateKey(privateKeyPem);
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error(`Unsupported signing key type: ${privateKey.asymmetricKeyType}`);
+    }
+
+    const value = edSign(null, this.getSigningPayload(manifest), privateKey).toString('base64');
+    return { algorithm: 'ed25519', keyId: keyId || this.getKeyFingerprint(createPublicKey(privateKey)), value };
+  }
+
+  /**
+   * Derives a short, stable identifier for a public key.
+   * @param {import('node:crypto').KeyObject} publicKey - Public key object.
+   * @returns {string} First 16 hex characters of the SHA-256 of the SPKI DER encoding.
+   */
+  getKeyFingerprint(publicKey) {
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    return createHash('sha256').update(der).digest('hex').slice(0, 16);
   }
 
   /**
@@ -217,13 +491,33 @@ export default class ManifestHandler {
       raw = manifest.baseUrl;
     }
 
+    return this.withTrailingSlash(raw);
+  }
+
+  /**
+   * Returns the ordered download mirrors: `cdn`/`baseUrl` first, then the `mirrors` array.
+   * @param {object} manifest - Manifest object containing `cdn`, `baseUrl` and/or `mirrors`.
+   * @returns {string[]} Unique base URLs with trailing slashes, in order of preference.
+   */
+  getMirrors(manifest) {
+    const extra = manifest && Array.isArray(manifest.mirrors) ? manifest.mirrors : [];
+    const all = [this.getBaseUrl(manifest), ...extra.filter((m) => typeof m === 'string').map((m) => this.withTrailingSlash(m))];
+    return [...new Set(all.filter(Boolean))];
+  }
+
+  /**
+   * Appends a trailing slash to a non-empty base URL.
+   * @param {string} raw - Base URL as written in the manifest.
+   * @returns {string} Base URL ending in "/", or empty string.
+   */
+  withTrailingSlash(raw) {
     if (!raw) return '';
     if (raw.charAt(raw.length - 1) === '/') return raw;
     return `${raw}/`;
   }
 
   /**
-   * Returns the hashing algorithm from the manifest.
+   * Returns the hashing algorithm from the manifest, used for every hex digest in it.
    * @param {object} manifest - Manifest object containing the algorithm.
    * @returns {string} Algorithm name, defaults to "sha256".
    */
@@ -246,6 +540,60 @@ export default class ManifestHandler {
     return [];
   }
 
+  /**
+   * Reads the digests of a file entry into lowercase hex and records the entry's `algorithm`: the
+   * one named by an SRI `hash` such as `sha512-<base64>`, else the manifest's. The digests of its
+   * patches and compressed copy are in the same algorithm, as hex or SRI. Declared sizes must be byte counts.
+   * `mode` becomes permission bits and `mtime` epoch milliseconds.
+   * @param {object} entry - Raw file entry.
+   * @param {string} algorithm - The manifest's algorithm.
+   * @param {{allowLegacy: boolean}} options - Whether md5 and sha1 are accepted.
+   * @returns {object} The entry with hex digests and its `algorithm`.
+   * @throws {Error} If a digest is malformed or uses a rejected algorithm, or a size, mode or mtime is invalid.
+   */
+  normalizeFile(entry, algorithm, options) {
+    try {
+      assertByteCount(entry?.size, 'size');
+      assertByteCount(entry?.compressedSize, 'compressedSize');
+      const { algorithm: own, hex } = Digest.parse(entry?.hash, algorithm, options);
+      const toHex = (value) => {
+        const parsed = Digest.parse(value, own, options);
+        if (parsed.algorithm !== own) throw new Error(`${value} must use ${own}, like the file hash`);
+        return parsed.hex;
+      };
+
+      const file = { ...entry, ...parseFileMetadata(entry), hash: hex, algorithm: own };
+      if (entry.compressedHash !== undefined) file.compressedHash = toHex(entry.compressedHash);
+      if (Array.isArray(entry.patches)) {
+        file.patches = entry.patches.map((patch) => {
+          assertByteCount(patch?.size, 'patch size');
+          return { ...patch, from: toHex(patch?.from), ...(patch?.hash === undefined ? {} : { hash: toHex(patch.hash) }) };
+        });
+      }
+      return file;
+    } catch (e) {
+      throw new Error(`Manifest entry ${entry?.path}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Reads a symlink entry, `{ path, symlink }`. The target must be relative and, resolved from the
+   * link's directory, stay inside the install.
+   * @param {{path: string, symlink: unknown}} entry - Raw symlink entry.
+   * @returns {{path: string, target: string}} The link and its target.
+   * @throws {Error} If the target is absolute or leads outside the install.
+   */
+  normalizeSymlink({ path, symlink: target }) {
+    if (typeof path !== 'string' || typeof target !== 'string' || target === '' || target.includes('\\') || posix.isAbsolute(target) || win32.isAbsolute(target)) {
+      throw new Error(`Manifest entry ${path}: symlink must be a relative path with forward slashes`);
+    }
+    const resolved = posix.normalize(posix.join(posix.dirname(path), target));
+    if (resolved === '..' || resolved.startsWith('../')) {
+      throw new Error(`Manifest entry ${path}: symlink target ${target} leads outside the install directory`);
+    }
+    return { path, target };
+  }
+
   /**
    * Returns the manifest's version.
    * @param {object} manifest - Manifest object containing the version.
@@ -259,16 +607,41 @@ export default class ManifestHandler {
   }
 
   /**
-   * Builds a normalized manifest object.
+   * Returns the signed launch command of the game client.
+   * v1 manifests sign only the file list, so their `launch` field is ignored.
+   * @param {object} manifest - Manifest object.
+   * @returns {object|null} Raw `launch` object, validated later by `GameLauncher`, or null.
+   */
+  getLaunch(manifest) {
+    if (this.getFormat(manifest) === FORMAT_LEGACY || !manifest.launch || typeof manifest.launch !== 'object') return null;
+    return manifest.launch;
+  }
+
+  /**
+   * Builds a normalized manifest object. File digests become hex, each entry with its `algorithm`
+   * (see `normalizeFile`). Entries with a `symlink` target are listed separately in `symlinks`.
    * @param {object} manifest - Raw manifest object.
-   * @returns {{version: string|number, baseUrl: string, algorithm: string, files: any[], signature: any}} Normalized manifest data.
+   * @param {object} [options] - Options object.
+   * @param {boolean} [options.allowLegacyHashes=false] - Accept md5 and sha1 digests.
+   * @returns {{format: number, version: string|number, sequence: number|null, baseUrl: string, mirrors: string[], algorithm: string, files: any[], symlinks: Array<{path: string, target: string}>, launch: object|null, signature: any}} Normalized manifest data.
+   * @throws {Error} If the algorithm or a digest is rejected, or an entry is invalid.
    */
-  normalizeManifest(manifest) {
+  normalizeManifest(manifest, { allowLegacyHashes = false } = {}) {
+    const mirrors = this.getMirrors(manifest);
+    const options = { allowLegacy: allowLegacyHashes };
+    const algorithm = Digest.assertSupported(this.getAlgorithm(manifest), options);
+    const isSymlink = (entry) => entry?.symlink !== undefined;
+    const entries = this.getFiles(manifest);
     return {
+      format: this.getFormat(manifest),
       version: this.getVersion(manifest),
-      baseUrl: this.getBaseUrl(manifest),
-      algorithm: this.getAlgorithm(manifest),
-      files: this.getFiles(manifest),
+      sequence: manifest && Number.isSafeInteger(manifest.sequence) ? manifest.sequence : null,
+      baseUrl: mirrors[0] ?? '',
+      mirrors,
+      algorithm,
+      files: entries.filter((entry) => !isSymlink(entry)).map((entry) => this.normalizeFile(entry, algorithm, options)),
+      symlinks: entries.filter(isSymlink).map((entry) => this.normalizeSymlink(entry)),
+      launch: this.getLaunch(manifest),
       signature: manifest ? manifest.signature : undefined,
     };
   }
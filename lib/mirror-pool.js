@@ -0,0 +1,158 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+
+/** Network error codes worth retrying (connection resets, refusals, DNS hiccups, socket timeouts). */
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT',
+]);
+const RETRYABLE_STATUSES = new Set([408, 429]);
+
+/**
+ * Decides whether a failed download is transient and worth retrying.
+ * Retries 5xx/408/429 responses, timeouts (aborted requests) and connection-level failures.
+ * @param {any} err - Error thrown by a download attempt.
+ * @returns {boolean} True if the same request may succeed when repeated.
+ */
+const isRetryable = (err) => {
+  if (!err) return false;
+  if (typeof err.status === 'number') return err.status >= 500 || RETRYABLE_STATUSES.has(err.status);
+  if (err.name === 'AbortError' || err.name === 'TimeoutError') return true;
+  const code = err.code ?? err.cause?.code;
+  if (code) return RETRYABLE_CODES.has(code);
+  // fetch() reports network failures as a bare TypeError("fetch failed").
+  return err instanceof TypeError && err.message === 'fetch failed';
+};
+
+/**
+ * Ordered list of CDN base URLs with per-request retries and failover.
+ *
+ * Each request is retried on the current mirror with exponential backoff and full jitter.
+ * When a mirror keeps failing with transient errors it is marked unhealthy and skipped
+ * for the rest of the run; other failures (404, hash mismatch) move on to the next
+ * mirror without penalizing it.
+ */
+export default class MirrorPool {
+  /**
+   * @param {string[]} baseUrls - Mirror base URLs in order of preference (with trailing slash).
+   * @param {object} [options] - Retry settings.
+   * @param {number} [options.retries=3] - Attempts per mirror before failing over.
+   * @param {number} [options.baseDelayMs=500] - Backoff ceiling for the first retry.
+   * @param {number} [options.maxDelayMs=8000] - Upper bound for any single backoff delay.
+   * @param {{log?: (msg: string) => void}} [options.logger] - Optional logger for failover notices.
+   */
+  constructor(baseUrls, { retries = 3, baseDelayMs = 500, maxDelayMs = 8000, logger } = {}) {
+    this.baseUrls = baseUrls.length > 0 ? [...baseUrls] : [''];
+    this.retries = Math.max(1, retries);
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.logger = logger;
+    /** @type {Set<string>} */
+    this.unhealthy = new Set();
+  }
+
+  /**
+   * Returns the mirror currently preferred for new requests.
+   * @returns {string} Base URL of the first healthy mirror.
+   */
+  getPrimary() {
+    return this.getCandidates()[0];
+  }
+
+  /**
+   * Healthy mirrors in preference order. When every mirror has been marked unhealthy,
+   * all of them are returned so the run can still make progress.
+   * @returns {string[]} Base URLs to try.
+   */
+  getCandidates() {
+    const healthy = this.baseUrls.filter((u) => !this.unhealthy.has(u));
+    return healthy.length > 0 ? healthy : [...this.baseUrls];
+  }
+
+  /**
+   * Excludes a mirror from subsequent requests in this run.
+   * @param {string} baseUrl - Mirror to exclude.
+   * @param {Error} err - Last error seen from the mirror.
+   * @returns {void}
+   */
+  markUnhealthy(baseUrl, err) {
+    if (this.baseUrls.length < 2 || this.unhealthy.has(baseUrl)) return;
+    this.unhealthy.add(baseUrl);
+    this.logger?.log?.(`⚠ Mirror ${baseUrl} marked unhealthy (${err.message}), failing over`);
+  }
+
+  /**
+   * Runs a download task against the mirrors until it succeeds.
+   * @template T
+   * @param {string} relPath - Path relative to the mirror base URL.
+   * @param {(url: string) => Promise<T>} task - Performs one attempt against a full URL.
+   * @returns {Promise<T>} Result of the first successful attempt.
+   * @throws {Error} The last error, with an `attempts` array of `{ url, error }` entries.
+   */
+  async run(relPath, task) {
+    const attempts = [];
+    try {
+      return await this.tryMirrors(this.getCandidates(), relPath, task, attempts);
+    } catch (err) {
+      err.attempts = attempts;
+      throw err;
+    }
+  }
+
+  /**
+   * Tries each mirror in turn, failing over after a mirror is exhausted.
+   * @template T
+   * @param {string[]} mirrors - Remaining mirrors to try.
+   * @param {string} relPath - Path relative to the mirror base URL.
+   * @param {(url: string) => Promise<T>} task - Performs one attempt.
+   * @param {Array<{url: string, error: string}>} attempts - Attempt log, appended to.
+   * @returns {Promise<T>} Result of the first successful attempt.
+   */
+  async tryMirrors([baseUrl, ...rest], relPath, task, attempts) {
+    try {
+      return await this.tryWithBackoff(`${baseUrl}${relPath}`, task, attempts, 0);
+    } catch (err) {
+      if (isRetryable(err)) this.markUnhealthy(baseUrl, err);
+      if (rest.length === 0) throw err;
+      return this.tryMirrors(rest, relPath, task, attempts);
+    }
+  }
+
+  /**
+   * Repeats a task against one URL while it fails with transient errors.
+   * @template T
+   * @param {string} url - Full URL to request.
+   * @param {(url: string) => Promise<T>} task - Performs one attempt.
+   * @param {Array<{url: string, error: string}>} attempts - Attempt log, appended to.
+   * @param {number} attempt - Zero-based attempt number on this mirror.
+   * @returns {Promise<T>} Result of the first successful attempt.
+   */
+  async tryWithBackoff(url, task, attempts, attempt) {
+    try {
+      return await task(url);
+    } catch (err) {
+      attempts.push({ url, error: err.message });
+      if (!isRetryable(err) || attempt + 1 >= this.retries) throw err;
+      await sleep(this.backoffDelay(attempt));
+      return this.tryWithBackoff(url, task, attempts, attempt + 1);
+    }
+  }
+
+  /**
+   * Exponential backoff with full jitter: a random delay in [0, min(max, base * 2^attempt)).
+   * @param {number} attempt - Zero-based attempt number that just failed.
+   * @returns {number} Delay in milliseconds.
+   */
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+  }
+}
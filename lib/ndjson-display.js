@@ -0,0 +1,78 @@
+import EventBridge from './event-bridge.js';
+
+/**
+ * Version of the event schema. Bump it on any incompatible change to event names or fields.
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Machine-readable alternative to ProgressDisplay for GUIs and scripts.
+ * An `EventBridge` that is its own emitter: the hooks `LauncherCore` calls are mapped to events by
+ * the bridge, and every event is written as one JSON object per line.
+ *
+ * Every event has `schema` (the schema version), `type` and `ts` (ISO timestamp), plus the display's
+ * `fields` (`origin: 'restarted'` for a launcher started by a self-update). Types:
+ * - `log` `{ level: 'info'|'warn'|'error', message }`
+ * - `phase` `{ phase: 'verification'|'patching', status: 'start'|'end', total? }`
+ * - `progress` `{ phase, completed, total }`
+ * - `file-start` `{ path }`, `file-progress` `{ path, percent }`, `file-complete` `{ path }`
+ * - `file-error` `{ path, message, cause, status, attempts }`: `cause` is `http`, `timeout`, `size-mismatch`,
+ *   `hash-mismatch`, `network`, `disk` or `other`; `status` is the HTTP status or null; `attempts` lists `{ url, error }`
+ * - `plan` `{ plan }` (dry runs)
+ * - `error` `{ message, stack? }`
+ * - `summary` `{ ok, action, durationMs, ... }` (always the last event of a run); failed runs add `error`,
+ *   `kind` and `exitCode`, and `failures` (`file-error` payloads) when files were not updated
+ */
+export default class NdjsonDisplay extends EventBridge {
+  /**
+   * @param {object} [options] - Optional settings.
+   * @param {NodeJS.WritableStream} [options.output=process.stdout] - Stream that receives the events.
+   * @param {object} [options.fields={}] - Fields added to every event, to tell apart the streams of
+   *   processes that share one output.
+   */
+  constructor({ output = process.stdout, fields = {} } = {}) {
+    super(null);
+    this.emitter = this;
+    this.output = output;
+    this.fields = fields;
+  }
+
+  /**
+   * Writes one event line.
+   * @param {string} type - Event type.
+   * @param {object} [fields={}] - Event payload.
+   * @returns {void}
+   */
+  emit(type, fields = {}) {
+    this.output.write(`${JSON.stringify({ schema: SCHEMA_VERSION, type, ts: new Date().toISOString(), ...this.fields, ...fields })}\n`);
+  }
+
+  /**
+   * Emit a dry-run update plan.
+   * @param {object} plan - Plan from `LauncherCore.planUpdates`.
+   * @returns {void}
+   */
+  plan(plan) {
+    this.emit('plan', { plan });
+  }
+
+  /**
+   * Report a fatal error.
+   * @param {Error} error - The error that ended the run.
+   * @param {object} [options] - Options.
+   * @param {boolean} [options.verbose=false] - Include the stack trace.
+   * @returns {void}
+   */
+  error(error, { verbose = false } = {}) {
+    this.emit('error', { message: error.message, ...(verbose ? { stack: error.stack } : {}) });
+  }
+
+  /**
+   * Emit the final summary of the run.
+   * @param {{ok: boolean, action: string, durationMs: number}} result - Run outcome.
+   * @returns {void}
+   */
+  summary(result) {
+    this.emit('summary', result);
+  }
+}
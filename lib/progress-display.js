@@ -1,4 +1,3 @@
-/* eslint-disable no-console */
 import cliProgress from 'cli-progress';
 
 const BAR_FORMAT = '{label} {bar} {percentage}% | {value}/{total}';
@@ -16,6 +15,33 @@ const LABELS = {
   currentFile: 'Current file...        ',
 };
 
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Formats a byte count for display.
+ * @param {number|null} bytes - Byte count, or null if unknown.
+ * @returns {string} Human-readable size such as "1.5 MB", or "size unknown".
+ */
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return 'size unknown';
+  const exp = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), BYTE_UNITS.length - 1) : 0;
+  const value = bytes / 1024 ** exp;
+  return `${exp === 0 ? value : value.toFixed(1)} ${BYTE_UNITS.at(exp)}`;
+};
+
+/**
+ * Short descriptions of file failure causes for the failure report.
+ * @type {Map<string, (failure: import('./launcher-error.js').FileFailure) => string>}
+ */
+const FAILURE_CAUSES = new Map([
+  ['http', (failure) => `HTTP ${failure.status}`],
+  ['timeout', () => 'timed out'],
+  ['size-mismatch', () => 'size mismatch'],
+  ['hash-mismatch', () => 'hash mismatch'],
+  ['network', () => 'network error'],
+  ['disk', () => 'disk error'],
+]);
+
 /**
  * Formats filenames to fit a fixed label width. Left-truncates if too long.
  * @param {string} filename - Original filename.
@@ -32,10 +58,15 @@ export default class ProgressDisplay {
   /**
    * Displays progress for verification and patching phases in TTY and non-TTY environments.
    * Creates progress bars only when needed to avoid spacing side effects.
+   * @param {object} [options] - Optional settings.
+   * @param {NodeJS.WriteStream} [options.output=process.stdout] - Stream for logs and bars; stderr keeps stdout free for machine-readable output.
    */
-  constructor() {
+  constructor({ output = process.stdout } = {}) {
+    /** @type {NodeJS.WriteStream} */
+    this.output = output;
+
     /** @type {boolean} */
-    this.isTTY = Boolean(process.stdout && process.stdout.isTTY);
+    this.isTTY = Boolean(output && output.isTTY);
 
     /** @type {cliProgress.MultiBar|null} */
     this.multibar = null; // lazily created
@@ -49,6 +80,9 @@ export default class ProgressDisplay {
     /** @type {'verification'|'patching'|null} */
     this.currentPhase = null;
 
+    /** @type {Set<string>} Files that failed, so they are not marked done when they finish. */
+    this.failedFiles = new Set();
+
     /** @type {number} */
     this.lastPrintedPct = -1;
   }
@@ -66,6 +100,7 @@ export default class ProgressDisplay {
         format: BAR_FORMAT,
         barCompleteChar: BAR_COMPLETE,
         barIncompleteChar: BAR_INCOMPLETE,
+        stream: this.output,
       },
       cliProgress.Presets.shades_grey
     );
@@ -84,7 +119,7 @@ export default class ProgressDisplay {
       this.multiBar();
       this.overallBar = this.multibar.create(totalFiles, 0, { label: LABELS.verifying });
     } else {
-      console.log(`Verifying ${totalFiles} files...`);
+      this.output.write(`Verifying ${totalFiles} files...\n`);
     }
   }
 
@@ -107,7 +142,7 @@ export default class ProgressDisplay {
     if (this.isTTY && this.overallBar) {
       this.overallBar.update(this.overallBar.getTotal(), { label: LABELS.verificationDone });
     } else {
-      console.log('✓ File verification complete');
+      this.output.write('✓ File verification complete\n');
     }
   }
 
@@ -129,7 +164,7 @@ export default class ProgressDisplay {
       if (this.fileBar) this.multibar.remove(this.fileBar);
       this.fileBar = this.multibar.create(FILEBAR_TOTAL, 0, { label: LABELS.preparing });
     } else {
-      console.log(`Patching ${totalFiles} files...`);
+      this.output.write(`Patching ${totalFiles} files...\n`);
     }
   }
 
@@ -155,7 +190,7 @@ export default class ProgressDisplay {
     if (this.isTTY && this.fileBar) {
       this.fileBar.update(0, { label });
     } else {
-      process.stdout.write(`Downloading ${filename}...`);
+      this.output.write(`Downloading ${filename}...`);
     }
   }
 
@@ -176,23 +211,34 @@ export default class ProgressDisplay {
     const step = 25;
     const bucket = Math.floor(percentage / step) * step;
     if (bucket !== this.lastPrintedPct && bucket % step === 0) {
-      process.stdout.write(` ${bucket}%`);
+      this.output.write(` ${bucket}%`);
       this.lastPrintedPct = bucket;
     }
   }
 
   /**
    * Mark the current file download as complete.
+   * @param {string} [filename] - File that finished; a failed one is marked ✗ instead of ✓.
    * @returns {void}
    */
-  finishFileDownload() {
+  finishFileDownload(filename) {
+    const failed = this.failedFiles.delete(filename);
     if (this.isTTY && this.fileBar) {
       this.fileBar.update(100);
     } else {
-      process.stdout.write(' ✓\n');
+      this.output.write(failed ? ' ✗\n' : ' ✓\n');
     }
   }
 
+  /**
+   * Note a file that could not be updated; the reason is already logged and repeated in the failure report.
+   * @param {string} filename - File that failed.
+   * @returns {void}
+   */
+  failFileDownload(filename) {
+    this.failedFiles.add(filename);
+  }
+
   /**
    * Complete the patching phase.
    * @returns {void}
@@ -201,7 +247,7 @@ export default class ProgressDisplay {
     if (this.isTTY && this.overallBar) {
       this.overallBar.update(this.overallBar.getTotal(), { label: LABELS.patchingDone });
     } else {
-      console.log('✓ Patching complete');
+      this.output.write('✓ Patching complete\n');
     }
   }
 
@@ -213,7 +259,7 @@ export default class ProgressDisplay {
    */
   log(message) {
     if (!this.isTTY) {
-      console.log(message);
+      this.output.write(`${message}\n`);
       return;
     }
 
@@ -221,12 +267,91 @@ export default class ProgressDisplay {
 
     if (hasActiveBars && this.multibar) {
       this.multibar.stop();
-      process.stdout.write(`${message}\n`);
+      this.output.write(`${message}\n`);
       this.rebuildBars();
       return;
     }
 
-    process.stdout.write(`${message}\n`);
+    this.output.write(`${message}\n`);
+  }
+
+  /**
+   * Print a dry-run update plan, listing every entry.
+   * @param {import('./launcher-core.js').UpdatePlan} plan - Plan from `LauncherCore.planUpdates`.
+   * @returns {void}
+   */
+  plan(plan) {
+    const { manifest, totals } = plan;
+    this.log('\n📋 Update plan (dry run, nothing was changed)');
+    const sequence = manifest.sequence === null ? '' : `, sequence ${manifest.sequence}`;
+    const channel = manifest.channel ? `, channel ${manifest.channel}` : '';
+    this.log(`  Manifest: version ${manifest.version}${sequence}${channel}, ${manifest.files} file(s)`);
+    this.log(`  Installed version: ${plan.installedVersion ?? 'unknown'}`);
+
+    const describe = (item) => {
+      const via = item.method === 'full' ? '' : ` (${item.method}, ${formatBytes(item.transferBytes)} to download)`;
+      return `${item.path}  ${formatBytes(item.size)}${via}`;
+    };
+    const sections = [
+      ['Self-updates', '~', plan.selfUpdates.map(describe)],
+      ['Missing', '+', plan.missing.map(describe)],
+      ['Outdated', '~', plan.outdated.map(describe)],
+      ['Extra (not removed without --prune)', '-', plan.extra],
+      ['Permission drift', '!', plan.drift.map(({ path, changes }) => `${path}: ${changes.join('; ')}`)],
+    ];
+    sections.forEach(([title, marker, lines]) => {
+      this.log(`  ${title}: ${lines.length}`);
+      lines.forEach((line) => this.log(`    ${marker} ${line}`));
+    });
+
+    const unknown = totals.unknownSizes > 0 ? ` (${totals.unknownSizes} size(s) unknown)` : '';
+    this.log(`  Total to download: ${formatBytes(totals.downloadBytes)} in ${totals.files} file(s)${unknown}`);
+  }
+
+  /**
+   * Report a fatal error on stderr.
+   * @param {Error} error - The error that ended the run.
+   * @param {object} [options] - Options.
+   * @param {boolean} [options.verbose=false] - Also print the stack trace.
+   * @returns {void}
+   */
+  error(error, { verbose = false } = {}) {
+    this.cleanup();
+    process.stderr.write(`\n❌ Error: ${error.message}\n`);
+    if (verbose) process.stderr.write(`${error.stack}\n`);
+  }
+
+  /**
+   * Print the closing line of a successful run, or the failure report and exit code of a failed one.
+   * @param {{ok: boolean, kind?: string, exitCode?: number, failures?: import('./launcher-error.js').FileFailure[]}} result - Run outcome.
+   * @returns {void}
+   */
+  summary(result) {
+    if (result.ok) {
+      this.log('\n✅ Launcher completed successfully!');
+      return;
+    }
+    const failures = result.failures ?? [];
+    if (failures.length > 0) {
+      this.log(`\n📋 Failure report: ${failures.length} file(s) failed`);
+      failures.forEach((failure) => this.reportFailure(failure));
+    }
+    this.log(`\n❌ Launcher failed (exit code ${result.exitCode}, ${result.kind})`);
+  }
+
+  /**
+   * Print one file of the failure report: its cause and each attempt made.
+   * @param {import('./launcher-error.js').FileFailure} failure - The failed file.
+   * @returns {void}
+   */
+  reportFailure(failure) {
+    const cause = FAILURE_CAUSES.get(failure.cause)?.(failure) ?? 'error';
+    this.log(`  ✗ ${failure.path ?? '(commit)'}: ${cause}, ${failure.attempts.length || 1} attempt(s)`);
+    if (failure.attempts.length === 0) {
+      this.log(`      ${failure.message}`);
+      return;
+    }
+    failure.attempts.forEach(({ url, error }) => this.log(`      ${url}: ${error}`));
   }
 
   /**
@@ -248,6 +373,7 @@ export default class ProgressDisplay {
         format: BAR_FORMAT,
         barCompleteChar: BAR_COMPLETE,
         barIncompleteChar: BAR_INCOMPLETE,
+        stream: this.output,
       },
       cliProgress.Presets.shades_grey
     );
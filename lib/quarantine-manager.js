@@ -0,0 +1,216 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+import fg from 'fast-glob';
+import { mkdir, readdir, readFile, rename, rm, stat, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+
+/** Quarantine root, relative to the install directory. Dot-prefixed so scans skip it. */
+const QUARANTINE_DIR = '.quarantine';
+const INDEX_FILE = 'index.json';
+const FILES_DIR = 'files';
+
+/**
+ * @typedef {Object} BatchIndex
+ * @property {string|null} createdAt - When the batch was created; null for a batch rebuilt from its files.
+ * @property {string[]} files - Paths relative to the install root that the batch holds.
+ * @property {string} [restoredAt] - Set once a restore has moved back everything it could; the
+ *   remaining files were in the way of files that now occupy their paths.
+ */
+
+/**
+ * Builds a filesystem-safe timestamp used to name quarantine batches.
+ * @param {Date} [date=new Date()] - Point in time to format.
+ * @returns {string} Timestamp such as "2024-01-31T12-00-00-000Z".
+ */
+const batchName = (date = new Date()) => date.toISOString().replace(/[:.]/g, '-');
+
+/**
+ * Checks whether a path exists without throwing.
+ * @param {string} absPath - Absolute path to test.
+ * @returns {Promise<boolean>} True if something exists at the path.
+ */
+const pathExists = (absPath) =>
+  stat(absPath).then(
+    () => true,
+    () => false
+  );
+
+/**
+ * Moves unwanted files into timestamped batches under `.quarantine/` and restores them on demand.
+ * Each batch keeps an `index.json` listing the relative paths it holds, so a restore is exact.
+ */
+export default class QuarantineManager {
+  /**
+   * @param {object} progressDisplay - Logger with a `.log(message)` method for status messages.
+   * @param {import('./file-manager.js').default} fileManager - Provides rootDir and path validation.
+   */
+  constructor(progressDisplay, fileManager) {
+    this.progress = progressDisplay;
+    this.fileManager = fileManager;
+  }
+
+  /**
+   * Absolute path of the quarantine root.
+   * @returns {string} Directory that holds all batches.
+   */
+  getQuarantineRoot() {
+    return join(this.fileManager.rootDir, QUARANTINE_DIR);
+  }
+
+  /**
+   * Moves the given files into a new quarantine batch.
+   * The batch index lists every file before any of them moves, so a batch cut short by a crash can
+   * still be restored; once the moves are done it is rewritten to list only the files that moved.
+   * Files that cannot be moved are reported and left in place.
+   * @param {string[]} relPaths - Paths relative to the install root.
+   * @returns {Promise<{batch: string|null, moved: string[], failed: Array<{path: string, error: string}>}>} Outcome of the move.
+   */
+  async quarantine(relPaths) {
+    if (relPaths.length === 0) return { batch: null, moved: [], failed: [] };
+
+    const batch = batchName();
+    const batchDir = join(this.getQuarantineRoot(), batch);
+    const filesDir = join(batchDir, FILES_DIR);
+    const createdAt = new Date().toISOString();
+
+    await mkdir(batchDir, { recursive: true });
+    await this.writeIndex(batchDir, { createdAt, files: relPaths });
+
+    const outcomes = await Promise.all(
+      relPaths.map(async (relPath) => {
+        try {
+          const src = this.fileManager.toSafeAbsPath(relPath);
+          const dest = join(filesDir, relPath);
+          await mkdir(dirname(dest), { recursive: true });
+          await rename(src, dest);
+          return { path: relPath, ok: true };
+        } catch (err) {
+          return { path: relPath, ok: false, error: err.message };
+        }
+      })
+    );
+
+    const moved = outcomes.filter((o) => o.ok).map((o) => o.path);
+    const failed = outcomes.filter((o) => !o.ok).map(({ path, error }) => ({ path, error }));
+
+    if (moved.length > 0) {
+      await this.writeIndex(batchDir, { createdAt, files: moved });
+    } else {
+      await rm(batchDir, { recursive: true, force: true });
+    }
+
+    return { batch: moved.length > 0 ? batch : null, moved, failed };
+  }
+
+  /**
+   * Lists existing quarantine batches, oldest first.
+   * @returns {Promise<string[]>} Batch directory names.
+   */
+  async listBatches() {
+    try {
+      const entries = await readdir(this.getQuarantineRoot(), { withFileTypes: true });
+      return entries
+        .filter((e) => e.isDirectory())
+        .map((e) => e.name)
+        .sort();
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Reads a batch index. A batch without one (left by a prune that was cut short before the index
+   * was written first) is described by the files it holds.
+   * @param {string} batchDir - Absolute path of the batch.
+   * @returns {Promise<BatchIndex>} The batch index.
+   */
+  async readIndex(batchDir) {
+    let index;
+    try {
+      index = JSON.parse(await readFile(join(batchDir, INDEX_FILE), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      const files = await fg('**/*', { cwd: join(batchDir, FILES_DIR), dot: true, onlyFiles: true, followSymbolicLinks: false });
+      return { createdAt: null, files: files.sort() };
+    }
+    return { ...index, files: Array.isArray(index.files) ? index.files : [] };
+  }
+
+  /**
+   * Writes a batch index through a temporary file, so an interrupted write never leaves it half written.
+   * @param {string} batchDir - Absolute path of the batch.
+   * @param {BatchIndex} index - Index to write.
+   * @returns {Promise<void>} Resolves once the index is in place.
+   */
+  async writeIndex(batchDir, index) {
+    const path = join(batchDir, INDEX_FILE);
+    await writeFile(`${path}.tmp`, JSON.stringify(index, null, 2));
+    await rename(`${path}.tmp`, path);
+  }
+
+  /**
+   * Finds the most recent batch that has not been restored yet. Batches whose restore left files
+   * behind because their paths were in use are skipped, so they do not hide older batches.
+   * @returns {Promise<{batch: string, index: BatchIndex}|null>} The batch and its index, or null if none is left.
+   */
+  async findLatestBatch() {
+    const batches = await this.listBatches();
+    const candidates = await Promise.all(batches.map(async (batch) => ({ batch, index: await this.readIndex(join(this.getQuarantineRoot(), batch)) })));
+    return candidates.findLast(({ index }) => !index.restoredAt) ?? null;
+  }
+
+  /**
+   * Moves one quarantined file back to its original location.
+   * @param {string} relPath - Path relative to the install root.
+   * @param {string} filesDir - Absolute path of the batch's files.
+   * @returns {Promise<{path: string, status: 'restored'|'conflict'|'missing'|'failed', error?: string}>} What happened
+   *   to the file: `missing` if the batch does not hold it, e.g. because the prune was cut short before it moved.
+   */
+  async restoreFile(relPath, filesDir) {
+    try {
+      const src = join(filesDir, relPath);
+      const dest = this.fileManager.toSafeAbsPath(relPath);
+      if (!(await pathExists(src))) return { path: relPath, status: 'missing' };
+      if (await pathExists(dest)) return { path: relPath, status: 'conflict' };
+      await mkdir(dirname(dest), { recursive: true });
+      await rename(src, dest);
+      return { path: relPath, status: 'restored' };
+    } catch (err) {
+      return { path: relPath, status: 'failed', error: err.message };
+    }
+  }
+
+  /**
+   * Restores the most recent quarantine batch to its original locations.
+   * Files whose original path is occupied again are kept in quarantine and reported as conflicts;
+   * the batch is then marked as restored, so the next restore moves on to the batch before it.
+   * Files that could not be moved are kept too, and the batch is tried again on the next restore.
+   * The index is rewritten after every restore to list only the files still in quarantine, and the
+   * batch directory is removed once none are left.
+   * @returns {Promise<{batch: string|null, restored: string[], conflicts: string[], failed: Array<{path: string, error: string}>}>}
+   *   Outcome of the restore.
+   */
+  async restoreLatest() {
+    const latest = await this.findLatestBatch();
+    if (!latest) return { batch: null, restored: [], conflicts: [], failed: [] };
+
+    const { batch, index } = latest;
+    const batchDir = join(this.getQuarantineRoot(), batch);
+    const filesDir = join(batchDir, FILES_DIR);
+    const outcomes = await Promise.all(index.files.map((relPath) => this.restoreFile(relPath, filesDir)));
+
+    const withStatus = (status) => outcomes.filter((o) => o.status === status);
+    const restored = withStatus('restored').map((o) => o.path);
+    const conflicts = withStatus('conflict').map((o) => o.path);
+    const failed = withStatus('failed').map(({ path, error }) => ({ path, error }));
+
+    const kept = [...conflicts, ...failed.map((f) => f.path)];
+    if (kept.length === 0) {
+      await rm(batchDir, { recursive: true, force: true });
+    } else {
+      const restoredAt = failed.length === 0 ? new Date().toISOString() : null;
+      await this.writeIndex(batchDir, { ...index, files: kept, ...(restoredAt ? { restoredAt } : {}) });
+    }
+
+    return { batch, restored, conflicts, failed };
+  }
+}
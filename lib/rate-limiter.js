@@ -0,0 +1,176 @@
+import { Transform } from 'node:stream';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+/** Rate suffixes, in bytes, as accepted by `max_download_rate`, `--limit-rate` and schedule windows. */
+const RATE_UNITS = new Map([
+  ['', 1],
+  ['k', 1024],
+  ['m', 1024 ** 2],
+  ['g', 1024 ** 3],
+]);
+/** A number with an optional K/M/G suffix, e.g. `500K`, `1.5M`, `2MB/s`. */
+const RATE_PATTERN = /^([\d.]+)\s*([kmg]?)(?:b|ib|b\/s|ib\/s)?$/i;
+/** A schedule window such as `08:00-18:00=512K`. */
+const WINDOW_PATTERN = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*=\s*(.+)$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * @typedef {Object} ScheduleWindow
+ * @property {number} start - Start of the window, in minutes after local midnight.
+ * @property {number} end - End of the window (exclusive); before `start` when the window spans midnight.
+ * @property {number} rate - Limit inside the window in bytes per second, 0 for unlimited.
+ */
+
+/**
+ * Converts `HH`/`MM` strings into minutes after midnight.
+ * @param {string} hours - Hours (0–23, or 24 with `00` minutes for the end of the day).
+ * @param {string} minutes - Minutes (0–59).
+ * @returns {number} Minutes after midnight.
+ * @throws {Error} If the time is out of range.
+ */
+const toMinutes = (hours, minutes) => {
+  const value = Number(hours) * 60 + Number(minutes);
+  if (Number(minutes) > 59 || value > MINUTES_PER_DAY) throw new Error(`Invalid time of day: ${hours}:${minutes}`);
+  return value;
+};
+
+/**
+ * Global token-bucket limit on download bandwidth, shared by every transfer that passes
+ * through `createThrottle`, so concurrent downloads split the rate between them.
+ *
+ * The bucket holds up to one second of traffic. The rate comes from the first schedule
+ * window containing the current local time, else from the default rate; 0 means unlimited.
+ */
+export default class RateLimiter {
+  /**
+   * @param {object} [options] - Optional settings.
+   * @param {number} [options.rate=0] - Default limit in bytes per second, 0 for unlimited.
+   * @param {ScheduleWindow[]} [options.schedule=[]] - Time-of-day windows with their own limits.
+   */
+  constructor({ rate = 0, schedule = [] } = {}) {
+    this.configure({ rate, schedule });
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+    /** Serializes token requests so concurrent transfers are served in order. */
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Parses a rate such as `500K`, `1.5M` or `2MB/s` into bytes per second (K = 1024).
+   * @param {string|number} value - Rate with an optional suffix; 0 means unlimited.
+   * @returns {number} Bytes per second.
+   * @throws {Error} If the value is not a rate.
+   */
+  static parseRate(value) {
+    const match = RATE_PATTERN.exec(String(value).trim());
+    if (!match || !Number.isFinite(Number(match[1]))) throw new Error(`Invalid download rate: ${value} (expected e.g. 500K or 2M)`);
+    return Math.floor(Number(match[1]) * RATE_UNITS.get(match[2].toLowerCase()));
+  }
+
+  /**
+   * Parses schedule windows such as `08:00-18:00=512K` or `22:00-06:00=0`.
+   * A window whose end is not after its start spans midnight.
+   * @param {string[]} entries - One window per entry.
+   * @returns {ScheduleWindow[]} Windows in the given order.
+   * @throws {Error} If an entry is malformed.
+   */
+  static parseSchedule(entries) {
+    return entries.map((entry) => {
+      const match = WINDOW_PATTERN.exec(entry.trim());
+      if (!match) throw new Error(`Invalid download schedule window: ${entry} (expected HH:MM-HH:MM=rate)`);
+      const [, startH, startM, endH, endM, rate] = match;
+      return { start: toMinutes(startH, startM), end: toMinutes(endH, endM), rate: RateLimiter.parseRate(rate) };
+    });
+  }
+
+  /**
+   * Formats a rate for log lines.
+   * @param {number} rate - Bytes per second.
+   * @returns {string} Rate such as `512 KB/s`, or `unlimited`.
+   */
+  static formatRate(rate) {
+    if (rate <= 0) return 'unlimited';
+    const [unit, size] = [...RATE_UNITS].reverse().find(([, bytes]) => rate >= bytes);
+    return `${Number((rate / size).toFixed(1))} ${unit.toUpperCase()}B/s`;
+  }
+
+  /**
+   * Replaces the default rate and the schedule. Takes effect for the next bytes requested.
+   * @param {object} options - New settings.
+   * @param {number} options.rate - Default limit in bytes per second, 0 for unlimited.
+   * @param {ScheduleWindow[]} [options.schedule=[]] - Time-of-day windows with their own limits.
+   * @returns {void}
+   */
+  configure({ rate, schedule = [] }) {
+    this.rate = Math.max(0, rate);
+    this.schedule = schedule;
+  }
+
+  /**
+   * Whether any limit can apply, now or later in the day.
+   * @returns {boolean} True if a default rate or a limited window is set.
+   */
+  isLimited() {
+    return this.rate > 0 || this.schedule.some((w) => w.rate > 0);
+  }
+
+  /**
+   * Returns the limit in force at a given time.
+   * @param {Date} [date=new Date()] - Point in time, read in local time.
+   * @returns {number} Bytes per second, 0 for unlimited.
+   */
+  rateAt(date = new Date()) {
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const window = this.schedule.find(({ start, end }) => (start < end ? minute >= start && minute < end : minute >= start || minute < end));
+    return window ? window.rate : this.rate;
+  }
+
+  /**
+   * Waits until `bytes` may be transferred under the current limit.
+   * Requests larger than the bucket are allowed and paid back by waiting longer.
+   * @param {number} bytes - Bytes about to be passed on.
+   * @returns {Promise<void>} Resolves when the bytes may go through.
+   */
+  take(bytes) {
+    const turn = this.queue.then(() => this.consume(bytes));
+    this.queue = turn;
+    return turn;
+  }
+
+  /**
+   * Refills the bucket for the time elapsed and takes `bytes` from it, sleeping off any deficit.
+   * @param {number} bytes - Bytes about to be passed on.
+   * @returns {Promise<void>} Resolves once the bucket has covered the bytes.
+   */
+  async consume(bytes) {
+    const now = Date.now();
+    const rate = this.rateAt(new Date(now));
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.lastRefill = now;
+    if (rate === 0) {
+      this.tokens = 0;
+      return;
+    }
+
+    this.tokens = Math.min(rate, this.tokens + elapsed * rate) - bytes;
+    if (this.tokens < 0) {
+      await sleep(Math.ceil((-this.tokens / rate) * 1000));
+    }
+  }
+
+  /**
+   * Creates a pass-through stream that holds back chunks until the limiter lets them through.
+   * @param {() => void} [onRelease] - Called after each chunk is released, e.g. to refresh a timeout.
+   * @returns {import('node:stream').Transform} Throttling stream.
+   */
+  createThrottle(onRelease) {
+    return new Transform({
+      transform: (chunk, _encoding, callback) => {
+        this.take(chunk.length).then(() => {
+          onRelease?.();
+          callback(null, chunk);
+        }, callback);
+      },
+    });
+  }
+}
@@ -1,50 +1,70 @@
-/* eslint-disable no-console, n/no-unsupported-features/node-builtins, security/detect-non-literal-fs-filename */
+/* eslint-disable no-console, security/detect-non-literal-fs-filename */
 import { createHash } from 'node:crypto';
-import { createReadStream, createWriteStream, existsSync } from 'node:fs';
+import { createReadStream, existsSync } from 'node:fs';
 import { rename, unlink } from 'node:fs/promises';
-import { Readable } from 'node:stream';
-import { finished } from 'node:stream/promises';
+import { join } from 'node:path';
+
+import Downloader from './downloader.js';
+import Keyring from './keyring.js';
+import LauncherError from './launcher-error.js';
+import LauncherHealth from './launcher-health.js';
 
 /**
  * Known self-managed files the launcher may update.
  */
 const APP_NAME = 'launcher.js';
 const CONFIG_NAME = 'config.ini';
+const KEYRING_NAME = 'keyring.json';
 const TARGETS = [
   { type: 'launcher', filename: APP_NAME },
   { type: 'config', filename: CONFIG_NAME },
+  { type: 'keyring', filename: KEYRING_NAME },
 ];
 
 /**
  * @typedef {Object} ManifestFile
  * @property {string} path - File path in the manifest.
  * @property {string} hash - Expected hex digest for the file contents.
+ * @property {string} algorithm - Hash algorithm of `hash`.
  *
  * @typedef {Object} Manifest
  * @property {ManifestFile[]} files - All tracked files.
  *
  * @typedef {Object} UpdateItem
  * @property {ManifestFile} entry - Matched manifest entry.
- * @property {string} path - Local filesystem path to update.
- * @property {('launcher'|'config')} type - Update target type.
+ * @property {string} path - Absolute local path to update, inside the launcher's directory.
+ * @property {('launcher'|'config'|'keyring')} type - Update target type.
+ * @property {string} [signedBy] - Key id that signed the manifest; decides what a shipped keyring may change.
  */
 
 /**
- * Handles updating the launcher binary and its config using entries from the manifest.
+ * Handles updating the launcher binary, its config and the trusted keyring using entries from the manifest.
  * - Detects whether the local copy differs by comparing content hashes.
- * - Downloads replacements atomically (config) or stages them for restart (launcher).
+ * - Downloads replacements atomically (config, keyring) or stages them for restart (launcher).
+ * - Merges a shipped keyring into the local one instead of overwriting it (see `Keyring.mergeShipped`).
+ * - Skips launcher builds that were rolled back after failing their health check (see `LauncherHealth`).
  */
 export default class SelfUpdater {
   /**
    * @param {object} [progressDisplay] - Optional progress logger.
    * Supported methods used if present: `log(message)`, `startFileDownload(filename)`,
-   * `updateFileProgress(percent, filename)`, and `finishFileDownload()`.
+   * `updateFileProgress(percent, filename)`, `finishFileDownload(filename)` and `failFileDownload(filename, message, failure)`.
+   * @param {object} [options] - Optional settings.
+   * @param {typeof fetch} [options.fetch] - Fetch implementation for downloads.
+   * @param {string} [options.appDir=process.cwd()] - The launcher's own directory, which holds the self-managed files.
+   * @param {import('./rate-limiter.js').default} [options.rateLimiter] - Bandwidth limit shared with content downloads.
    */
-  constructor(progressDisplay) {
+  constructor(progressDisplay, { fetch: fetchImpl, appDir = process.cwd(), rateLimiter } = {}) {
     /** @private */
     this.needsRestartFlag = false;
     /** @private */
     this.progress = progressDisplay || null;
+    /** @private */
+    this.downloader = new Downloader({ fetch: fetchImpl, rateLimiter });
+    /** @private */
+    this.appDir = appDir;
+    /** @private */
+    this.health = new LauncherHealth({ log: (message) => this.report(message) }, appDir);
   }
 
   // ------------------------
@@ -86,13 +106,24 @@ export default class SelfUpdater {
     }
   }
 
+  /**
+   * Tell the progress display that a file could not be updated, if it tracks failures.
+   * @param {import('./launcher-error.js').FileFailure} failure - Why the file failed.
+   */
+  reportFileFailure(failure) {
+    if (this.progress && typeof this.progress.failFileDownload === 'function') {
+      this.progress.failFileDownload(failure.path, failure.message, failure);
+    }
+  }
+
   /**
    * Determine which self-managed files need an update by comparing hashes.
+   * Local files are hashed with the algorithm of their manifest entry. A launcher build that was
+   * rolled back earlier is left out, and so is a keyring the local one was already merged from.
    * @param {Manifest} manifest - Parsed manifest with file list.
-   * @param {NodeJS.HashAlgorithm} hashAlgorithm - Algorithm used to hash local files (e.g. 'sha256').
    * @returns {Promise<UpdateItem[]>} Items that require download or replacement.
    */
-  async checkForUpdates(manifest, hashAlgorithm) {
+  async checkForUpdates(manifest) {
     const files = manifest?.files ?? [];
 
     const planned = await Promise.all(
@@ -100,15 +131,82 @@ export default class SelfUpdater {
         const entry = files.find((f) => f.path === filename);
         if (!entry) return null; // Not present in manifest
 
-        const localPath = filename; // literal path, no dynamic indexing
-        const needsUpdate = await this.fileNeedsUpdate(localPath, entry.hash, hashAlgorithm);
-        return needsUpdate ? { entry, path: localPath, type } : null;
+        const localPath = join(this.appDir, filename); // literal name, no dynamic indexing
+        const needsUpdate = await this.fileNeedsUpdate(localPath, entry.hash, entry.algorithm);
+        if (!needsUpdate || (type === 'launcher' && (await this.isRejectedLauncher(entry)))) return null;
+        if (type === 'keyring' && (await this.isMergedKeyring(localPath, entry))) return null;
+        return { entry, path: localPath, type, signedBy: manifest.signature?.keyId };
       })
     );
 
     return planned.filter(Boolean);
   }
 
+  /**
+   * Tells whether a manifest path is one of the self-managed files, which content updates leave alone.
+   * @param {string} path - File path in the manifest.
+   * @returns {boolean} True if `selfUpdate` owns the file.
+   */
+  manages(path) {
+    return TARGETS.some(({ filename }) => filename === path);
+  }
+
+  /**
+   * Checks whether a launcher build was rolled back earlier, and says so.
+   * @param {ManifestFile} entry - Manifest entry of the launcher.
+   * @returns {Promise<boolean>} True if the build must not be staged again.
+   */
+  async isRejectedLauncher(entry) {
+    const rejection = await this.health.findRejection(entry);
+    if (!rejection) return false;
+    this.report(`⚠ Not updating ${entry.path}: this build was rolled back on ${rejection.rejectedAt} (${rejection.reason})`);
+    return true;
+  }
+
+  /**
+   * Checks whether the local keyring was already merged from the keyring a manifest ships. The merged
+   * file differs from the shipped one, so its hash alone would fetch and merge it again on every run.
+   * @param {string} localPath - Path to the local keyring.
+   * @param {ManifestFile} entry - Manifest entry of the keyring.
+   * @returns {Promise<boolean>} True if there is nothing new to merge.
+   */
+  async isMergedKeyring(localPath, entry) {
+    const local = new Keyring(localPath);
+    try {
+      await local.load();
+    } catch {
+      return false;
+    }
+    return local.shipped?.hash === entry.hash && local.shipped.algorithm === entry.algorithm;
+  }
+
+  /**
+   * Merges a downloaded keyring into the local one and leaves the result in place of the download,
+   * marked with the shipped keyring's digest. Changes the merge refuses are reported.
+   * @param {string} localPath - Path to the local keyring.
+   * @param {string} tempPath - Downloaded keyring, rewritten with the merge result.
+   * @param {ManifestFile} entry - Manifest entry of the keyring.
+   * @param {string|undefined} signedBy - Key id that signed the manifest.
+   * @returns {Promise<void>} Resolves once the merged keyring is written.
+   * @throws {Error} If either keyring is not valid.
+   */
+  async mergeKeyring(localPath, tempPath, entry, signedBy) {
+    const local = new Keyring(localPath);
+    await local.load();
+    const merged = new Keyring(tempPath);
+    await merged.load();
+
+    const { keys, refused } = local.mergeShipped(merged.keys, signedBy);
+    if (refused.length > 0) {
+      this.report(
+        `⚠ Keyring update: refused ${refused.join(', ')}. Revocations are permanent, and only a different key that is still trusted (this manifest: ${signedBy}) may add or change keys`
+      );
+    }
+    merged.keys = keys;
+    merged.shipped = { hash: entry.hash, algorithm: entry.algorithm };
+    await merged.save();
+  }
+
   /**
    * Check if a local file is missing or has a mismatching content hash.
    * @param {string} filePath - Path to the local file.
@@ -150,21 +248,21 @@ export default class SelfUpdater {
   /**
    * Download and apply updates for the given targets.
    * - Launcher is staged to <file>.new and requires a restart to take effect.
-   * - Config is replaced atomically with a backup.
+   * - Config and keyring are replaced atomically with a backup; a keyring is first merged into the local
+   *   one, and applies from the next run.
    * @param {UpdateItem[]} updates - Planned updates from {@link checkForUpdates}.
-   * @param {string} baseUrl - CDN base URL from the manifest (must include trailing slash if required).
+   * @param {import('./mirror-pool.js').default} mirrors - Mirrors to download from, with retry and failover.
    * @param {number} timeoutMs - Per-download timeout in milliseconds.
-   * @param {NodeJS.HashAlgorithm} [hashAlgorithm='sha256'] - Algorithm used to verify downloaded content.
-   * @returns {Promise<void>} Resolves when all downloads have either succeeded or failed.
+   * @returns {Promise<import('./launcher-error.js').FileFailure[]>} Resolves when all downloads have either
+   *   succeeded or failed, with the files that failed.
    */
-  async performUpdates(updates, baseUrl, timeoutMs, hashAlgorithm = 'sha256') {
-    if (!updates.length) return;
+  async performUpdates(updates, mirrors, timeoutMs) {
+    if (!updates.length) return [];
 
     this.report(`Updating ${updates.length} system file(s)...`);
 
-    await Promise.all(
-      updates.map(async ({ entry, path, type }) => {
-        const fileUrl = `${baseUrl}${entry.path}`;
+    const results = await Promise.all(
+      updates.map(async ({ entry, path, type, signedBy }) => {
         const tempPath = `${path}.new`;
 
         const hasFileProgress = Boolean(
@@ -181,131 +279,72 @@ export default class SelfUpdater {
         }
 
         try {
-          await this.downloadFile(fileUrl, tempPath, {
-            expectedHash: entry.hash,
-            timeoutMs,
-            hashAlgorithm,
-            onProgress: (percentage) => {
-              if (hasFileProgress) {
-                this.progress.updateFileProgress(percentage, entry.path);
-                return;
-              }
-              if (percentage % 25 === 0) {
-                this.reportInline(`
+          await mirrors.run(entry.path, (fileUrl) =>
+            this.downloadFile(fileUrl, tempPath, {
+              expectedHash: entry.hash,
+              expectedSize: entry.size,
+              timeoutMs,
+              hashAlgorithm: entry.algorithm,
+              onProgress: (percentage) => {
+                if (hasFileProgress) {
+                  this.progress.updateFileProgress(percentage, entry.path);
+                  return;
+                }
+                if (percentage % 25 === 0) {
+                  this.reportInline(`
   Progress: ${percentage}%`);
-              }
-            },
-          });
+                }
+              },
+            })
+          );
 
           if (hasFileProgress) {
-            this.progress.finishFileDownload();
+            this.progress.finishFileDownload(entry.path);
           } else {
             this.report(''); // New line after inline progress
           }
 
           if (type === 'launcher') {
+            await this.health.recordStaged(entry);
             this.needsRestartFlag = true;
             this.report(`✓ Staged launcher update -> ${tempPath}`);
           } else {
+            if (type === 'keyring') await this.mergeKeyring(path, tempPath, entry, signedBy);
             await this.atomicReplace(path, tempPath);
             this.report(`✓ Updated ${type}: ${entry.path}`);
           }
+          return null;
         } catch (error) {
+          const failure = LauncherError.describeFailure(entry.path, error);
           this.reportError(`❌ Failed to update ${type}: ${error.message}`);
+          this.reportFileFailure(failure);
           // Best-effort cleanup of any partial file.
           try {
             await unlink(tempPath);
           } catch {}
+          return failure;
         }
       })
     );
+    return results.filter(Boolean);
   }
 
   /**
    * Download a file to disk with optional hash verification and basic progress reporting.
+   * Interrupted transfers are kept as `<file>.part` and resumed on the next attempt.
+   * The shared rate limit, if any, applies here as well.
    * @param {string} url - Absolute URL to download.
    * @param {string} outputPath - Destination path on disk.
    * @param {Object} options - Extra download options.
    * @param {string} [options.expectedHash] - Optional expected hex digest to verify.
+   * @param {number} [options.expectedSize] - Declared size in bytes; other lengths are rejected.
    * @param {number} options.timeoutMs - Abort the request after this many milliseconds.
    * @param {(percent:number)=>void} [options.onProgress] - Called with 0–100 as bytes stream in.
    * @param {NodeJS.HashAlgorithm} [options.hashAlgorithm='sha256'] - Algorithm used for verification.
    * @returns {Promise<void>} Resolves when the file is fully written and verified.
    */
-  async downloadFile(url, outputPath, { expectedHash, timeoutMs, onProgress, hashAlgorithm = 'sha256' }) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), timeoutMs);
-
-    try {
-      const response = await fetch(url, { signal: controller.signal });
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const total = parseInt(response.headers.get('content-length') || '0', 10);
-      const readable = this.normalizeStream(response.body);
-      if (!readable) throw new Error('Response body is not readable');
-
-      // Track progress when total length is known.
-      if (total > 0 && onProgress) {
-        let downloaded = 0;
-        readable.on('data', (chunk) => {
-          downloaded += chunk.length;
-          const percentage = Math.round((downloaded / total) * 100);
-          onProgress(Math.max(0, Math.min(100, percentage)));
-        });
-      }
-
-      // Pipe to disk and wait for completion.
-      const writeStream = createWriteStream(outputPath);
-      readable.pipe(writeStream);
-      await finished(writeStream);
-
-      // Optional integrity check.
-      if (expectedHash) {
-        const actualHash = await this.computeFileHash(outputPath, hashAlgorithm);
-        if (actualHash !== expectedHash) {
-          throw new Error(`Hash mismatch. Expected ${expectedHash}, got ${actualHash}`);
-        }
-      }
-    } finally {
-      clearTimeout(timeout);
-    }
-  }
-
-  /**
-   * Normalize a Web/Fetch stream or Node stream into a Node Readable.
-   * @param {unknown} body - Response body from fetch.
-   * @returns {Readable|null} A readable stream, or null if not supported.
-   */
-  normalizeStream(body) {
-    if (!body) return null;
-
-    // Web Streams API
-    if (typeof body.getReader === 'function') {
-      if (typeof Readable.fromWeb === 'function') {
-        return Readable.fromWeb(body);
-      }
-
-      // Fallback for older Node.js versions: wrap an async iterator.
-      const reader = body.getReader();
-      const iterator = {
-        next() {
-          return reader.read();
-        },
-        [Symbol.asyncIterator]() {
-          return this;
-        },
-      };
-      return Readable.from(iterator);
-    }
-
-    // Node.js streams
-    if (typeof body.on === 'function') {
-      return body;
-    }
-
-    return null;
+  downloadFile(url, outputPath, { expectedHash, expectedSize, timeoutMs, onProgress, hashAlgorithm = 'sha256' }) {
+    return this.downloader.download(url, outputPath, { expectedHash, hashAlgorithm, expectedSize, timeoutMs, onProgress });
   }
 
   /**
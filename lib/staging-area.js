@@ -0,0 +1,294 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+import { mkdir, open, readFile, rename, rm, stat } from 'node:fs/promises';
+import { dirname, join, relative } from 'node:path';
+
+/** Staging root, relative to the install directory. Dot-prefixed so scans skip it. */
+const STAGING_DIR = '.staging';
+/** New versions of files, waiting to be committed. */
+const FILES_DIR = 'files';
+/** Live files replaced by the commit in progress, kept until it completes. */
+const BACKUP_DIR = 'backup';
+const JOURNAL_FILE = 'journal.json';
+const JOURNAL_SCHEMA = 1;
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} path - Path relative to the install root.
+ * @property {boolean} existed - Whether a live file was replaced (and backed up) rather than added.
+ *
+ * @typedef {Object} Journal
+ * @property {number} schema - Journal format version.
+ * @property {string} startedAt - ISO time the commit started.
+ * @property {JournalEntry[]} files - Files the commit moves into place.
+ */
+
+/**
+ * Checks whether a path exists without throwing.
+ * @param {string} absPath - Absolute path to test.
+ * @returns {Promise<boolean>} True if something exists at the path.
+ */
+const pathExists = (absPath) =>
+  stat(absPath).then(
+    () => true,
+    () => false
+  );
+
+/**
+ * Applies content updates as one transaction, so the install is always either the old
+ * version or the new one.
+ *
+ * Updates are downloaded into `.staging/files/` and verified there while the live files stay
+ * untouched. Only when every file is staged does `commit` write a journal to
+ * `.staging/journal.json` and rename the staged files into place, moving each replaced file to
+ * `.staging/backup/` first. If a rename fails, the files already moved are put back. If the
+ * launcher dies mid-commit, `recover` finds the journal on the next start and finishes the
+ * commit, or rolls it back when that is not possible.
+ *
+ * Staged files survive an aborted run, so the next run reuses the ones still wanted and resumes
+ * partial downloads.
+ */
+export default class StagingArea {
+  /**
+   * @param {object} progressDisplay - Logger with a `.log(message)` method for status messages.
+   * @param {import('./file-manager.js').default} fileManager - Provides rootDir, path validation and hashing.
+   */
+  constructor(progressDisplay, fileManager) {
+    this.progress = progressDisplay;
+    this.fileManager = fileManager;
+  }
+
+  /**
+   * Absolute path of the staging root.
+   * @returns {string} Directory that holds staged files, backups and the journal.
+   */
+  getRoot() {
+    return join(this.fileManager.rootDir, STAGING_DIR);
+  }
+
+  /**
+   * Where the new version of a file is staged.
+   * @param {string} relPath - Path relative to the install root.
+   * @returns {string} Absolute staging path.
+   * @throws {Error} If the path escapes the install root.
+   */
+  toStagedPath(relPath) {
+    return join(this.getRoot(), FILES_DIR, relative(this.fileManager.rootDir, this.fileManager.toSafeAbsPath(relPath)));
+  }
+
+  /**
+   * Where the live version of a file is kept while a commit runs.
+   * @param {string} relPath - Path relative to the install root.
+   * @returns {string} Absolute backup path.
+   * @throws {Error} If the path escapes the install root.
+   */
+  toBackupPath(relPath) {
+    return join(this.getRoot(), BACKUP_DIR, relative(this.fileManager.rootDir, this.fileManager.toSafeAbsPath(relPath)));
+  }
+
+  /**
+   * Checks whether a file staged by an earlier run already has the wanted content.
+   * @param {string} relPath - Path relative to the install root.
+   * @param {string} hash - Expected hex digest.
+   * @param {string} algorithm - Hash algorithm of `hash`.
+   * @returns {Promise<boolean>} True if the staged file can be committed as it is.
+   */
+  async isStaged(relPath, hash, algorithm) {
+    const staged = this.toStagedPath(relPath);
+    if (!(await pathExists(staged))) return false;
+    try {
+      return (await this.fileManager.computeFileHash(staged, algorithm)) === hash;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Counts the bytes an earlier run left for a file: its staged copy and any partial download.
+   * @param {string} relPath - Path relative to the install root.
+   * @returns {Promise<number>} Bytes on disk, 0 if nothing is staged.
+   */
+  async stagedBytes(relPath) {
+    const staged = this.toStagedPath(relPath);
+    const sizes = await Promise.all(
+      [staged, `${staged}.part`].map((absPath) =>
+        stat(absPath).then(
+          ({ size }) => size,
+          () => 0
+        )
+      )
+    );
+    return sizes.reduce((sum, size) => sum + size, 0);
+  }
+
+  /**
+   * Removes whatever an earlier run left at a file's staging path, so it can be staged afresh.
+   * Partial downloads (`.part`) are kept for resuming.
+   * @param {string} relPath - Path relative to the install root.
+   * @returns {Promise<void>} Resolves once the path is free.
+   */
+  discard(relPath) {
+    return rm(this.toStagedPath(relPath), { recursive: true, force: true });
+  }
+
+  /**
+   * Moves staged files into the install as one transaction, then clears the staging area.
+   * @param {string[]} relPaths - Staged files, relative to the install root.
+   * @returns {Promise<void>} Resolves once every file is in place.
+   * @throws {Error} If a file could not be moved; the install is rolled back to its previous state first.
+   *   The error's `file` names the file that could not be moved.
+   */
+  async commit(relPaths) {
+    const files = await Promise.all(relPaths.map(async (path) => ({ path, existed: await pathExists(this.fileManager.toSafeAbsPath(path)) })));
+    await this.writeJournal({ schema: JOURNAL_SCHEMA, startedAt: new Date().toISOString(), files });
+
+    try {
+      await this.applyJournal(files);
+    } catch (err) {
+      await this.rollBack(files);
+      await rm(join(this.getRoot(), JOURNAL_FILE), { force: true });
+      throw Object.assign(new Error(`Commit failed, previous files restored: ${err.message}`, { cause: err }), { file: err.file });
+    }
+    await this.clear();
+  }
+
+  /**
+   * Finishes or undoes a commit interrupted by a crash, using the journal it left behind.
+   * @returns {Promise<'none'|'committed'|'rolled-back'>} What was found and done.
+   */
+  async recover() {
+    const journal = await this.readJournal();
+    if (!journal) return 'none';
+
+    const { files } = journal;
+    this.progress.log(`⚠ Found an interrupted update from ${journal.startedAt} (${files.length} file(s)); finishing it`);
+    try {
+      await this.applyJournal(files);
+      this.progress.log('✓ Interrupted update completed');
+      await this.clear();
+      return 'committed';
+    } catch (err) {
+      this.progress.log(`⚠ Could not complete it (${err.message}); rolling back`);
+      await this.rollBack(files);
+      await rm(join(this.getRoot(), JOURNAL_FILE), { force: true });
+      this.progress.log('↩ Previous files restored');
+      return 'rolled-back';
+    }
+  }
+
+  /**
+   * Checks for a journal without acting on it, e.g. for a dry run.
+   * @returns {Promise<boolean>} True if a commit was interrupted.
+   */
+  hasPendingCommit() {
+    return pathExists(join(this.getRoot(), JOURNAL_FILE));
+  }
+
+  /**
+   * Moves every journaled file into place, one at a time. Safe to repeat: files whose staged
+   * copy is gone were moved already.
+   * @param {JournalEntry[]} files - Journal entries.
+   * @returns {Promise<void>} Resolves once all files are in place.
+   * @throws {Error} The first failure, with `file` set to the entry that could not be moved.
+   */
+  async applyJournal(files) {
+    await files.reduce(async (prev, entry) => {
+      await prev;
+      try {
+        await this.moveIntoPlace(entry);
+      } catch (err) {
+        throw Object.assign(err, { file: entry.path });
+      }
+    }, Promise.resolve());
+  }
+
+  /**
+   * Backs up the live file, if any, and renames the staged file over it.
+   * @param {JournalEntry} entry - Journal entry.
+   * @returns {Promise<void>} Resolves once the staged file is live.
+   */
+  async moveIntoPlace({ path, existed }) {
+    const staged = this.toStagedPath(path);
+    if (!(await pathExists(staged))) return;
+
+    const live = this.fileManager.toSafeAbsPath(path);
+    const backup = this.toBackupPath(path);
+    if (existed && !(await pathExists(backup)) && (await pathExists(live))) {
+      await mkdir(dirname(backup), { recursive: true });
+      await rename(live, backup);
+    }
+    await mkdir(dirname(live), { recursive: true });
+    await rename(staged, live);
+  }
+
+  /**
+   * Undoes a partial commit: new files go back to staging so a retry can reuse them, and the
+   * backups return to their places. A live file is only moved aside when it is known to be new:
+   * it was added by the commit, or its backup exists. Keeps going past errors and logs them.
+   * @param {JournalEntry[]} files - Journal entries.
+   * @returns {Promise<void>} Resolves once every file has been tried.
+   */
+  async rollBack(files) {
+    await [...files].reverse().reduce(async (prev, { path, existed }) => {
+      await prev;
+      const live = this.fileManager.toSafeAbsPath(path);
+      const staged = this.toStagedPath(path);
+      const backup = this.toBackupPath(path);
+      try {
+        const hasBackup = await pathExists(backup);
+        if ((hasBackup || !existed) && !(await pathExists(staged)) && (await pathExists(live))) {
+          await mkdir(dirname(staged), { recursive: true });
+          await rename(live, staged);
+        }
+        if (hasBackup) await rename(backup, live);
+      } catch (err) {
+        this.progress.log(`❌ Could not roll back ${path}: ${err.message}`);
+      }
+    }, Promise.resolve());
+  }
+
+  /**
+   * Writes the journal durably before any live file is touched.
+   * @param {Journal} journal - Journal to write.
+   * @returns {Promise<void>} Resolves once the journal is on disk.
+   */
+  async writeJournal(journal) {
+    const path = join(this.getRoot(), JOURNAL_FILE);
+    const tmp = `${path}.tmp`;
+    await mkdir(this.getRoot(), { recursive: true });
+    const handle = await open(tmp, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(journal, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await rename(tmp, path);
+  }
+
+  /**
+   * Reads the journal of an interrupted commit.
+   * @returns {Promise<Journal|null>} The journal, or null if there is none or it is unusable.
+   */
+  async readJournal() {
+    let journal;
+    try {
+      journal = JSON.parse(await readFile(join(this.getRoot(), JOURNAL_FILE), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') this.progress.log(`⚠ Ignoring unreadable update journal: ${err.message}`);
+      return null;
+    }
+    if (journal?.schema !== JOURNAL_SCHEMA || !Array.isArray(journal.files)) {
+      this.progress.log('⚠ Ignoring update journal with an unknown format');
+      return null;
+    }
+    return journal;
+  }
+
+  /**
+   * Removes staged files, backups and the journal.
+   * @returns {Promise<void>} Resolves once the staging area is gone.
+   */
+  clear() {
+    return rm(this.getRoot(), { recursive: true, force: true });
+  }
+}
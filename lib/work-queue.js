@@ -0,0 +1,45 @@
+/**
+ * Runs jobs from one shared queue on a fixed number of workers. Each worker takes the next
+ * job as soon as it finishes its current one, so a few large jobs never leave the other
+ * workers idle the way fixed, pre-split chunks do.
+ */
+export default class WorkQueue {
+  /**
+   * @param {number} [concurrency=4] - Number of jobs running at the same time.
+   */
+  constructor(concurrency = 4) {
+    this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+  }
+
+  /**
+   * Runs `worker` for every item, at most `concurrency` at a time, in queue order.
+   * A rejected job rejects the run once the running jobs have settled; callers that must
+   * process every item handle errors inside `worker`.
+   * @template T, R
+   * @param {T[]} items - Jobs in the order they should start.
+   * @param {(item: T, index: number) => Promise<R>} worker - Processes one job.
+   * @returns {Promise<R[]>} Results in the order of `items`.
+   */
+  async run(items, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+
+    const drain = async () => {
+      if (next >= items.length || failure) return;
+      const index = next;
+      next += 1;
+      try {
+        results.splice(index, 1, await worker(items.at(index), index));
+      } catch (err) {
+        failure ??= err;
+        return;
+      }
+      await drain();
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, drain));
+    if (failure) throw failure;
+    return results;
+  }
+}
@@ -0,0 +1,186 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { once } from 'node:events';
+import { mkdtemp, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { gzipSync } from 'node:zlib';
+
+import Downloader from '../lib/downloader.js';
+
+/** Repetitive body that compresses well, so its gzip length is far from its real length. */
+const BODY = Buffer.from('0123456789abcdef'.repeat(4096));
+const BODY_HASH = createHash('sha256').update(BODY).digest('hex');
+
+/**
+ * Starts a server on a free port.
+ * @param {import('node:http').RequestListener} handler - Request handler.
+ * @returns {Promise<{server: import('node:http').Server, url: string}>} The server and its base URL.
+ */
+const listen = async (handler) => {
+  const server = createServer(handler);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+/**
+ * Answers with the gzipped body whenever the request accepts gzip, as CDNs that compress on the fly do.
+ * With `always`, the body is gzipped even when the request asks for identity.
+ * @param {{always?: boolean}} [options] - Optional settings.
+ * @returns {import('node:http').RequestListener} Request handler.
+ */
+const gzipOnTheFly =
+  ({ always = false } = {}) =>
+  (req, res) => {
+    if (!always && !/gzip/.test(req.headers['accept-encoding'] ?? '')) {
+      res.writeHead(200, { 'Content-Length': BODY.length, ETag: '"v1"' });
+      res.end(BODY);
+      return;
+    }
+    const gz = gzipSync(BODY);
+    res.writeHead(200, { 'Content-Encoding': 'gzip', 'Content-Length': gz.length, ETag: '"v1"' });
+    res.end(gz);
+  };
+
+describe('Downloader encoding handling', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'downloader-'));
+  });
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('asks for identity encoding so a CDN that compresses on the fly announces the real size', async () => {
+    const { server, url } = await listen(gzipOnTheFly());
+    try {
+      const out = join(dir, 'identity.bin');
+      await new Downloader().download(`${url}/file`, out, { expectedHash: BODY_HASH, expectedSize: BODY.length, timeoutMs: 5000 });
+      assert.deepEqual(await readFile(out), BODY);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('ignores the compressed Content-Length of a body the server encodes anyway', async () => {
+    const { server, url } = await listen(gzipOnTheFly({ always: true }));
+    try {
+      const out = join(dir, 'forced.bin');
+      await new Downloader().download(`${url}/file`, out, { expectedHash: BODY_HASH, expectedSize: BODY.length, timeoutMs: 5000 });
+      assert.deepEqual(await readFile(out), BODY);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+/**
+ * Serves BODY with ETag "v1", answering range requests with 206. With `gzipRanges`, the partial
+ * content is gzipped even though identity encoding was requested.
+ * @param {object[]} requests - Receives the headers of every request.
+ * @param {{gzipRanges?: boolean}} [options] - Optional settings.
+ * @returns {import('node:http').RequestListener} Request handler.
+ */
+const rangeServer =
+  (requests, { gzipRanges = false } = {}) =>
+  (req, res) => {
+    requests.push(req.headers);
+    const match = /^bytes=(\d+)-$/.exec(req.headers.range ?? '');
+    if (!match || req.headers['if-range'] !== '"v1"') {
+      res.writeHead(200, { 'Content-Length': BODY.length, ETag: '"v1"' });
+      res.end(BODY);
+      return;
+    }
+    const start = Number(match[1]);
+    const part = BODY.subarray(start);
+    const body = gzipRanges ? gzipSync(part) : part;
+    res.writeHead(206, {
+      'Content-Range': `bytes ${start}-${BODY.length - 1}/${BODY.length}`,
+      'Content-Length': body.length,
+      ETag: '"v1"',
+      ...(gzipRanges ? { 'Content-Encoding': 'gzip' } : {}),
+    });
+    res.end(body);
+  };
+
+/**
+ * Leaves the first `bytes` of BODY as an interrupted download of `out`.
+ * @param {string} out - Final destination path.
+ * @param {number} bytes - Bytes already downloaded.
+ * @returns {Promise<void>} Resolves once the partial and its sidecar are written.
+ */
+const writePartial = async (out, bytes) => {
+  await writeFile(`${out}.part`, BODY.subarray(0, bytes));
+  await writeFile(`${out}.part.json`, JSON.stringify({ expectedHash: BODY_HASH, etag: '"v1"', lastModified: null }));
+};
+
+describe('Downloader resume', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'downloader-'));
+  });
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('resumes a partial download with Range, If-Range and identity encoding', async () => {
+    const requests = [];
+    const { server, url } = await listen(rangeServer(requests));
+    try {
+      const out = join(dir, 'resume.bin');
+      await writePartial(out, 1000);
+      await new Downloader().download(`${url}/file`, out, { expectedHash: BODY_HASH, expectedSize: BODY.length, timeoutMs: 5000 });
+
+      assert.deepEqual(await readFile(out), BODY);
+      assert.equal(requests.length, 1);
+      assert.equal(requests[0].range, 'bytes=1000-');
+      assert.equal(requests[0]['if-range'], '"v1"');
+      // fetch adds its own identity value to range requests, so only check that nothing else is accepted.
+      assert.match(requests[0]['accept-encoding'], /^identity(, identity)*$/);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('discards the partial when the server compresses the range anyway', async () => {
+    const requests = [];
+    const { server, url } = await listen(rangeServer(requests, { gzipRanges: true }));
+    try {
+      const out = join(dir, 'encoded-range.bin');
+      await writePartial(out, 1000);
+      const downloader = new Downloader();
+      const options = { expectedHash: BODY_HASH, expectedSize: BODY.length, timeoutMs: 5000 };
+
+      await assert.rejects(downloader.download(`${url}/file`, out, options), /partial download discarded/);
+      await assert.rejects(stat(`${out}.part`), { code: 'ENOENT' });
+
+      await downloader.download(`${url}/file`, out, options);
+      assert.deepEqual(await readFile(out), BODY);
+      assert.equal(requests[1].range, undefined);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('restarts from byte zero when the validator no longer matches', async () => {
+    const requests = [];
+    const { server, url } = await listen(rangeServer(requests));
+    try {
+      const out = join(dir, 'changed.bin');
+      await writePartial(out, 1000);
+      await writeFile(`${out}.part.json`, JSON.stringify({ expectedHash: BODY_HASH, etag: '"v0"', lastModified: null }));
+      await new Downloader().download(`${url}/file`, out, { expectedHash: BODY_HASH, timeoutMs: 5000 });
+
+      assert.deepEqual(await readFile(out), BODY);
+      assert.equal(requests[0]['if-range'], '"v0"');
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,72 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import InstallState from '../lib/install-state.js';
+
+describe('InstallState', () => {
+  let dir;
+  let statePath;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'install-state-'));
+    statePath = join(dir, '.launcher-state.json');
+  });
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('starts empty without an error when there is no state file', async () => {
+    const state = new InstallState(dir);
+    await state.load();
+    assert.equal(state.loadError, null);
+    assert.equal(state.getHighestSequence(), null);
+  });
+
+  it('keeps the sequences of a saved state', async () => {
+    const state = new InstallState(dir);
+    await state.load();
+    await state.setHighestSequence(42);
+    await state.setIndexSequence(7);
+    await state.save();
+
+    const reloaded = new InstallState(dir);
+    await reloaded.load();
+    assert.equal(reloaded.loadError, null);
+    assert.equal(reloaded.getHighestSequence(), 42);
+    assert.equal(reloaded.getIndexSequence(), 7);
+  });
+
+  it('reports a truncated state file and never overwrites it', async () => {
+    await writeFile(statePath, '{"schema":2,"channels":[["default",{"highestSequence":4');
+    const state = new InstallState(dir);
+    await state.load();
+    assert.match(state.loadError, /JSON/);
+
+    await state.setHighestSequence(1);
+    await state.save();
+    assert.match(await readFile(statePath, 'utf8'), /"highestSequence":4$/);
+  });
+
+  it('reports a state file whose sequences are not numbers', async () => {
+    await writeFile(statePath, JSON.stringify({ schema: 2, channels: [['default', { highestSequence: 'x' }]], files: [] }));
+    const state = new InstallState(dir);
+    await state.load();
+    assert.match(state.loadError, /invalid channel record/);
+  });
+
+  it('replaces an unreadable state file once it is discarded', async () => {
+    await writeFile(statePath, '{"schema":99}');
+    const state = new InstallState(dir);
+    await state.load();
+    assert.match(state.loadError, /unknown schema 99/);
+
+    state.discardUnreadable();
+    await state.setHighestSequence(5);
+    await state.save();
+    assert.equal(JSON.parse(await readFile(statePath, 'utf8')).schema, 2);
+  });
+});
@@ -0,0 +1,151 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'node:crypto';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import Keyring from '../lib/keyring.js';
+
+/**
+ * Creates a fresh Ed25519 public key.
+ * @returns {string} PEM-encoded public key.
+ */
+const newPublicKey = () => generateKeyPairSync('ed25519').publicKey.export({ type: 'spki', format: 'pem' });
+
+describe('Keyring.assertTrusted', () => {
+  const publicKeyPem = newPublicKey();
+  let keyring;
+
+  beforeEach(() => {
+    keyring = new Keyring('/unused/keyring.json');
+    keyring.add({ keyId: 'k1', publicKeyPem, notBefore: '2026-01-01T00:00:00Z', notAfter: '2027-01-01T00:00:00Z' });
+  });
+
+  it('trusts a listed key inside its window', () => {
+    assert.equal(keyring.assertTrusted('k1', publicKeyPem, new Date('2026-06-01T00:00:00Z')).keyId, 'k1');
+  });
+
+  it('rejects keys outside their window', () => {
+    assert.throws(() => keyring.assertTrusted('k1', publicKeyPem, new Date('2025-12-31T00:00:00Z')), /not valid before/);
+    assert.throws(() => keyring.assertTrusted('k1', publicKeyPem, new Date('2027-01-02T00:00:00Z')), /expired/);
+  });
+
+  it('rejects unknown and revoked keys', () => {
+    assert.throws(() => keyring.assertTrusted('k2', publicKeyPem), /not in the trusted keyring/);
+    keyring.revoke('k1');
+    assert.throws(() => keyring.assertTrusted('k1', publicKeyPem, new Date('2026-06-01T00:00:00Z')), /revoked/);
+  });
+
+  it('rejects a public key that does not match the pinned fingerprint', () => {
+    assert.throws(() => keyring.assertTrusted('k1', newPublicKey(), new Date('2026-06-01T00:00:00Z')), /does not match/);
+  });
+});
+
+describe('Keyring.load', () => {
+  let dir;
+  let path;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'keyring-'));
+    path = join(dir, 'keyring.json');
+  });
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('reads back a saved keyring', async () => {
+    const saved = new Keyring(path);
+    saved.add({ keyId: 'k1', publicKeyPem: newPublicKey(), notAfter: '2027-01-01' });
+    await saved.save();
+
+    const loaded = new Keyring(path);
+    assert.equal(await loaded.load(), true);
+    assert.deepEqual(loaded.keys, saved.keys);
+  });
+
+  it('rejects a keyring whose validity window does not parse', async () => {
+    const fingerprint = Keyring.fingerprint(newPublicKey());
+    await writeFile(path, JSON.stringify({ schema: 1, keys: [{ keyId: 'k1', fingerprint, notBefore: null, notAfter: 'someday', revoked: false }] }));
+    await assert.rejects(new Keyring(path).load(), /key k1: Invalid notAfter date: someday/);
+  });
+
+  it('rejects a keyring with a malformed entry', async () => {
+    await writeFile(path, JSON.stringify({ schema: 1, keys: [{ keyId: 'k1', fingerprint: 'abc' }] }));
+    await assert.rejects(new Keyring(path).load(), /key k1 has an invalid fingerprint/);
+  });
+});
+
+describe('Keyring.mergeShipped', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+  let local;
+  let shipped;
+
+  beforeEach(() => {
+    local = new Keyring('/unused/keyring.json');
+    local.exists = true;
+    local.add({ keyId: 'current', publicKeyPem: newPublicKey() });
+    local.add({ keyId: 'old', publicKeyPem: newPublicKey() });
+    shipped = new Keyring('/unused/shipped.json');
+    shipped.keys = local.keys.map((entry) => ({ ...entry }));
+  });
+
+  it('adds a key shipped in a manifest signed by another trusted key', () => {
+    shipped.add({ keyId: 'next', publicKeyPem: newPublicKey() });
+    const { keys, refused } = local.mergeShipped(shipped.keys, 'current', now);
+    assert.deepEqual(
+      keys.map((k) => k.keyId),
+      ['current', 'old', 'next']
+    );
+    assert.deepEqual(refused, []);
+  });
+
+  it('keeps a local revocation that the shipped keyring does not have', () => {
+    local.revoke('old');
+    const { keys, refused } = local.mergeShipped(shipped.keys, 'current', now);
+    assert.equal(keys.find((k) => k.keyId === 'old').revoked, true);
+    assert.deepEqual(refused, ['un-revoking key old']);
+  });
+
+  it('keeps a revoked key that the shipped keyring leaves out', () => {
+    local.revoke('old');
+    const { keys } = local.mergeShipped(
+      shipped.keys.filter((k) => k.keyId !== 'old'),
+      'current',
+      now
+    );
+    assert.equal(keys.find((k) => k.keyId === 'old').revoked, true);
+  });
+
+  it('takes revocations from the shipped keyring', () => {
+    shipped.revoke('old');
+    const { keys, refused } = local.mergeShipped(shipped.keys, 'old', now);
+    assert.equal(keys.find((k) => k.keyId === 'old').revoked, true);
+    assert.deepEqual(refused, []);
+  });
+
+  it('does not let a key add keys or change itself once revoked', () => {
+    local.revoke('old');
+    shipped.add({ keyId: 'attacker', publicKeyPem: newPublicKey() });
+    const { keys, refused } = local.mergeShipped(shipped.keys, 'old', now);
+    assert.equal(
+      keys.find((k) => k.keyId === 'attacker'),
+      undefined
+    );
+    assert.deepEqual(refused, ['un-revoking key old', 'adding key attacker']);
+  });
+
+  it('does not let a key extend its own validity', () => {
+    local.find('current').notAfter = '2026-12-31T00:00:00.000Z';
+    shipped.find('current').notAfter = '2030-12-31T00:00:00.000Z';
+    const { keys, refused } = local.mergeShipped(shipped.keys, 'current', now);
+    assert.equal(keys.find((k) => k.keyId === 'current').notAfter, '2026-12-31T00:00:00.000Z');
+    assert.deepEqual(refused, ['changing key current']);
+  });
+
+  it('takes the shipped keyring as is when there is no local one', () => {
+    const { keys } = new Keyring('/unused/none.json').mergeShipped(shipped.keys, 'anything', now);
+    assert.equal(keys, shipped.keys);
+  });
+});
@@ -0,0 +1,54 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import LauncherHealth from '../lib/launcher-health.js';
+
+const BUILD = { hash: 'ab'.repeat(32), algorithm: 'sha256' };
+
+describe('LauncherHealth', () => {
+  let dir;
+  let health;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'launcher-health-'));
+    health = new LauncherHealth({ log: () => undefined }, dir);
+    await writeFile(join(dir, 'launcher.js'), 'old');
+    await writeFile(join(dir, 'launcher.js.new'), 'new');
+    await health.recordStaged(BUILD);
+  });
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('counts starts of a promoted launcher until it is confirmed', async () => {
+    assert.equal(await health.recordStart(), null, 'nothing is promoted yet');
+    assert.equal(await health.promote(), true);
+
+    assert.equal(await health.recordStart(), 0);
+    assert.equal(await health.recordStart(), 1);
+    assert.equal(await health.confirm(), true);
+    assert.equal(await health.recordStart(), null);
+    assert.equal(await readFile(join(dir, 'launcher.js'), 'utf8'), 'new');
+  });
+
+  it('restores the previous launcher and rejects the build on rollback', async () => {
+    await health.promote();
+    assert.equal(await health.rollBack('crashed'), true);
+
+    assert.equal(await readFile(join(dir, 'launcher.js'), 'utf8'), 'old');
+    assert.equal((await health.findRejection(BUILD)).reason, 'crashed');
+    assert.equal(await health.recordStart(), null);
+  });
+
+  it('restores the previous launcher without rejecting the build when asked', async () => {
+    await health.promote();
+    assert.equal(await health.rollBack('network', { reject: false }), true);
+
+    assert.equal(await readFile(join(dir, 'launcher.js'), 'utf8'), 'old');
+    assert.equal(await health.findRejection(BUILD), null);
+  });
+});
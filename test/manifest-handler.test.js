@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import ManifestHandler from '../lib/manifest-handler.js';
+
+const handler = new ManifestHandler({ log: () => undefined });
+
+/**
+ * Canonical form of a v2 manifest body, as signed.
+ * @param {object} fields - Manifest fields besides `format`.
+ * @returns {string} Signing payload as text.
+ */
+const payloadOf = (fields) => handler.getSigningPayload({ format: 2, ...fields }).toString('utf8');
+
+describe('canonicalize (v2 signing payload)', () => {
+  it('sorts members by UTF-16 code units (RFC 8785 section 3.2.3)', () => {
+    const names = ['\u20ac', '\r', '\ufb33', '1', '\ud83d\ude00', '\u0080', '\u00f6'];
+    const payload = payloadOf({ names: Object.fromEntries(names.map((name) => [name, 0])) });
+    // Compare the text: parsing it back would list the integer-like key first whatever the order.
+    const sorted = ['\r', '1', '\u0080', '\u00f6', '\u20ac', '\ud83d\ude00', '\ufb33'];
+    assert.equal(payload, `{"format":2,"names":{${sorted.map((name) => `${JSON.stringify(name)}:0`).join(',')}}}`);
+  });
+
+  it('serializes numbers the ECMAScript way (RFC 8785 appendix B)', () => {
+    const numbers = [Number('333333333.33333329'), 1e30, 4.5, 2e-3, 0.000000000000000000000000001, -0, 1e21];
+    assert.equal(payloadOf({ numbers }), '{"format":2,"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27,0,1e+21]}');
+  });
+
+  it('drops whitespace, undefined members and the signature, and keeps array order', () => {
+    const payload = payloadOf({ z: [3, 1, { b: true, a: null }], a: 'x', skipped: undefined, signature: { value: 'sig' } });
+    assert.equal(payload, '{"a":"x","format":2,"z":[3,1,{"a":null,"b":true}]}');
+  });
+
+  it('gives the same bytes for the same document in any member order', () => {
+    assert.equal(payloadOf({ a: 1, b: { c: 2, d: 3 } }), payloadOf({ b: { d: 3, c: 2 }, a: 1 }));
+  });
+
+  it('refuses values JSON cannot represent', () => {
+    assert.throws(() => payloadOf({ n: Number.NaN }), /non-finite number/);
+    assert.throws(() => payloadOf({ n: Infinity }), /non-finite number/);
+    assert.throws(() => payloadOf({ f: () => 1 }), /value of type function/);
+  });
+});
+
+describe('ManifestHandler.checkFreshness', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+  const manifest = { format: 2, sequence: 10, expires: '2026-07-01T00:00:00Z' };
+  const stateAt = (highest) => ({ getHighestSequence: () => highest });
+
+  it('returns the sequence of a current manifest', () => {
+    assert.equal(handler.checkFreshness(manifest, { state: stateAt(10), allowDowngrade: false, now }), 10);
+    assert.equal(handler.checkFreshness(manifest, { state: stateAt(null), allowDowngrade: false, now }), 10);
+  });
+
+  it('rejects an expired manifest, even with --allow-downgrade', () => {
+    const later = new Date('2026-07-02T00:00:00Z');
+    assert.throws(() => handler.checkFreshness(manifest, { state: stateAt(null), allowDowngrade: true, now: later }), /expired at 2026-07-01/);
+  });
+
+  it('rejects a rollback unless downgrades are allowed', () => {
+    assert.throws(() => handler.checkFreshness(manifest, { state: stateAt(11), allowDowngrade: false, now }), /older than the last accepted 11/);
+    assert.equal(handler.checkFreshness(manifest, { state: stateAt(11), allowDowngrade: true, now }), 10);
+  });
+
+  it('rejects missing or malformed fields', () => {
+    const check = (fields) => handler.checkFreshness({ ...manifest, ...fields }, { state: stateAt(null), allowDowngrade: false, now });
+    assert.throws(() => check({ sequence: undefined }), /valid sequence/);
+    assert.throws(() => check({ sequence: -1 }), /valid sequence/);
+    assert.throws(() => check({ sequence: 1.5 }), /valid sequence/);
+    assert.throws(() => check({ expires: 'soon' }), /valid expires/);
+    assert.throws(() => check({ expires: 1782864000000 }), /valid expires/);
+  });
+
+  it('skips the check for v1 manifests', () => {
+    assert.equal(handler.checkFreshness({ files: [] }, { state: stateAt(11), allowDowngrade: false, now }), null);
+  });
+});
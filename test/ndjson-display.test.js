@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { describe, it } from 'node:test';
+
+import EventBridge from '../lib/event-bridge.js';
+import NdjsonDisplay from '../lib/ndjson-display.js';
+
+/**
+ * Drives the hooks `LauncherCore` calls during a failed one-file update.
+ * @param {object} display - Display or bridge with the hooks.
+ * @returns {void}
+ */
+const runHooks = (display) => {
+  display.log('⚠ something odd');
+  display.startPatching(1);
+  display.startFileDownload('a.pak');
+  display.updateFileProgress(10.2, 'a.pak');
+  display.updateFileProgress(9.8, 'a.pak');
+  display.updateFileProgress(50, 'a.pak');
+  display.failFileDownload('a.pak', 'HTTP 404', { cause: 'http', status: 404, attempts: [] });
+  display.updatePatching(1);
+  display.finishPatching();
+};
+
+describe('NdjsonDisplay', () => {
+  it('writes the events of EventBridge as lines, with its own fields', () => {
+    const lines = [];
+    const display = new NdjsonDisplay({ output: { write: (line) => lines.push(JSON.parse(line)) }, fields: { origin: 'restarted' } });
+    runHooks(display);
+
+    const emitter = new EventEmitter();
+    const bridged = [];
+    emitter.emit = (type, payload) => bridged.push({ type, ...payload });
+    runHooks(new EventBridge(emitter));
+
+    assert.deepEqual(
+      lines.map(({ schema, ts, origin, ...event }) => event),
+      bridged
+    );
+    assert.ok(lines.every((line) => line.schema === 1 && line.origin === 'restarted'));
+    assert.deepEqual(
+      bridged.filter((e) => e.type === 'file-progress').map((e) => e.percent),
+      [10, 50]
+    );
+  });
+
+  it('ends with the summary it is given', () => {
+    const lines = [];
+    const display = new NdjsonDisplay({ output: { write: (line) => lines.push(JSON.parse(line)) } });
+    display.error(new Error('boom'));
+    display.summary({ ok: false, exitCode: 1 });
+    assert.deepEqual(
+      lines.map((l) => l.type),
+      ['error', 'summary']
+    );
+    assert.equal(lines[1].exitCode, 1);
+  });
+});
@@ -0,0 +1,102 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import QuarantineManager from '../lib/quarantine-manager.js';
+
+/**
+ * Creates files under the install root.
+ * @param {string} root - Install root.
+ * @param {string[]} relPaths - Files to create; each holds its own path.
+ * @returns {Promise<void>} Resolves once they exist.
+ */
+const createFiles = async (root, relPaths) => {
+  await Promise.all(
+    relPaths.map(async (relPath) => {
+      await mkdir(dirname(join(root, relPath)), { recursive: true });
+      await writeFile(join(root, relPath), relPath);
+    })
+  );
+};
+
+const exists = (path) =>
+  stat(path).then(
+    () => true,
+    () => false
+  );
+
+describe('QuarantineManager', () => {
+  let root;
+  let quarantine;
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'quarantine-'));
+    const fileManager = { rootDir: root, toSafeAbsPath: (relPath) => join(root, relPath) };
+    quarantine = new QuarantineManager({ log: () => undefined }, fileManager);
+  });
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('moves files into a batch and restores them', async () => {
+    await createFiles(root, ['a.dll', 'data/b.pak']);
+    const { batch, moved } = await quarantine.quarantine(['a.dll', 'data/b.pak']);
+    assert.deepEqual(moved.sort(), ['a.dll', 'data/b.pak']);
+    assert.equal(await exists(join(root, 'a.dll')), false);
+
+    const result = await quarantine.restoreLatest();
+    assert.equal(result.batch, batch);
+    assert.deepEqual(result.restored.sort(), ['a.dll', 'data/b.pak']);
+    assert.equal(await readFile(join(root, 'data/b.pak'), 'utf8'), 'data/b.pak');
+    assert.deepEqual(await quarantine.listBatches(), []);
+  });
+
+  it('restores a batch that lost its index', async () => {
+    await createFiles(root, ['a.dll', 'data/b.pak']);
+    const { batch } = await quarantine.quarantine(['a.dll', 'data/b.pak']);
+    await rm(join(quarantine.getQuarantineRoot(), batch, 'index.json'));
+
+    const { restored } = await quarantine.restoreLatest();
+    assert.deepEqual(restored.sort(), ['a.dll', 'data/b.pak']);
+  });
+
+  it('skips files an interrupted prune never moved', async () => {
+    await createFiles(root, ['a.dll', 'b.dll']);
+    const { batch } = await quarantine.quarantine(['a.dll']);
+    const indexPath = join(quarantine.getQuarantineRoot(), batch, 'index.json');
+    const index = JSON.parse(await readFile(indexPath, 'utf8'));
+    await writeFile(indexPath, JSON.stringify({ ...index, files: ['a.dll', 'b.dll'] }));
+
+    const { restored, conflicts, failed } = await quarantine.restoreLatest();
+    assert.deepEqual(restored, ['a.dll']);
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(failed, []);
+    assert.deepEqual(await quarantine.listBatches(), []);
+  });
+
+  it('moves on to the previous batch once a restore leaves only conflicts', async () => {
+    await createFiles(root, ['old.dll']);
+    const older = await quarantine.quarantine(['old.dll']);
+    await createFiles(root, ['new.dll']);
+    // Batches are named by time, so make sure the second one sorts after the first.
+    await new Promise((resolvePromise) => {
+      setTimeout(resolvePromise, 5);
+    });
+    const newer = await quarantine.quarantine(['new.dll']);
+    await createFiles(root, ['new.dll']);
+
+    const first = await quarantine.restoreLatest();
+    assert.equal(first.batch, newer.batch);
+    assert.deepEqual(first.conflicts, ['new.dll']);
+
+    const second = await quarantine.restoreLatest();
+    assert.equal(second.batch, older.batch);
+    assert.deepEqual(second.restored, ['old.dll']);
+
+    assert.deepEqual(await quarantine.listBatches(), [newer.batch]);
+    assert.equal((await quarantine.restoreLatest()).batch, null);
+  });
+});
@@ -0,0 +1,83 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import StagingArea from '../lib/staging-area.js';
+
+/**
+ * Writes a file, creating its directory.
+ * @param {string} path - Absolute path.
+ * @param {string} content - File content.
+ * @returns {Promise<void>} Resolves once written.
+ */
+const put = async (path, content) => {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, content);
+};
+
+const exists = (path) =>
+  stat(path).then(
+    () => true,
+    () => false
+  );
+
+describe('StagingArea.recover', () => {
+  let root;
+  let staging;
+
+  /**
+   * Leaves the install as a commit that died after moving `a.dll` into place, with `b.dll` still staged.
+   * @param {string} second - Path of the second journaled file.
+   * @returns {Promise<void>} Resolves once the crash state is on disk.
+   */
+  const crashMidCommit = async (second) => {
+    await put(staging.toBackupPath('a.dll'), 'old a');
+    await put(join(root, 'a.dll'), 'new a');
+    await put(staging.toStagedPath(second), `new ${second}`);
+    const files = [
+      { path: 'a.dll', existed: true },
+      { path: second, existed: false },
+    ];
+    await staging.writeJournal({ schema: 1, startedAt: '2026-01-01T00:00:00.000Z', files });
+  };
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'staging-'));
+    staging = new StagingArea({ log: () => undefined }, { rootDir: root, toSafeAbsPath: (relPath) => join(root, relPath) });
+  });
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('does nothing without a journal', async () => {
+    assert.equal(await staging.recover(), 'none');
+  });
+
+  it('finishes an interrupted commit', async () => {
+    await crashMidCommit('b.dll');
+
+    assert.equal(await staging.recover(), 'committed');
+    assert.equal(await readFile(join(root, 'a.dll'), 'utf8'), 'new a');
+    assert.equal(await readFile(join(root, 'b.dll'), 'utf8'), 'new b.dll');
+    assert.equal(await exists(staging.getRoot()), false);
+  });
+
+  it('rolls back an interrupted commit it cannot finish', async () => {
+    await crashMidCommit('blocked/b.dll');
+    // A file where the directory should be makes the remaining move fail.
+    await put(join(root, 'blocked'), 'not a directory');
+
+    assert.equal(await staging.recover(), 'rolled-back');
+    assert.equal(await readFile(join(root, 'a.dll'), 'utf8'), 'old a');
+    assert.equal(await readFile(staging.toStagedPath('a.dll'), 'utf8'), 'new a', 'kept for the next attempt');
+    assert.equal(await staging.hasPendingCommit(), false);
+  });
+
+  it('ignores a journal it cannot read', async () => {
+    await put(join(staging.getRoot(), 'journal.json'), '{"schema":1,"files":');
+    assert.equal(await staging.recover(), 'none');
+  });
+});